@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { signIn, signOut } from '../lib/auth'
+
+export default function AuthStatus({ session }) {
+  const [showForm, setShowForm] = useState(false)
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [signingIn, setSigningIn] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSignIn = async (e) => {
+    e.preventDefault()
+    setSigningIn(true)
+    setError(null)
+    try {
+      const result = await signIn(email, password)
+      if (result.success) {
+        setPassword('')
+        setShowForm(false)
+      } else {
+        setError(result.error)
+      }
+    } finally {
+      setSigningIn(false)
+    }
+  }
+
+  if (session) {
+    return (
+      <div className="flex items-center space-x-2 text-sm">
+        <span className="text-corporate-600 hidden sm:inline">{session.user?.email}</span>
+        <button
+          onClick={signOut}
+          className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+        >
+          Sign Out
+        </button>
+      </div>
+    )
+  }
+
+  if (!showForm) {
+    return (
+      <button
+        onClick={() => setShowForm(true)}
+        className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+      >
+        Sign In
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSignIn} className="flex flex-wrap items-center gap-2">
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="Email"
+        required
+        className="border border-corporate-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password"
+        required
+        className="border border-corporate-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      <button
+        type="submit"
+        disabled={signingIn}
+        className="bg-primary-600 text-white px-3 py-1 rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {signingIn ? 'Signing in...' : 'Sign In'}
+      </button>
+      <button
+        type="button"
+        onClick={() => { setShowForm(false); setError(null) }}
+        className="text-sm text-corporate-600 hover:text-corporate-900"
+      >
+        Cancel
+      </button>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </form>
+  )
+}
@@ -0,0 +1,185 @@
+import { useState } from 'react'
+import { runBacktest } from '../lib/backtest'
+
+const CRITERION_LABELS = {
+  minPOP: 'Min POP',
+  maxPOP: 'Max POP',
+  minDelta: 'Max delta',
+  minPremiumPercentage: 'Min premium %'
+}
+
+export default function BacktestPanel() {
+  const [symbols, setSymbols] = useState('AAPL, MSFT')
+  const [quarters, setQuarters] = useState(8)
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2
+    }).format(value)
+  }
+
+  const handleRun = async (e) => {
+    e.preventDefault()
+    const symbolList = symbols.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+    if (symbolList.length === 0) return
+
+    setRunning(true)
+    setError(null)
+    try {
+      const backtest = await runBacktest({ symbols: symbolList, quarters: Number(quarters) || 8 })
+      setResult(backtest)
+    } catch (err) {
+      console.error('Error running backtest:', err)
+      setError(err.message)
+      setResult(null)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4 mt-6">
+      <h3 className="text-lg font-semibold text-corporate-900">Backtest</h3>
+      <p className="text-sm text-corporate-600 mt-1">
+        Replay past earnings reports through the current criteria and settle each trade at expiration.
+      </p>
+      <p className="text-xs text-corporate-500 mt-1">
+        Replays only use data available on the snapshot date: dividends count once declared (or are left out without a stored history),
+        and IV rank, realized volatility and past earnings moves are skipped. Rates still come from the current Treasury curve.
+      </p>
+
+      <form onSubmit={handleRun} className="flex space-x-2 mt-3">
+        <input
+          type="text"
+          value={symbols}
+          onChange={(e) => setSymbols(e.target.value)}
+          placeholder="e.g. AAPL, MSFT"
+          className="flex-1 border border-corporate-300 rounded-lg px-3 py-2 text-sm uppercase focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <input
+          type="number"
+          min="1"
+          max="20"
+          value={quarters}
+          onChange={(e) => setQuarters(e.target.value)}
+          title="Quarters per symbol"
+          className="w-20 border border-corporate-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={running || !symbols.trim()}
+        >
+          {running ? 'Running...' : 'Run Backtest'}
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-sm text-red-600 mt-3">{error}</p>
+      )}
+
+      {result && (
+        <div className="mt-4 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-corporate-900">{result.summary.trades}</div>
+              <div className="text-xs text-corporate-600">Trades ({result.events} reports)</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-green-600">{result.summary.winRate.toFixed(1)}%</div>
+              <div className="text-xs text-corporate-600">Win rate</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className={`text-xl font-bold ${result.summary.averageReturnPct >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {result.summary.averageReturnPct.toFixed(2)}%
+              </div>
+              <div className="text-xs text-corporate-600">Avg. return on capital</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-red-600">{formatCurrency(result.summary.maxDrawdown)}</div>
+              <div className="text-xs text-corporate-600">Max drawdown</div>
+            </div>
+          </div>
+
+          {result.skipped.length > 0 && (
+            <p className="text-xs text-corporate-500">
+              {result.skipped.length} report{result.skipped.length === 1 ? '' : 's'} skipped (no chain snapshot before the report).
+            </p>
+          )}
+
+          {Object.keys(result.sensitivity).length > 0 && (
+            <div>
+              <h4 className="font-semibold text-corporate-900 text-sm mb-2">Criterion Sensitivity</h4>
+              <div className="grid gap-4 md:grid-cols-2">
+                {Object.entries(result.sensitivity).map(([name, rows]) => (
+                  <div key={name} className="border border-corporate-200 rounded-lg overflow-hidden">
+                    <table className="w-full text-xs">
+                      <thead className="bg-corporate-50 text-corporate-600">
+                        <tr>
+                          <th className="text-left px-3 py-2">{CRITERION_LABELS[name] || name}</th>
+                          <th className="text-right px-3 py-2">Trades</th>
+                          <th className="text-right px-3 py-2">Win</th>
+                          <th className="text-right px-3 py-2">Avg. return</th>
+                          <th className="text-right px-3 py-2">Drawdown</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(row => (
+                          <tr key={row.value} className={`border-t border-corporate-100 ${row.baseline ? 'bg-primary-50 font-medium' : ''}`}>
+                            <td className="px-3 py-1 text-corporate-900">{row.value}</td>
+                            <td className="px-3 py-1 text-right text-corporate-900">{row.trades}</td>
+                            <td className="px-3 py-1 text-right text-corporate-900">{row.winRate.toFixed(0)}%</td>
+                            <td className={`px-3 py-1 text-right ${row.averageReturnPct >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                              {row.averageReturnPct.toFixed(2)}%
+                            </td>
+                            <td className="px-3 py-1 text-right text-corporate-700">{formatCurrency(row.maxDrawdown)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {result.trades.length > 0 && (
+            <div className="max-h-80 overflow-y-auto border border-corporate-200 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-corporate-50 text-corporate-600 text-xs sticky top-0">
+                  <tr>
+                    <th className="text-left px-3 py-2">Symbol</th>
+                    <th className="text-left px-3 py-2">Earnings</th>
+                    <th className="text-left px-3 py-2">Expiration</th>
+                    <th className="text-right px-3 py-2">Strike</th>
+                    <th className="text-right px-3 py-2">Settled</th>
+                    <th className="text-right px-3 py-2">P&amp;L</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.trades.map((trade, index) => (
+                    <tr key={index} className="border-t border-corporate-100">
+                      <td className="px-3 py-2 text-corporate-900">{trade.symbol}</td>
+                      <td className="px-3 py-2 text-corporate-700">{trade.earnings_date}</td>
+                      <td className="px-3 py-2 text-corporate-700">{trade.expiration_date}</td>
+                      <td className="px-3 py-2 text-right text-corporate-900">{formatCurrency(trade.strike_price)}</td>
+                      <td className="px-3 py-2 text-right text-corporate-900">{formatCurrency(trade.settlement_price)}</td>
+                      <td className={`px-3 py-2 text-right font-medium ${trade.win ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(trade.pnl)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
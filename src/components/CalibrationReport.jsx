@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { getCalibrationReport, saveCalibrationCurve } from '../lib/calibration'
+import { recommendationEngine } from '../lib/recommendationEngine'
+
+const CHART_SIZE = 240
+const CHART_PADDING = 28
+
+export default function CalibrationReport({ recommendations = [], signedIn = false }) {
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [applyCalibration, setApplyCalibration] = useState(recommendationEngine.usePOPCalibration)
+
+  const report = getCalibrationReport(recommendations)
+
+  const handleSaveCurve = async () => {
+    setSaving(true)
+    try {
+      setSaved(await saveCalibrationCurve(report.curve, report.brierScore))
+    } catch (error) {
+      console.error('Error saving calibration curve:', error)
+      setSaved(false)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleCalibration = (e) => {
+    setApplyCalibration(e.target.checked)
+    recommendationEngine.updateCriteria({ usePOPCalibration: e.target.checked })
+  }
+
+  // Probabilities (0-100) to chart coordinates, origin bottom-left
+  const toX = (value) => CHART_PADDING + (value / 100) * (CHART_SIZE - 2 * CHART_PADDING)
+  const toY = (value) => CHART_SIZE - CHART_PADDING - (value / 100) * (CHART_SIZE - 2 * CHART_PADDING)
+
+  const populatedDeciles = report.byPOP.filter(row => row.count > 0)
+  const maxCount = Math.max(1, ...populatedDeciles.map(row => row.count))
+
+  const formatPct = (value) => value === null ? '-' : `${value.toFixed(1)}%`
+  const formatBrier = (value) => value === null ? '-' : value.toFixed(4)
+
+  const renderTable = (title, rows) => (
+    <div>
+      <h5 className="text-xs font-medium text-corporate-700 mb-1">{title}</h5>
+      <table className="w-full text-xs">
+        <thead className="bg-corporate-50 text-corporate-600">
+          <tr>
+            <th className="text-left px-2 py-1">Bucket</th>
+            <th className="text-right px-2 py-1">Trades</th>
+            <th className="text-right px-2 py-1">Predicted</th>
+            <th className="text-right px-2 py-1">Realized</th>
+            <th className="text-right px-2 py-1">Brier</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.filter(row => row.count > 0).map(row => (
+            <tr key={row.label} className="border-t border-corporate-100">
+              <td className="px-2 py-1 text-corporate-900">{row.label}</td>
+              <td className="px-2 py-1 text-right text-corporate-900">{row.count}</td>
+              <td className="px-2 py-1 text-right text-corporate-700">{formatPct(row.predicted)}</td>
+              <td className={`px-2 py-1 text-right ${row.realized >= row.predicted ? 'text-green-600' : 'text-red-600'}`}>
+                {formatPct(row.realized)}
+              </td>
+              <td className="px-2 py-1 text-right text-corporate-700">{formatBrier(row.brierScore)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4">
+      <h4 className="font-semibold text-corporate-900 text-sm">POP Calibration</h4>
+      <p className="text-xs text-corporate-600 mt-1">
+        Predicted POP against how often it hit. Short puts hit by expiring worthless; other strategies by finishing profitable.
+      </p>
+
+      {report.samples === 0 ? (
+        <p className="text-sm text-corporate-500 mt-3">No settled recommendations with a POP yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-corporate-900">{formatPct(report.predicted)}</div>
+              <div className="text-xs text-corporate-600">Avg. predicted POP</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className={`text-xl font-bold ${report.realized >= report.predicted ? 'text-green-600' : 'text-red-600'}`}>
+                {formatPct(report.realized)}
+              </div>
+              <div className="text-xs text-corporate-600">Realized hit rate</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-corporate-900">{formatBrier(report.brierScore)}</div>
+              <div className="text-xs text-corporate-600">Brier score (raw POP)</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-corporate-900">{formatBrier(report.calibratedBrierScore)}</div>
+              <div className="text-xs text-corporate-600">Brier score (calibrated, in-sample)</div>
+            </div>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2 mt-4">
+            <div>
+              <h5 className="text-xs font-medium text-corporate-700 mb-1">Reliability Diagram</h5>
+              <svg viewBox={`0 0 ${CHART_SIZE} ${CHART_SIZE}`} className="w-full max-w-xs">
+                <rect
+                  x={CHART_PADDING}
+                  y={CHART_PADDING}
+                  width={CHART_SIZE - 2 * CHART_PADDING}
+                  height={CHART_SIZE - 2 * CHART_PADDING}
+                  fill="none"
+                  stroke="currentColor"
+                  className="text-corporate-200"
+                />
+                {[0, 50, 100].map(tick => (
+                  <g key={tick} className="text-corporate-500" fill="currentColor" fontSize="9">
+                    <text x={toX(tick)} y={CHART_SIZE - CHART_PADDING + 12} textAnchor="middle">{tick}</text>
+                    <text x={CHART_PADDING - 4} y={toY(tick) + 3} textAnchor="end">{tick}</text>
+                  </g>
+                ))}
+                <text x={CHART_SIZE / 2} y={CHART_SIZE - 4} textAnchor="middle" fontSize="9" fill="currentColor" className="text-corporate-600">
+                  Predicted POP %
+                </text>
+
+                {/* Perfect calibration */}
+                <line x1={toX(0)} y1={toY(0)} x2={toX(100)} y2={toY(100)} stroke="currentColor" strokeDasharray="4 3" className="text-corporate-300" />
+
+                {/* Fitted curve */}
+                {report.curve && (
+                  <polyline
+                    points={report.curve.points.map(point => `${toX(point.pop)},${toY(point.calibrated)}`).join(' ')}
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="1.5"
+                    className="text-primary-500"
+                  />
+                )}
+
+                {/* Realized hit rate per decile, sized by trades */}
+                {populatedDeciles.map(row => (
+                  <circle
+                    key={row.label}
+                    cx={toX(row.predicted)}
+                    cy={toY(row.realized)}
+                    r={2 + 5 * Math.sqrt(row.count / maxCount)}
+                    fill="currentColor"
+                    className={row.realized >= row.predicted ? 'text-green-600' : 'text-red-600'}
+                  >
+                    <title>{`${row.label}: predicted ${row.predicted.toFixed(1)}%, realized ${row.realized.toFixed(1)}% (${row.count} trades)`}</title>
+                  </circle>
+                ))}
+              </svg>
+            </div>
+
+            <div className="space-y-4">
+              {renderTable('By POP Decile', report.byPOP)}
+              {renderTable('By Days to Expiry', report.byDTE)}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between border-t border-corporate-100 pt-3 mt-4">
+            <label className="flex items-center space-x-2 text-sm text-corporate-700">
+              <input
+                type="checkbox"
+                checked={applyCalibration}
+                onChange={handleToggleCalibration}
+                className="rounded border-corporate-300"
+              />
+              <span>Apply saved calibration curve to POP when generating (max-profit, touch and loss stay raw)</span>
+            </label>
+            {report.curve && !signedIn ? (
+              <span className="text-xs text-corporate-500">Sign in to save the calibration curve</span>
+            ) : report.curve ? (
+              <button
+                onClick={handleSaveCurve}
+                className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : saved ? 'Curve Saved' : `Save Curve (${report.curve.samples} trades)`}
+              </button>
+            ) : (
+              <span className="text-xs text-corporate-500">Not enough settled trades to fit a curve yet</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,248 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  CRITERIA_FIELDS,
+  DEFAULT_PROFILE,
+  MAX_PROFILE_NAME_LENGTH,
+  getCriteriaProfiles,
+  saveCriteriaProfile,
+  deleteCriteriaProfile,
+  validateCriteria
+} from '../lib/criteriaProfiles'
+
+// Number fields are edited as text in display units so partial input doesn't get coerced
+const toInputs = (criteria) => Object.fromEntries(Object.entries(CRITERIA_FIELDS).map(([name, field]) => [
+  name,
+  field.type === 'number' ? String(Number((criteria[name] / (field.scale || 1)).toFixed(6))) : criteria[name]
+]))
+
+const toCriteria = (inputs) => Object.fromEntries(Object.entries(CRITERIA_FIELDS).map(([name, field]) => [
+  name,
+  field.type === 'number'
+    ? (String(inputs[name]).trim() === '' ? NaN : Number(inputs[name]) * (field.scale || 1))
+    : inputs[name]
+]))
+
+// Generation uses the form as it stands, so unsaved edits are flagged rather than dropped
+const isEdited = (profile, inputs) => {
+  const saved = toInputs(profile.criteria)
+  return Object.keys(CRITERIA_FIELDS).some(name => String(saved[name]) !== String(inputs[name]))
+}
+
+export default function CriteriaEditor({ demoMode, onSelectProfile }) {
+  const [profiles, setProfiles] = useState([])
+  const [selectedProfile, setSelectedProfile] = useState(DEFAULT_PROFILE)
+  const [editing, setEditing] = useState(false)
+  const [inputs, setInputs] = useState(null)
+  const [profileName, setProfileName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  // Keeps the selection across demo/full mode reloads without re-running them on every select
+  const selectedRef = useRef(selectedProfile)
+  selectedRef.current = selectedProfile
+
+  const loadProfiles = useCallback(async (selectName) => {
+    const loaded = await getCriteriaProfiles(demoMode)
+    setProfiles(loaded)
+
+    const selected = loaded.find(profile => profile.name === selectName) ||
+      loaded.find(profile => profile.name === DEFAULT_PROFILE)
+    setSelectedProfile(selected.name)
+    setInputs(toInputs(selected.criteria))
+    setProfileName(selected.builtIn ? '' : selected.name)
+  }, [demoMode])
+
+  useEffect(() => {
+    loadProfiles(selectedRef.current)
+  }, [loadProfiles])
+
+  const current = profiles.find(profile => profile.name === selectedProfile)
+
+  // Publish the profile as currently edited - generation runs use these values
+  useEffect(() => {
+    if (!current || !inputs) return
+
+    const criteria = toCriteria(inputs)
+    onSelectProfile({
+      ...current,
+      criteria,
+      edited: isEdited(current, inputs),
+      valid: validateCriteria(criteria).valid
+    })
+  }, [current, inputs, onSelectProfile])
+
+  const handleSelect = (e) => {
+    const profile = profiles.find(candidate => candidate.name === e.target.value)
+    if (!profile) return
+
+    setSelectedProfile(profile.name)
+    setInputs(toInputs(profile.criteria))
+    setProfileName(profile.builtIn ? '' : profile.name)
+    setMessage(null)
+  }
+
+  const handleChange = (name, value) => {
+    setInputs(previous => ({ ...previous, [name]: value }))
+    setMessage(null)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const result = await saveCriteriaProfile(profileName, toCriteria(inputs), demoMode)
+      if (result.success) {
+        const savedName = profileName.trim().toLowerCase()
+        await loadProfiles(savedName)
+        setMessage({ type: 'success', text: `Saved profile "${savedName}"` })
+      } else {
+        setMessage({ type: 'error', text: result.error })
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    const deleted = await deleteCriteriaProfile(selectedProfile, demoMode)
+    if (deleted) {
+      await loadProfiles(DEFAULT_PROFILE)
+      setMessage({ type: 'success', text: `Deleted profile "${selectedProfile}"` })
+    } else {
+      setMessage({ type: 'error', text: `Could not delete profile "${selectedProfile}"` })
+    }
+  }
+
+  if (!inputs) {
+    return null
+  }
+
+  const { valid, errors } = validateCriteria(toCriteria(inputs))
+  const edited = current && isEdited(current, inputs)
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <h3 className="text-sm font-semibold text-corporate-900">Screening Criteria</h3>
+          <select
+            value={selectedProfile}
+            onChange={handleSelect}
+            className="border border-corporate-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {profiles.map(profile => (
+              <option key={profile.name} value={profile.name}>
+                {profile.name}{profile.builtIn ? '' : ' (saved)'}
+              </option>
+            ))}
+          </select>
+          <span className="text-xs text-corporate-500 hidden sm:inline">
+            {!valid
+              ? 'Fix the highlighted criteria to generate'
+              : edited
+                ? 'Generation runs use this profile with your unsaved edits'
+                : 'Generation runs use this profile'}
+            {demoMode ? ' (filters the sample data; saved profiles stay in this browser)' : ''}
+          </span>
+        </div>
+        <button
+          onClick={() => setEditing(!editing)}
+          className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+        >
+          {editing ? 'Hide Editor' : 'Edit Criteria'}
+        </button>
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSave} className="mt-4">
+          <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+            {Object.entries(CRITERIA_FIELDS).map(([name, field]) => (
+              <label key={name} className="block text-xs text-corporate-700">
+                {field.type === 'boolean' ? (
+                  <span className="flex items-center space-x-2 mt-5">
+                    <input
+                      type="checkbox"
+                      checked={inputs[name]}
+                      onChange={(e) => handleChange(name, e.target.checked)}
+                      className="rounded border-corporate-300"
+                    />
+                    <span>{field.label}</span>
+                  </span>
+                ) : (
+                  <>
+                    <span>{field.label}</span>
+                    {field.type === 'select' ? (
+                      <select
+                        value={inputs[name]}
+                        onChange={(e) => handleChange(name, e.target.value)}
+                        className="mt-1 w-full border border-corporate-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      >
+                        {field.options.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="number"
+                        value={inputs[name]}
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        onChange={(e) => handleChange(name, e.target.value)}
+                        className={`mt-1 w-full border rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                          errors[name] ? 'border-red-400' : 'border-corporate-300'
+                        }`}
+                      />
+                    )}
+                  </>
+                )}
+                {errors[name] && (
+                  <span className="block text-red-600 mt-1">{errors[name]}</span>
+                )}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 border-t border-corporate-100 pt-3 mt-4">
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              maxLength={MAX_PROFILE_NAME_LENGTH}
+              placeholder="Profile name"
+              className="border border-corporate-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <button
+              type="submit"
+              className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={saving || !valid || !profileName.trim()}
+            >
+              {saving ? 'Saving...' : 'Save Profile'}
+            </button>
+            <button
+              type="button"
+              onClick={() => current && setInputs(toInputs(current.criteria))}
+              className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+            >
+              Reset
+            </button>
+            {current && !current.builtIn && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="text-sm bg-red-50 text-red-700 px-3 py-2 rounded hover:bg-red-100 transition-colors"
+              >
+                Delete
+              </button>
+            )}
+            {message && (
+              <span className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                {message.text}
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
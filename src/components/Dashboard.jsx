@@ -12,6 +12,13 @@ import LoadingSpinner from './LoadingSpinner'
 import ErrorBoundary from './ErrorBoundary'
 import ModeToggle from './ModeToggle'
 import CacheManager from './CacheManager'
+import RejectionAudit from './RejectionAudit'
+import BacktestPanel from './BacktestPanel'
+import TrackRecord from './TrackRecord'
+import CriteriaEditor from './CriteriaEditor'
+import AuthStatus from './AuthStatus'
+import { getSession, onSessionChange } from '../lib/auth'
+import { filterByCriteria } from '../lib/criteriaProfiles'
 
 export default function Dashboard() {
   const [recommendations, setRecommendations] = useState([])
@@ -24,6 +31,9 @@ export default function Dashboard() {
   const [hasLoadedOnce, setHasLoadedOnce] = useState(false)
   const [cacheStats, setCacheStats] = useState(null)
   const [clearingCache, setClearingCache] = useState(false)
+  const [activeView, setActiveView] = useState('recommendations') // 'recommendations' or 'track_record'
+  const [criteriaProfile, setCriteriaProfile] = useState(null) // Profile as edited, applied to the next generation run
+  const [session, setSession] = useState(null) // Supabase Auth session - required for wheel, settlement and calibration writes
   const [systemStatus, setSystemStatus] = useState({
     supabase: { status: 'UNKNOWN', message: 'Not checked yet' },
     polygon: { status: 'UNKNOWN', message: 'Not checked yet' },
@@ -35,6 +45,12 @@ export default function Dashboard() {
     loadCacheStats()
   }, [])
 
+  // Track the signed-in session so write actions only show when they can succeed
+  useEffect(() => {
+    getSession().then(setSession)
+    return onSessionChange(setSession)
+  }, [])
+
   const loadCacheStats = async () => {
     try {
       const stats = await getCacheStats()
@@ -174,6 +190,11 @@ export default function Dashboard() {
   }
 
   const generateNewRecommendations = async (forceRefresh = false) => {
+    if (criteriaProfile && !criteriaProfile.valid) {
+      setError('Fix the highlighted screening criteria before generating')
+      return
+    }
+
     setIsGenerating(true)
     setError(null)
     setRateLimited(false)
@@ -182,10 +203,16 @@ export default function Dashboard() {
       console.log(`🚀 DASHBOARD: Generating new recommendations in ${demoMode ? 'demo' : 'full'} mode... (forceRefresh: ${forceRefresh})`)
       
       if (demoMode) {
-        // In demo mode, just refresh the mock data
+        // In demo mode, refresh the mock data filtered through the selected profile
         console.log('🎭 DASHBOARD: Refreshing mock recommendations (demo mode)')
         await new Promise(resolve => setTimeout(resolve, 2000)) // Simulate generation time
-        setRecommendations(mockRecommendations)
+        const demoRecommendations = criteriaProfile
+          ? filterByCriteria(mockRecommendations, criteriaProfile.criteria)
+          : mockRecommendations
+        if (demoRecommendations.length === 0) {
+          setError(`No sample recommendations match the "${criteriaProfile.name}" criteria`)
+        }
+        setRecommendations(demoRecommendations)
         setLastUpdate(new Date())
         setHasLoadedOnce(true)
         return
@@ -200,6 +227,11 @@ export default function Dashboard() {
         await clearAllCache()
       }
       
+      if (criteriaProfile) {
+        console.log(`🔧 DASHBOARD: Generating with criteria profile "${criteriaProfile.name}"`)
+        recommendationEngine.applyCriteriaProfile(criteriaProfile)
+      }
+      
       const newRecommendations = await recommendationEngine.generateRecommendations()
       
       if (newRecommendations.length > 0) {
@@ -289,6 +321,8 @@ export default function Dashboard() {
   }
 
   const isDataStale = lastUpdate && (Date.now() - lastUpdate.getTime()) > 30 * 60 * 1000 // 30 minutes
+  const showTrackRecord = hasLoadedOnce && !demoMode && activeView === 'track_record'
+  const criteriaInvalid = criteriaProfile?.valid === false
 
   return (
     <ErrorBoundary>
@@ -318,6 +352,9 @@ export default function Dashboard() {
                   onRefreshStats={loadCacheStats}
                 />
                 
+                {/* Sign in (full mode only - demo mode never writes) */}
+                {!demoMode && <AuthStatus session={session} />}
+                
                 {/* Mode Toggle */}
                 <ModeToggle 
                   demoMode={demoMode} 
@@ -359,7 +396,7 @@ export default function Dashboard() {
                         <button 
                           onClick={handleForceRefresh}
                           className="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                          disabled={loading || isGenerating}
+                          disabled={loading || isGenerating || criteriaInvalid}
                           title="Bypass all cache and make fresh API calls"
                         >
                           {isGenerating ? (
@@ -378,7 +415,8 @@ export default function Dashboard() {
                   <button 
                     onClick={hasLoadedOnce ? generateNewRecommendations : handleGetRecommendations}
                     className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    disabled={loading || isGenerating}
+                    disabled={loading || isGenerating || (hasLoadedOnce && criteriaInvalid)}
+                    title={hasLoadedOnce && criteriaInvalid ? 'Fix the highlighted screening criteria first' : undefined}
                   >
                     {isGenerating ? (
                       <div className="flex items-center space-x-2">
@@ -429,6 +467,12 @@ export default function Dashboard() {
           {/* Disclaimer */}
           <Disclaimer />
           
+          {/* Criteria Profile */}
+          <CriteriaEditor
+            demoMode={demoMode}
+            onSelectProfile={setCriteriaProfile}
+          />
+          
           {/* API Setup Notice - only show in full mode and before first load */}
           {!demoMode && !hasLoadedOnce && (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
@@ -542,8 +586,32 @@ export default function Dashboard() {
             </div>
           )}
           
+          {/* View Tabs - track record needs the database, so full mode only */}
+          {hasLoadedOnce && !demoMode && (
+            <div className="flex space-x-2 mb-6">
+              {[['recommendations', 'Recommendations'], ['track_record', 'Track Record']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => setActiveView(view)}
+                  className={`text-sm px-3 py-2 rounded transition-colors ${
+                    activeView === view
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-corporate-100 text-corporate-700 hover:bg-corporate-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {/* Track Record */}
+          {showTrackRecord && (
+            <TrackRecord signedIn={!!session} />
+          )}
+          
           {/* Loading State */}
-          {loading ? (
+          {showTrackRecord ? null : loading ? (
             <div className="text-center py-12">
               <LoadingSpinner size="lg" message={demoMode ? "Loading demo data..." : "Loading recommendations..."} />
               <p className="text-sm text-corporate-500 mt-2">
@@ -616,7 +684,7 @@ export default function Dashboard() {
               {/* Recommendations Grid */}
               <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
                 {recommendations.map((rec) => (
-                  <RecommendationCard key={rec.id || `${rec.symbol}-${rec.strike_price}-${rec.expiration_date}`} recommendation={rec} />
+                  <RecommendationCard key={rec.id || `${rec.symbol}-${rec.strike_price}-${rec.expiration_date}`} recommendation={rec} signedIn={!demoMode && !!session} />
                 ))}
               </div>
             </>
@@ -652,6 +720,16 @@ export default function Dashboard() {
               )}
             </div>
           )}
+          
+          {/* Rejection Audit */}
+          {hasLoadedOnce && !loading && !demoMode && !showTrackRecord && (
+            <RejectionAudit recommendations={recommendations} />
+          )}
+          
+          {/* Backtest */}
+          {hasLoadedOnce && !loading && !demoMode && !showTrackRecord && (
+            <BacktestPanel />
+          )}
         </main>
       </div>
     </ErrorBoundary>
@@ -1,7 +1,42 @@
 import { useState } from 'react'
+import { getDaysToExpiry } from '../lib/marketCalendar'
+import { simulateStrategyOutcomes } from '../lib/monteCarlo'
+import { markPutAssigned, recordCoveredCall, markCalledAway } from '../lib/wheel'
+import { getRecommendationLegs, aggregatePositionGreeks, solvePositionBreakevens } from '../lib/positions'
 
-export default function RecommendationCard({ recommendation }) {
+export default function RecommendationCard({ recommendation, signedIn = false }) {
   const [showDetails, setShowDetails] = useState(false)
+  const [simulation, setSimulation] = useState(null)
+  const [fatTails, setFatTails] = useState(false)
+  const [wheelStatus, setWheelStatus] = useState(null)
+  
+  const runSimulation = () => {
+    const result = simulateStrategyOutcomes(recommendation, {
+      earningsMoveStd: (recommendation.expected_move_pct || 0) / 100,
+      earningsTime: recommendation.earnings_time || 'amc',
+      degreesOfFreedom: fatTails ? 4 : null
+    })
+    setSimulation(result || { error: 'Not enough data to simulate this recommendation' })
+  }
+  
+  const handleWheelAction = async (action) => {
+    let position = null
+    if (action === 'assigned') {
+      position = await markPutAssigned(recommendation)
+    } else if (action === 'call_sold') {
+      position = await recordCoveredCall(recommendation)
+    } else if (action === 'called_away') {
+      position = await markCalledAway(recommendation.symbol, recommendation.strike_price)
+    }
+    
+    if (!position) {
+      setWheelStatus({ error: 'Could not update wheel position' })
+    } else if (position.status === 'assigned') {
+      setWheelStatus({ message: `${position.shares} shares · adjusted basis ${formatCurrency(position.adjusted_cost_basis)} - covered calls on next scan` })
+    } else {
+      setWheelStatus({ message: `Cycle ${position.cycles_completed} complete · realized ${formatCurrency(position.realized_pnl)} - back to selling puts` })
+    }
+  }
   
   const getConfidenceColor = (score) => {
     if (score >= 80) return 'bg-green-100 text-green-800 border-green-200'
@@ -24,16 +59,28 @@ export default function RecommendationCard({ recommendation }) {
   }
 
   const formatDate = (dateString) => {
+    // Date-only strings parse as UTC midnight - format in UTC so the day doesn't shift
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
       day: 'numeric',
-      year: 'numeric'
+      year: 'numeric',
+      timeZone: 'UTC'
     })
   }
 
-  const daysToExpiration = Math.ceil(
-    (new Date(recommendation.expiration_date) - new Date()) / (1000 * 60 * 60 * 24)
-  )
+  const daysToExpiration = Math.max(0, getDaysToExpiry(recommendation.expiration_date))
+  const isSpread = recommendation.strategy === 'bull_put_spread'
+  const isCondor = recommendation.strategy === 'iron_condor'
+  const isStrangle = recommendation.strategy === 'short_strangle'
+  const isCredit = isSpread || isCondor || isStrangle
+  const isCoveredCall = recommendation.strategy === 'covered_call'
+  const isShortPut = !recommendation.strategy || recommendation.strategy === 'short_put'
+  const legs = getRecommendationLegs(recommendation)
+  const positionGreeks = aggregatePositionGreeks(legs, {
+    stockPrice: recommendation.stock_price,
+    riskFreeRate: recommendation.risk_free_rate ?? undefined
+  })
+  const positionBreakevens = solvePositionBreakevens(legs)
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-corporate-200 hover:shadow-md transition-shadow">
@@ -41,8 +88,43 @@ export default function RecommendationCard({ recommendation }) {
         {/* Header */}
         <div className="flex justify-between items-start mb-4">
           <div>
-            <h3 className="text-xl font-bold text-corporate-900">{recommendation.symbol}</h3>
-            <p className="text-corporate-600">Strike: {formatCurrency(recommendation.strike_price)}</p>
+            <h3 className="text-xl font-bold text-corporate-900">
+              {recommendation.symbol}
+              {recommendation.sector && (
+                <span className="ml-2 text-xs font-normal text-corporate-500">{recommendation.sector}</span>
+              )}
+            </h3>
+            {isCondor ? (
+              <>
+                <p className="text-corporate-600">
+                  Iron Condor: {recommendation.long_strike_price}/{recommendation.strike_price}P · {recommendation.call_strike_price}/{recommendation.long_call_strike_price}C
+                </p>
+                <p className="text-xs text-corporate-500">
+                  Sell {recommendation.strike_price}P / {recommendation.call_strike_price}C · Buy {recommendation.long_strike_price}P / {recommendation.long_call_strike_price}C
+                </p>
+              </>
+            ) : isStrangle ? (
+              <>
+                <p className="text-corporate-600">
+                  Short Strangle: {formatCurrency(recommendation.strike_price)} / {formatCurrency(recommendation.call_strike_price)}
+                </p>
+                <p className="text-xs text-corporate-500">Sell {recommendation.strike_price}P · Sell {recommendation.call_strike_price}C</p>
+              </>
+            ) : isCoveredCall ? (
+              <>
+                <p className="text-corporate-600">Covered Call: {formatCurrency(recommendation.strike_price)}</p>
+                <p className="text-xs text-corporate-500">Sell {recommendation.strike_price}C against {recommendation.shares} shares</p>
+              </>
+            ) : isSpread ? (
+              <>
+                <p className="text-corporate-600">
+                  Put Spread: {formatCurrency(recommendation.strike_price)} / {formatCurrency(recommendation.long_strike_price)}
+                </p>
+                <p className="text-xs text-corporate-500">Sell {recommendation.strike_price}P · Buy {recommendation.long_strike_price}P</p>
+              </>
+            ) : (
+              <p className="text-corporate-600">Strike: {formatCurrency(recommendation.strike_price)}</p>
+            )}
           </div>
           <div className={`px-3 py-1 rounded-full text-sm font-medium border ${getConfidenceColor(recommendation.confidence_score)}`}>
             {getConfidenceLabel(recommendation.confidence_score)}
@@ -52,7 +134,7 @@ export default function RecommendationCard({ recommendation }) {
         {/* Key Metrics */}
         <div className="space-y-3 mb-4">
           <div className="flex justify-between items-center">
-            <span className="text-corporate-600 text-sm">Premium:</span>
+            <span className="text-corporate-600 text-sm">{isCredit ? 'Net Credit:' : 'Premium:'}</span>
             <span className="font-semibold text-corporate-900">{formatCurrency(recommendation.premium)}</span>
           </div>
           
@@ -63,7 +145,12 @@ export default function RecommendationCard({ recommendation }) {
           
           <div className="flex justify-between items-center">
             <span className="text-corporate-600 text-sm">Probability of Profit:</span>
-            <span className="font-semibold text-green-600">{recommendation.pop.toFixed(1)}%</span>
+            <span className="font-semibold text-green-600">
+              {recommendation.pop.toFixed(1)}%
+              {recommendation.raw_pop != null && Math.abs(recommendation.raw_pop - recommendation.pop) >= 0.05 && (
+                <span className="text-xs text-corporate-500 font-normal ml-1">(calibrated, model {Number(recommendation.raw_pop).toFixed(1)}%)</span>
+              )}
+            </span>
           </div>
           
           <div className="flex justify-between items-center">
@@ -75,8 +162,28 @@ export default function RecommendationCard({ recommendation }) {
             <span className="text-corporate-600 text-sm">Premium %:</span>
             <span className="font-semibold text-corporate-900">{recommendation.premium_percentage.toFixed(2)}%</span>
           </div>
+          
+          {isCredit && recommendation.return_on_risk != null && (
+            <div className="flex justify-between items-center">
+              <span className="text-corporate-600 text-sm">{isStrangle ? 'Return on Margin:' : 'Return on Risk:'}</span>
+              <span className="font-semibold text-green-600">{Number(recommendation.return_on_risk).toFixed(1)}%</span>
+            </div>
+          )}
         </div>
 
+        {recommendation.dividend_adjusted && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-2 mb-4 text-xs text-blue-800">
+            Ex-dividend {recommendation.ex_dividend_date ? formatDate(recommendation.ex_dividend_date) : ''} before expiry
+            {recommendation.dividend_amount ? ` (${formatCurrency(recommendation.dividend_amount)})` : ''} - pricing adjusted
+          </div>
+        )}
+
+        {recommendation.early_assignment_risk && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-2 mb-4 text-xs text-yellow-800">
+            ⚠️ Early assignment risk - stock is near the early-exercise boundary
+          </div>
+        )}
+
         {/* Expiration Info */}
         <div className="bg-corporate-50 rounded-lg p-3 mb-4">
           <div className="flex justify-between items-center text-sm">
@@ -96,12 +203,23 @@ export default function RecommendationCard({ recommendation }) {
           <div className="grid grid-cols-2 gap-4 text-sm">
             <div>
               <span className="text-corporate-600 block">Max Loss:</span>
-              <span className="font-semibold text-red-600">{formatCurrency(recommendation.max_loss)}</span>
+              <span className="font-semibold text-red-600">
+                {recommendation.max_loss != null ? formatCurrency(recommendation.max_loss) : 'Unlimited'}
+              </span>
             </div>
             <div>
               <span className="text-corporate-600 block">Breakeven:</span>
-              <span className="font-semibold text-corporate-900">{formatCurrency(recommendation.breakeven)}</span>
+              <span className="font-semibold text-corporate-900">
+                {formatCurrency(recommendation.breakeven)}
+                {recommendation.upper_breakeven != null && ` / ${formatCurrency(recommendation.upper_breakeven)}`}
+              </span>
             </div>
+            {recommendation.margin_requirement != null && (
+              <div>
+                <span className="text-corporate-600 block">Margin:</span>
+                <span className="font-semibold text-corporate-900">{formatCurrency(recommendation.margin_requirement)}</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -115,9 +233,87 @@ export default function RecommendationCard({ recommendation }) {
               <span className="text-corporate-600">Earnings: </span>
               <span className="font-medium text-corporate-900 ml-1">{formatDate(recommendation.earnings_date)}</span>
             </div>
+            {recommendation.expected_move > 0 && (
+              <div className="flex justify-between items-center text-sm mt-1">
+                <span className="text-corporate-600">Implied move:</span>
+                <span className="font-medium text-corporate-900">
+                  ±{formatCurrency(recommendation.expected_move)} ({Number(recommendation.expected_move_pct).toFixed(1)}%)
+                </span>
+              </div>
+            )}
+            {recommendation.historical_move_pct > 0 && (
+              <div className="flex justify-between items-center text-sm mt-1">
+                <span className="text-corporate-600">Historical avg move:</span>
+                <span className="font-medium text-corporate-900">
+                  ±{Number(recommendation.historical_move_pct).toFixed(1)}%
+                  {recommendation.move_ratio > 0 && (
+                    <span className={`ml-1 ${recommendation.move_ratio >= 1 ? 'text-green-600' : 'text-yellow-700'}`}>
+                      ({recommendation.move_ratio >= 1 ? 'overpriced' : 'underpriced'} {Number(recommendation.move_ratio).toFixed(2)}×)
+                    </span>
+                  )}
+                </span>
+              </div>
+            )}
           </div>
         )}
 
+        {/* Wheel */}
+        {isCoveredCall && (
+          <div className="mt-4 pt-4 border-t border-corporate-200 text-sm space-y-1">
+            <div className="flex justify-between items-center">
+              <span className="text-corporate-600">Cost basis:</span>
+              <span className="font-medium text-corporate-900">
+                {formatCurrency(recommendation.adjusted_cost_basis)}
+                <span className="text-xs text-corporate-500 ml-1">(assigned {formatCurrency(recommendation.cost_basis)})</span>
+              </span>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className="text-corporate-600">Premium collected:</span>
+              <span className="font-medium text-green-600">{formatCurrency(recommendation.cumulative_premium)}</span>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className="text-corporate-600">If called away:</span>
+              <span className="font-medium text-green-600">{formatCurrency(recommendation.if_called_profit)}</span>
+            </div>
+          </div>
+        )}
+
+        {(isShortPut || isCoveredCall) && !signedIn && (
+          <p className="text-xs text-corporate-500 mt-4">Sign in to track wheel positions</p>
+        )}
+        {(isShortPut || isCoveredCall) && signedIn && (
+          <div className="flex gap-2 mt-4">
+            {isShortPut ? (
+              <button
+                onClick={() => handleWheelAction('assigned')}
+                className="flex-1 text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+              >
+                Mark Assigned
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => handleWheelAction('call_sold')}
+                  className="flex-1 text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+                >
+                  Record Sale
+                </button>
+                <button
+                  onClick={() => handleWheelAction('called_away')}
+                  className="flex-1 text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+                >
+                  Called Away
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {wheelStatus && (
+          <p className={`text-xs mt-2 ${wheelStatus.error ? 'text-red-600' : 'text-corporate-600'}`}>
+            {wheelStatus.error || wheelStatus.message}
+          </p>
+        )}
+
         {/* Action Button */}
         <button
           onClick={() => setShowDetails(!showDetails)}
@@ -135,6 +331,27 @@ export default function RecommendationCard({ recommendation }) {
               <div>
                 <span className="text-corporate-600 block">Implied Volatility:</span>
                 <span className="font-medium text-corporate-900">{(recommendation.implied_volatility * 100).toFixed(1)}%</span>
+                {recommendation.iv_source === 'solved' && (
+                  <span className="block text-xs text-corporate-500">Solved from bid/ask mid</span>
+                )}
+                {recommendation.iv_mismatch && (
+                  <span className="block text-xs text-yellow-700">⚠️ Vendor IV disagrees with market mid</span>
+                )}
+                {recommendation.iv_rank !== undefined && recommendation.iv_rank !== null && (
+                  <span className="block text-xs text-corporate-500">
+                    IV rank {Number(recommendation.iv_rank).toFixed(0)} · percentile {Number(recommendation.iv_percentile).toFixed(0)} (52w)
+                  </span>
+                )}
+                {recommendation.fitted_iv > 0 && (
+                  <span className={`block text-xs ${recommendation.rich_strike ? 'text-green-600' : 'text-corporate-500'}`}>
+                    Skew fit {(recommendation.fitted_iv * 100).toFixed(1)}% ({recommendation.iv_residual >= 0 ? '+' : ''}{(recommendation.iv_residual * 100).toFixed(1)} pts){recommendation.rich_strike ? ' · rich vs skew' : ''}
+                  </span>
+                )}
+                {recommendation.realized_volatility > 0 && (
+                  <span className="block text-xs text-corporate-500">
+                    Realized {(recommendation.realized_volatility * 100).toFixed(1)}% · IV premium {recommendation.iv_rv_premium >= 0 ? '+' : ''}{(recommendation.iv_rv_premium * 100).toFixed(1)} pts
+                  </span>
+                )}
               </div>
               <div>
                 <span className="text-corporate-600 block">Created:</span>
@@ -144,6 +361,181 @@ export default function RecommendationCard({ recommendation }) {
               </div>
             </div>
 
+            {recommendation.prob_touch !== undefined && recommendation.prob_touch !== null && (
+              <div className="grid grid-cols-3 gap-4 text-sm" title="Model probabilities - POP calibration does not apply to these">
+                <div>
+                  <span className="text-corporate-600 block">Max Profit:</span>
+                  <span className="font-medium text-green-600">{Number(recommendation.prob_max_profit).toFixed(1)}%</span>
+                </div>
+                <div>
+                  <span className="text-corporate-600 block">Touch Strike:</span>
+                  <span className="font-medium text-yellow-700">{Number(recommendation.prob_touch).toFixed(1)}%</span>
+                </div>
+                <div>
+                  <span className="text-corporate-600 block">Loss:</span>
+                  <span className="font-medium text-red-600">{Number(recommendation.prob_loss).toFixed(1)}%</span>
+                </div>
+              </div>
+            )}
+
+            {/* Legs */}
+            <div className="text-sm">
+              <h4 className="font-semibold text-corporate-900 text-sm">Legs</h4>
+              <ul className="mt-1 space-y-1">
+                {legs.map((leg, index) => (
+                  <li key={index} className="flex justify-between text-xs">
+                    <span className={leg.side === 'sell' ? 'text-red-600' : 'text-green-600'}>
+                      {leg.side === 'sell' ? 'Sell' : 'Buy'} {leg.quantity} {leg.type === 'stock' ? `× 100 shares @ ${formatCurrency(leg.strike)}` : `${leg.strike}${leg.type === 'call' ? 'C' : 'P'}`}
+                    </span>
+                    {leg.type !== 'stock' && (
+                      <span className="text-corporate-700">{formatCurrency(leg.premium)}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-corporate-500 mt-1">
+                Net delta {positionGreeks.delta.toFixed(3)} · theta {positionGreeks.theta.toFixed(3)} · vega {positionGreeks.vega.toFixed(3)}
+                {positionBreakevens.length > 0 && ` · breakeven ${positionBreakevens.map(price => formatCurrency(price)).join(' / ')}`}
+              </p>
+            </div>
+
+            {recommendation.gamma !== undefined && recommendation.gamma !== null && (
+              <>
+                <h4 className="font-semibold text-corporate-900 text-sm">Greeks</h4>
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  {recommendation.american_price !== undefined && recommendation.american_price !== null && (
+                    <>
+                      <div>
+                        <span className="text-corporate-600 block">American Fair Value:</span>
+                        <span className="font-medium text-corporate-900">{formatCurrency(recommendation.american_price)}</span>
+                      </div>
+                      <div>
+                        <span className="text-corporate-600 block">Early Exercise Premium:</span>
+                        <span className="font-medium text-corporate-900">{formatCurrency(recommendation.early_exercise_premium || 0)}</span>
+                      </div>
+                    </>
+                  )}
+                  <div>
+                    <span className="text-corporate-600 block">Gamma:</span>
+                    <span className="font-medium text-corporate-900">{Number(recommendation.gamma).toFixed(4)}</span>
+                  </div>
+                  <div>
+                    <span className="text-corporate-600 block">Theta (per day):</span>
+                    <span className="font-medium text-corporate-900">{Number(recommendation.theta).toFixed(3)}</span>
+                  </div>
+                  <div>
+                    <span className="text-corporate-600 block">Vega (per 1% IV):</span>
+                    <span className="font-medium text-corporate-900">{Number(recommendation.vega).toFixed(3)}</span>
+                  </div>
+                  <div>
+                    <span className="text-corporate-600 block">Rho (per 1% rate):</span>
+                    <span className="font-medium text-corporate-900">{Number(recommendation.rho).toFixed(3)}</span>
+                  </div>
+                </div>
+              </>
+            )}
+
+            {/* Score Breakdown */}
+            {recommendation.score_breakdown && Object.keys(recommendation.score_breakdown).length > 0 && (
+              <div className="border-t border-corporate-200 pt-3">
+                <h4 className="font-semibold text-corporate-900 text-sm">Score Breakdown</h4>
+                <div className="mt-2 space-y-2">
+                  {Object.entries(recommendation.score_breakdown)
+                    .sort(([, a], [, b]) => b.contribution - a.contribution)
+                    .map(([name, factor]) => (
+                      <div key={name} className="text-xs">
+                        <div className="flex justify-between text-corporate-600">
+                          <span>{factor.label || name}</span>
+                          <span>
+                            {Number(factor.score).toFixed(0)} × {(factor.weight * 100).toFixed(0)}% = 
+                            <span className="font-medium text-corporate-900 ml-1">+{Number(factor.contribution).toFixed(1)}</span>
+                          </span>
+                        </div>
+                        <div className="h-2 bg-corporate-100 rounded mt-1">
+                          <div
+                            className="h-2 bg-primary-500 rounded"
+                            style={{ width: `${Math.max(0, Math.min(100, factor.score))}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
+            {/* Monte Carlo Simulation */}
+            <div className="border-t border-corporate-200 pt-3">
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold text-corporate-900 text-sm">Outcome Simulation</h4>
+                <label className="flex items-center text-xs text-corporate-600">
+                  <input
+                    type="checkbox"
+                    className="mr-1"
+                    checked={fatTails}
+                    onChange={(e) => setFatTails(e.target.checked)}
+                  />
+                  Fat tails
+                </label>
+              </div>
+              <button
+                onClick={runSimulation}
+                className="w-full mt-2 text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors"
+              >
+                {simulation ? 'Re-run Simulation' : 'Run Simulation'}
+              </button>
+              
+              {simulation?.error && (
+                <p className="text-xs text-red-600 mt-2">{simulation.error}</p>
+              )}
+              
+              {simulation && !simulation.error && (
+                <div className="mt-3 space-y-2">
+                  <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <span className="text-corporate-600 block">Expected Value:</span>
+                      <span className={`font-medium ${simulation.expectedValue >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(simulation.expectedValue)}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-corporate-600 block">Simulated POP:</span>
+                      <span className="font-medium text-corporate-900">{simulation.probabilityOfProfit.toFixed(1)}%</span>
+                    </div>
+                    <div>
+                      <span className="text-corporate-600 block">VaR ({Math.round(simulation.confidence * 100)}%):</span>
+                      <span className="font-medium text-red-600">{formatCurrency(simulation.valueAtRisk)}</span>
+                    </div>
+                    <div>
+                      <span className="text-corporate-600 block">CVaR ({Math.round(simulation.confidence * 100)}%):</span>
+                      <span className="font-medium text-red-600">{formatCurrency(simulation.conditionalValueAtRisk)}</span>
+                    </div>
+                  </div>
+                  
+                  {/* P&L Histogram */}
+                  <div className="flex items-end h-16 space-x-px">
+                    {simulation.histogram.map((bin, index) => (
+                      <div
+                        key={index}
+                        className={`flex-1 ${bin.to <= 0 ? 'bg-red-300' : 'bg-green-300'}`}
+                        style={{ height: `${Math.max(2, (bin.count / Math.max(...simulation.histogram.map(b => b.count))) * 100)}%` }}
+                        title={`${formatCurrency(bin.from)} to ${formatCurrency(bin.to)}: ${bin.count} paths`}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex justify-between text-xs text-corporate-500">
+                    <span>{formatCurrency(simulation.min)}</span>
+                    <span>{simulation.paths.toLocaleString()} paths, seed {simulation.seed}</span>
+                    <span>{formatCurrency(simulation.max)}</span>
+                  </div>
+                  {simulation.earningsJumpApplied && (
+                    <p className="text-xs text-corporate-500">
+                      Includes a ±{Number(recommendation.expected_move_pct).toFixed(1)}% earnings-day jump ({recommendation.earnings_time === 'bmo' ? 'before open' : 'after close'})
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mt-4">
               <p className="text-yellow-800 text-xs">
                 <strong>Risk Warning:</strong> This is not investment advice. Options trading involves substantial risk. 
@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { recommendationEngine } from '../lib/recommendationEngine'
+
+const RULE_LABELS = {
+  invalid_symbol: 'Invalid symbol',
+  market_cap: 'Market cap',
+  symbol_limit: 'Symbol limit',
+  no_earnings: 'No earnings',
+  no_options_data: 'No options data',
+  invalid_stock_price: 'Stock price',
+  delta: 'Delta',
+  premium_pct: 'Premium %',
+  dte: 'Days to expiry',
+  pre_earnings_expiry: 'Expires before earnings',
+  liquidity: 'Liquidity',
+  premium_unreasonable: 'Premium sanity',
+  expected_move: 'Expected move',
+  pop_band: 'POP band',
+  rank_cutoff: 'Rank cutoff',
+  wheel_assigned: 'Wheel - shares assigned',
+  below_cost_basis: 'Below cost basis',
+  duplicate: 'Duplicate strike/expiry',
+  max_per_symbol: 'Per-symbol limit',
+  max_per_sector: 'Per-sector limit',
+  max_per_earnings_date: 'Per-date limit'
+}
+
+export default function RejectionAudit({ recommendations = [] }) {
+  const [symbol, setSymbol] = useState('')
+  const [searchedSymbol, setSearchedSymbol] = useState(null)
+  const [rejections, setRejections] = useState([])
+  const [searching, setSearching] = useState(false)
+
+  const handleSearch = async (e) => {
+    e.preventDefault()
+    const query = symbol.trim().toUpperCase()
+    if (!query) return
+
+    setSearching(true)
+    try {
+      const results = await recommendationEngine.getRejectionAudit(query)
+      setRejections(results)
+      setSearchedSymbol(query)
+    } catch (error) {
+      console.error('Error loading rejection audit:', error)
+      setRejections([])
+      setSearchedSymbol(query)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const recommendedCount = searchedSymbol
+    ? recommendations.filter(rec => rec.symbol === searchedSymbol).length
+    : 0
+
+  const ruleCounts = rejections.reduce((counts, rejection) => {
+    counts[rejection.rule] = (counts[rejection.rule] || 0) + 1
+    return counts
+  }, {})
+
+  const sortedRejections = [...rejections].sort((a, b) =>
+    String(a.expiration_date || '').localeCompare(String(b.expiration_date || '')) ||
+    (b.strike_price || 0) - (a.strike_price || 0)
+  )
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4 mt-6">
+      <h3 className="text-lg font-semibold text-corporate-900">Why wasn't it recommended?</h3>
+      <p className="text-sm text-corporate-600 mt-1">
+        Search a symbol to see every contract filtered out in the latest run and the rule that rejected it.
+      </p>
+
+      <form onSubmit={handleSearch} className="flex space-x-2 mt-3">
+        <input
+          type="text"
+          value={symbol}
+          onChange={(e) => setSymbol(e.target.value)}
+          placeholder="e.g. AAPL"
+          className="flex-1 border border-corporate-300 rounded-lg px-3 py-2 text-sm uppercase focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={searching || !symbol.trim()}
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {searchedSymbol && (
+        <div className="mt-4">
+          {recommendedCount > 0 && (
+            <p className="text-sm text-green-600 mb-2">
+              {searchedSymbol} has {recommendedCount} active recommendation{recommendedCount === 1 ? '' : 's'}.
+            </p>
+          )}
+
+          {rejections.length === 0 ? (
+            <p className="text-sm text-corporate-500">
+              No rejections recorded for {searchedSymbol}. It may not have had earnings in the scanned window.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {Object.entries(ruleCounts)
+                  .sort(([, a], [, b]) => b - a)
+                  .map(([rule, count]) => (
+                    <span key={rule} className="text-xs px-2 py-1 rounded-full bg-corporate-100 text-corporate-700">
+                      {RULE_LABELS[rule] || rule}: {count}
+                    </span>
+                  ))}
+              </div>
+
+              <div className="max-h-80 overflow-y-auto border border-corporate-200 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-corporate-50 text-corporate-600 text-xs sticky top-0">
+                    <tr>
+                      <th className="text-left px-3 py-2">Expiration</th>
+                      <th className="text-right px-3 py-2">Strike</th>
+                      <th className="text-left px-3 py-2">Rule</th>
+                      <th className="text-left px-3 py-2">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedRejections.map((rejection, index) => (
+                      <tr key={index} className="border-t border-corporate-100">
+                        <td className="px-3 py-2 text-corporate-900">{rejection.expiration_date || '—'}</td>
+                        <td className="px-3 py-2 text-right text-corporate-900">
+                          {rejection.strike_price !== null && rejection.strike_price !== undefined
+                            ? `$${Number(rejection.strike_price).toFixed(2)}`
+                            : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-corporate-700">{RULE_LABELS[rejection.rule] || rejection.rule}</td>
+                        <td className="px-3 py-2 text-corporate-600">{rejection.reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react'
+import { trackRecommendationOutcomes, getTrackRecord, OUTCOME_LABELS, MAX_SETTLED_ROWS } from '../lib/outcomes'
+import CalibrationReport from './CalibrationReport'
+
+const OUTCOME_COLORS = {
+  expired_worthless: 'text-green-600',
+  assigned: 'text-yellow-600',
+  loss: 'text-red-600'
+}
+
+export default function TrackRecord({ signedIn = false }) {
+  const [record, setRecord] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [updating, setUpdating] = useState(false)
+  const [lastRun, setLastRun] = useState(null)
+
+  // Settlement writes need a session; signed-out visitors only read the settled record
+  useEffect(() => {
+    handleUpdate()
+  }, [signedIn])
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2
+    }).format(value)
+  }
+
+  const handleUpdate = async () => {
+    setUpdating(true)
+    try {
+      if (signedIn) {
+        setLastRun(await trackRecommendationOutcomes())
+      }
+      setRecord(await getTrackRecord())
+    } catch (error) {
+      console.error('Error updating track record:', error)
+    } finally {
+      setUpdating(false)
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4 text-sm text-corporate-600">
+        {signedIn ? 'Settling expired recommendations...' : 'Loading track record...'}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4">
+        <div className="flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-corporate-900">Track Record</h3>
+            <p className="text-sm text-corporate-600 mt-1">
+              Past recommendations settled on the underlying's close at expiration. Each contract counts once, from the first run that recommended it.
+            </p>
+            <p className="text-xs text-corporate-500 mt-1">
+              Built from the {MAX_SETTLED_ROWS.toLocaleString()} most recent settled rows
+              {record?.truncated && ' - that limit was reached, so older trades are left out of these stats and the calibration below'}.
+            </p>
+          </div>
+          {signedIn ? (
+            <button
+              onClick={handleUpdate}
+              className="text-sm bg-corporate-100 text-corporate-700 px-3 py-2 rounded hover:bg-corporate-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={updating}
+            >
+              {updating ? 'Updating...' : 'Update Outcomes'}
+            </button>
+          ) : (
+            <span className="text-xs text-corporate-500">Sign in to settle new outcomes</span>
+          )}
+        </div>
+
+        {lastRun && (lastRun.settled > 0 || lastRun.pending > 0) && (
+          <p className="text-xs text-corporate-500 mt-2">
+            Settled {lastRun.settled} recommendation{lastRun.settled === 1 ? '' : 's'} this run
+            {lastRun.pending > 0 && `, ${lastRun.pending} still waiting on an expiration close`}.
+          </p>
+        )}
+
+        {!record || record.summary.count === 0 ? (
+          <p className="text-sm text-corporate-500 mt-4">No recommendations have expired yet.</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-corporate-900">{record.summary.count}</div>
+              <div className="text-xs text-corporate-600">Settled trades</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-xl font-bold text-green-600">{record.summary.hitRate.toFixed(1)}%</div>
+              <div className="text-xs text-corporate-600">Hit rate</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className={`text-xl font-bold ${record.summary.totalPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatCurrency(record.summary.totalPnl)}
+              </div>
+              <div className="text-xs text-corporate-600">Realized P&amp;L</div>
+            </div>
+            <div className="bg-corporate-50 rounded-lg p-3">
+              <div className="text-sm text-corporate-900 space-y-1">
+                {Object.entries(OUTCOME_LABELS).map(([outcome, label]) => (
+                  <div key={outcome} className="flex justify-between">
+                    <span className={OUTCOME_COLORS[outcome]}>{label}</span>
+                    <span className="font-medium">{record.outcomes[outcome]}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {record && record.summary.count > 0 && (
+        <>
+          <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4">
+            <h4 className="font-semibold text-corporate-900 text-sm mb-2">Hit Rate by Confidence</h4>
+            <table className="w-full text-sm">
+              <thead className="bg-corporate-50 text-corporate-600 text-xs">
+                <tr>
+                  <th className="text-left px-3 py-2">Confidence</th>
+                  <th className="text-right px-3 py-2">Trades</th>
+                  <th className="text-right px-3 py-2">Hit rate</th>
+                  <th className="text-right px-3 py-2">Avg. P&amp;L</th>
+                  <th className="text-right px-3 py-2">Total P&amp;L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {record.buckets.map(bucket => (
+                  <tr key={bucket.label} className="border-t border-corporate-100">
+                    <td className="px-3 py-2 text-corporate-900">{bucket.label}</td>
+                    <td className="px-3 py-2 text-right text-corporate-900">{bucket.count}</td>
+                    <td className="px-3 py-2 text-right text-corporate-900">
+                      {bucket.count > 0 ? `${bucket.hitRate.toFixed(1)}%` : '-'}
+                    </td>
+                    <td className={`px-3 py-2 text-right ${bucket.averagePnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {bucket.count > 0 ? formatCurrency(bucket.averagePnl) : '-'}
+                    </td>
+                    <td className={`px-3 py-2 text-right ${bucket.totalPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {bucket.count > 0 ? formatCurrency(bucket.totalPnl) : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <CalibrationReport recommendations={record.trades} signedIn={signedIn} />
+
+          <div className="bg-white rounded-lg shadow-sm border border-corporate-200 p-4">
+            <h4 className="font-semibold text-corporate-900 text-sm mb-2">Settled Recommendations</h4>
+            <div className="max-h-80 overflow-y-auto border border-corporate-200 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-corporate-50 text-corporate-600 text-xs sticky top-0">
+                  <tr>
+                    <th className="text-left px-3 py-2">Symbol</th>
+                    <th className="text-left px-3 py-2">Expiration</th>
+                    <th className="text-right px-3 py-2">Strike</th>
+                    <th className="text-right px-3 py-2">Confidence</th>
+                    <th className="text-right px-3 py-2">Close</th>
+                    <th className="text-left px-3 py-2">Outcome</th>
+                    <th className="text-right px-3 py-2">P&amp;L</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {record.trades.map(trade => (
+                    <tr key={trade.id} className="border-t border-corporate-100">
+                      <td className="px-3 py-2 text-corporate-900">{trade.symbol}</td>
+                      <td className="px-3 py-2 text-corporate-700">{String(trade.expiration_date).split('T')[0]}</td>
+                      <td className="px-3 py-2 text-right text-corporate-900">{formatCurrency(trade.strike_price)}</td>
+                      <td className="px-3 py-2 text-right text-corporate-700">{Number(trade.confidence_score).toFixed(1)}</td>
+                      <td className="px-3 py-2 text-right text-corporate-900">{formatCurrency(trade.settlement_price)}</td>
+                      <td className={`px-3 py-2 ${OUTCOME_COLORS[trade.outcome]}`}>{OUTCOME_LABELS[trade.outcome] || trade.outcome}</td>
+                      <td className={`px-3 py-2 text-right font-medium ${Number(trade.realized_pnl) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(Number(trade.realized_pnl))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import { supabase } from './supabase'
+
+/**
+ * Supabase Auth session helpers
+ * Market data, recommendations and the track record are readable anonymously. Writes that
+ * change tracked state (wheel positions, outcome settlement, the calibration curve) are only
+ * allowed for authenticated users, so the UI hides those actions without a session.
+ * Users are created in the Supabase dashboard; the app only signs existing users in.
+ */
+
+/**
+ * Get the current session, if any
+ * @returns {Promise<Object|null>} Supabase session or null when signed out
+ */
+export async function getSession() {
+  try {
+    const { data, error } = await supabase.auth.getSession()
+
+    if (error) {
+      console.warn('⚠️ AUTH: Error loading session:', error)
+      return null
+    }
+
+    return data?.session || null
+  } catch (error) {
+    console.error('💥 AUTH: Error loading session:', error)
+    return null
+  }
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+export async function signIn(email, password) {
+  try {
+    const { data, error } = await supabase.auth.signInWithPassword({ email: email.trim(), password })
+
+    if (error) {
+      console.warn('⚠️ AUTH: Sign in failed:', error.message)
+      return { success: false, error: error.message }
+    }
+
+    console.log(`✅ AUTH: Signed in as ${data.session?.user?.email}`)
+    return { success: true, session: data.session }
+  } catch (error) {
+    console.error('💥 AUTH: Sign in failed:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Sign out of the current session
+ * @returns {Promise<boolean>} True if signed out
+ */
+export async function signOut() {
+  try {
+    const { error } = await supabase.auth.signOut()
+
+    if (error) {
+      console.warn('⚠️ AUTH: Sign out failed:', error)
+      return false
+    }
+
+    console.log('👋 AUTH: Signed out')
+    return true
+  } catch (error) {
+    console.error('💥 AUTH: Sign out failed:', error)
+    return false
+  }
+}
+
+/**
+ * Subscribe to session changes (sign in, sign out, token refresh)
+ * @param {Function} callback - Called with the new session or null
+ * @returns {Function} Unsubscribe function
+ */
+export function onSessionChange(callback) {
+  const { data } = supabase.auth.onAuthStateChange((event, session) => {
+    callback(session || null)
+  })
+
+  return () => data?.subscription?.unsubscribe()
+}
@@ -0,0 +1,310 @@
+import { RecommendationEngine } from './recommendationEngine'
+import { getHistoricalEarnings } from './earnings'
+import { getDailyAggregates } from './polygon'
+import { getChainSnapshots } from './chainHistory'
+import { generateMockChainSnapshot } from './mockData'
+import { adjustExpirationDate, getPreviousTradingDay, getTodayET } from './marketCalendar'
+import { getRecommendationLegs, calculatePositionPayoff } from './positions'
+
+/**
+ * Historical backtester for the put-selling criteria
+ * Replays past earnings reports through RecommendationEngine.processSymbol using the option
+ * chain snapshot taken before each report, then settles every trade at expiration on the
+ * historical close. Sensitivity runs re-use the loaded events with one criterion varied.
+ */
+
+const USE_MOCK_DATA = import.meta.env.VITE_USE_MOCK_DATA === 'true'
+const MAX_SNAPSHOT_AGE_DAYS = 5 // Ignore snapshots taken more than this many days before the report
+const SETTLEMENT_WINDOW_DAYS = 45 // Closes fetched past the last report to settle its expirations
+
+// Backtests measure the naked put screen unless the caller opts other strategies back in
+const BACKTEST_CRITERIA = {
+  enableSpreads: false,
+  enableNeutralStrategies: false,
+  enableWheel: false
+}
+
+// Step each criterion is moved by in the sensitivity sweep (baseline ± 2 steps)
+export const SENSITIVITY_STEPS = {
+  minPOP: 2,
+  maxPOP: 2,
+  minDelta: 0.05,
+  minPremiumPercentage: 1
+}
+
+/**
+ * Shift a date string by a number of calendar days
+ * @param {string} dateString - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+function shiftDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Find the last bar on or before a date
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} dateString - Date string
+ * @returns {Object|null} Bar or null
+ */
+function findBarOnOrBefore(bars, dateString) {
+  for (let i = bars.length - 1; i >= 0; i--) {
+    if (bars[i].date <= dateString) {
+      return bars[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Load the replayable earnings events for a set of symbols
+ * Each event pairs a past report with the last chain snapshot taken before it (synthesized
+ * from daily closes in mock mode) and the daily bars used to settle trades.
+ * @param {Array} symbols - Stock symbols
+ * @param {number} quarters - Past reports per symbol
+ * @returns {Promise<Object>} { events, skipped }
+ */
+export async function loadBacktestEvents(symbols, quarters = 8) {
+  const today = getTodayET()
+  const events = []
+  const skipped = []
+
+  for (const symbol of symbols) {
+    try {
+      // Four extra quarters so each replayed report has a year-ago EPS for growth
+      const history = (await getHistoricalEarnings(symbol, quarters + 4))
+        .map(entry => ({ ...entry, date: String(entry.date).split('T')[0] }))
+        .filter(entry => entry.date < today)
+      const reports = history.slice(0, quarters)
+
+      if (reports.length === 0) {
+        skipped.push({ symbol, date: null, reason: 'No historical earnings' })
+        continue
+      }
+
+      const earliest = reports[reports.length - 1].date
+      const latest = reports[0].date
+      const barsTo = [shiftDate(latest, SETTLEMENT_WINDOW_DAYS), shiftDate(today, -1)].sort()[0]
+      const bars = await getDailyAggregates(symbol, shiftDate(earliest, -MAX_SNAPSHOT_AGE_DAYS - 5), barsTo)
+      const snapshots = await getChainSnapshots(symbol)
+
+      reports.forEach((report, index) => {
+        // After-close reports can trade the same session; pre-market reports need the prior one
+        const cutoff = report.time === 'bmo' ? getPreviousTradingDay(shiftDate(report.date, -1)) : report.date
+        const oldest = shiftDate(cutoff, -MAX_SNAPSHOT_AGE_DAYS)
+
+        let snapshot = snapshots.find(candidate => candidate.snapshotDate <= cutoff && candidate.snapshotDate >= oldest)
+        if (!snapshot && USE_MOCK_DATA) {
+          const bar = findBarOnOrBefore(bars, cutoff)
+          snapshot = bar ? generateMockChainSnapshot(symbol, bar.date, bar.close, report.date) : null
+        }
+
+        if (!snapshot) {
+          skipped.push({ symbol, date: report.date, reason: 'No chain snapshot before the report' })
+          return
+        }
+
+        const yearAgo = history[index + 4]
+        const epsGrowth = yearAgo?.eps && report.eps !== undefined
+          ? ((report.eps - yearAgo.eps) / Math.abs(yearAgo.eps)) * 100
+          : 0
+
+        events.push({
+          symbol,
+          earnings: {
+            symbol,
+            date: report.date,
+            time: report.time,
+            epsGrowth
+          },
+          snapshot,
+          bars
+        })
+      })
+
+    } catch (error) {
+      console.error(`💥 BACKTEST: Error loading events for ${symbol}:`, error)
+      skipped.push({ symbol, date: null, reason: error.message })
+    }
+  }
+
+  console.log(`📊 BACKTEST: Loaded ${events.length} replayable earnings events (${skipped.length} skipped)`)
+  return { events, skipped }
+}
+
+/**
+ * Capital tied up by a trade - margin when known, otherwise its max loss
+ * (strike less premium for a cash-secured put)
+ * @param {Object} recommendation - Recommendation
+ * @returns {number} Capital in dollars
+ */
+function getTradeCapital(recommendation) {
+  return recommendation.margin_requirement ?? recommendation.max_loss
+}
+
+/**
+ * Settle a recommendation at expiration on the historical close
+ * @param {Object} recommendation - Recommendation with legs
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {Object|null} Trade result, or null if the expiration close isn't available yet
+ */
+export function settleRecommendation(recommendation, bars) {
+  const expiration = adjustExpirationDate(recommendation.expiration_date)
+  const lastBar = bars[bars.length - 1]
+  const bar = findBarOnOrBefore(bars, expiration)
+
+  if (!bar || !lastBar || lastBar.date < expiration) {
+    return null
+  }
+
+  const pnl = calculatePositionPayoff(getRecommendationLegs(recommendation), bar.close)
+  const capital = getTradeCapital(recommendation)
+
+  return {
+    symbol: recommendation.symbol,
+    strategy: recommendation.strategy,
+    earnings_date: recommendation.earnings_date,
+    expiration_date: recommendation.expiration_date,
+    strike_price: recommendation.strike_price,
+    premium: recommendation.premium,
+    pop: recommendation.pop,
+    confidence_score: recommendation.confidence_score,
+    stock_price: recommendation.stock_price,
+    settlement_price: bar.close,
+    pnl,
+    capital,
+    return_pct: capital > 0 ? (pnl / capital) * 100 : 0,
+    win: pnl > 0
+  }
+}
+
+/**
+ * Replay loaded events through the engine with a set of criteria
+ * @param {Array} events - Events from loadBacktestEvents
+ * @param {Object} criteria - Engine criteria overrides
+ * @param {number} tradesPerEvent - Highest-confidence recommendations taken per report (default 1)
+ * @returns {Promise<Array>} Settled trades
+ */
+export async function replayEvents(events, criteria = {}, tradesPerEvent = 1) {
+  const engine = new RecommendationEngine()
+  engine.updateCriteria({ ...BACKTEST_CRITERIA, ...criteria })
+  await engine.loadScoringWeights()
+
+  const trades = []
+
+  for (const event of events) {
+    try {
+      engine.asOf = event.snapshot.snapshotTime || `${event.snapshot.snapshotDate}T19:30:00Z`
+      const recommendations = await engine.processSymbol(event.symbol, event.earnings, event.snapshot)
+
+      recommendations
+        .sort((a, b) => b.confidence_score - a.confidence_score)
+        .slice(0, tradesPerEvent)
+        .forEach(recommendation => {
+          const trade = settleRecommendation(recommendation, event.bars)
+          if (trade) {
+            trades.push(trade)
+          }
+        })
+
+    } catch (error) {
+      console.error(`💥 BACKTEST: Error replaying ${event.symbol} ${event.earnings.date}:`, error)
+    }
+  }
+
+  return trades
+}
+
+/**
+ * Summarize settled trades
+ * Drawdown is measured on cumulative P&L with trades ordered by expiration.
+ * @param {Array} trades - Settled trades
+ * @returns {Object} { trades, wins, winRate, totalPnl, averageReturnPct, maxDrawdown }
+ */
+export function summarizeTrades(trades) {
+  const ordered = [...trades].sort((a, b) => a.expiration_date.localeCompare(b.expiration_date))
+
+  let equity = 0
+  let peak = 0
+  let maxDrawdown = 0
+  for (const trade of ordered) {
+    equity += trade.pnl
+    peak = Math.max(peak, equity)
+    maxDrawdown = Math.max(maxDrawdown, peak - equity)
+  }
+
+  const wins = trades.filter(trade => trade.win).length
+
+  return {
+    trades: trades.length,
+    wins,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+    totalPnl: equity,
+    averageReturnPct: trades.length > 0
+      ? trades.reduce((sum, trade) => sum + trade.return_pct, 0) / trades.length
+      : 0,
+    maxDrawdown
+  }
+}
+
+/**
+ * Run a backtest of the put-selling criteria with a per-criterion sensitivity sweep
+ * @param {Object} options - Backtest settings
+ * @param {Array} options.symbols - Symbols to replay
+ * @param {number} options.quarters - Past reports per symbol (default 8)
+ * @param {Object} options.criteria - Baseline criteria overrides (default engine criteria)
+ * @param {boolean} options.sensitivity - Sweep each criterion in SENSITIVITY_STEPS (default true)
+ * @param {number} options.tradesPerEvent - Recommendations taken per report (default 1)
+ * @returns {Promise<Object>} { criteria, events, skipped, summary, trades, sensitivity }
+ */
+export async function runBacktest({ symbols, quarters = 8, criteria = {}, sensitivity = true, tradesPerEvent = 1 }) {
+  console.log(`🧪 BACKTEST: Running backtest on ${symbols.length} symbols over ${quarters} quarters`, criteria)
+
+  const { events, skipped } = await loadBacktestEvents(symbols, quarters)
+  const defaults = new RecommendationEngine()
+  const baseline = Object.fromEntries(
+    Object.keys(SENSITIVITY_STEPS).map(name => [name, criteria[name] ?? defaults[name]])
+  )
+
+  const trades = await replayEvents(events, { ...criteria, ...baseline }, tradesPerEvent)
+  const summary = summarizeTrades(trades)
+
+  console.log('✅ BACKTEST: Baseline results:', summary)
+
+  const sweep = {}
+  if (sensitivity) {
+    for (const [name, step] of Object.entries(SENSITIVITY_STEPS)) {
+      sweep[name] = []
+      for (let k = -2; k <= 2; k++) {
+        const value = Math.round((baseline[name] + k * step) * 1000) / 1000
+        if (value <= 0 || ((name === 'minPOP' || name === 'maxPOP') && value > 100)) continue
+
+        const sweepTrades = k === 0
+          ? trades
+          : await replayEvents(events, { ...criteria, ...baseline, [name]: value }, tradesPerEvent)
+
+        sweep[name].push({
+          value,
+          baseline: k === 0,
+          ...summarizeTrades(sweepTrades)
+        })
+      }
+    }
+
+    console.log('✅ BACKTEST: Sensitivity sweep complete:', Object.fromEntries(
+      Object.entries(sweep).map(([name, rows]) => [name, rows.map(row => `${row.value}: ${row.trades} trades, ${row.winRate.toFixed(0)}% win`)])
+    ))
+  }
+
+  return {
+    criteria: baseline,
+    events: events.length,
+    skipped,
+    summary,
+    trades,
+    sensitivity: sweep
+  }
+}
@@ -1,3 +1,6 @@
+import { getExpirationTime } from './marketCalendar'
+import { calculateScore } from './scoring'
+
 /**
  * Mathematical calculations for options trading
  */
@@ -33,6 +36,328 @@ function erf(x) {
   return sign * y
 }
 
+/**
+ * Standard normal probability density function
+ * @param {number} x - Input value
+ * @returns {number} PDF value
+ */
+function normalPDF(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI)
+}
+
+/**
+ * Calculate the Black-Scholes d1 and d2 terms
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate
+ * @param {number} volatility - Annualized volatility
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {Object} d1 and d2 values
+ */
+function calculateD1D2(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield = 0) {
+  const sqrtT = Math.sqrt(timeToExpiry)
+  const d1 = (Math.log(stockPrice / strikePrice) +
+             (riskFreeRate - dividendYield + 0.5 * Math.pow(volatility, 2)) * timeToExpiry) /
+             (volatility * sqrtT)
+  const d2 = d1 - volatility * sqrtT
+
+  return { d1, d2 }
+}
+
+/**
+ * Adjust the stock price for discrete dividends paid before expiration
+ * Subtracts the present value of each dividend whose ex-date falls before expiry
+ * (escrowed dividend model), so European formulas can be used unchanged.
+ * @param {number} stockPrice - Current stock price
+ * @param {Array} dividends - Discrete dividends as { time, amount } with time in years
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @returns {number} Dividend-adjusted stock price
+ */
+export function calculateDividendAdjustedPrice(stockPrice, dividends, timeToExpiry, riskFreeRate = 0.05) {
+  const pvDividends = (dividends || [])
+    .filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry)
+    .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-riskFreeRate * dividend.time), 0)
+
+  return Math.max(0, stockPrice - pvDividends)
+}
+
+/**
+ * Calculate European option fair value using Black-Scholes
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} volatility - Annualized volatility
+ * @param {string} optionType - 'put' or 'call' (default 'put')
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number} Option price per share
+ */
+export function calculateBlackScholesPrice(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, volatility, optionType = 'put', dividendYield = 0) {
+  if (timeToExpiry <= 0 || volatility <= 0) {
+    return optionType === 'call' ?
+      Math.max(0, stockPrice - strikePrice) :
+      Math.max(0, strikePrice - stockPrice)
+  }
+
+  const { d1, d2 } = calculateD1D2(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield)
+  const discount = Math.exp(-riskFreeRate * timeToExpiry)
+  const dividendDiscount = Math.exp(-dividendYield * timeToExpiry)
+
+  if (optionType === 'call') {
+    return stockPrice * dividendDiscount * normalCDF(d1) - strikePrice * discount * normalCDF(d2)
+  }
+
+  return strikePrice * discount * normalCDF(-d2) - stockPrice * dividendDiscount * normalCDF(-d1)
+}
+
+/**
+ * Calculate Black-Scholes price and Greeks for a put or call
+ * Theta is per calendar day, vega per 1 point of volatility and rho per 1% change in rates.
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} volatility - Annualized volatility
+ * @param {string} optionType - 'put' or 'call' (default 'put')
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {Object} Price, delta, gamma, theta, vega and rho
+ */
+export function calculateGreeks(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, volatility, optionType = 'put', dividendYield = 0) {
+  const isCall = optionType === 'call'
+  const price = calculateBlackScholesPrice(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividendYield)
+
+  // At (or past) expiry, or without a volatility, only intrinsic value remains
+  if (timeToExpiry <= 0 || volatility <= 0 || stockPrice <= 0 || strikePrice <= 0) {
+    const inTheMoney = isCall ? stockPrice > strikePrice : stockPrice < strikePrice
+    return {
+      price,
+      delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    }
+  }
+
+  const { d1, d2 } = calculateD1D2(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, dividendYield)
+  const sqrtT = Math.sqrt(timeToExpiry)
+  const discount = Math.exp(-riskFreeRate * timeToExpiry)
+  const dividendDiscount = Math.exp(-dividendYield * timeToExpiry)
+  const pdfD1 = normalPDF(d1)
+
+  const delta = isCall ?
+    dividendDiscount * normalCDF(d1) :
+    dividendDiscount * (normalCDF(d1) - 1)
+  const gamma = dividendDiscount * pdfD1 / (stockPrice * volatility * sqrtT)
+  const vega = stockPrice * dividendDiscount * pdfD1 * sqrtT / 100
+
+  const decay = -(stockPrice * dividendDiscount * pdfD1 * volatility) / (2 * sqrtT)
+  const carry = isCall ?
+    -riskFreeRate * strikePrice * discount * normalCDF(d2) + dividendYield * stockPrice * dividendDiscount * normalCDF(d1) :
+    riskFreeRate * strikePrice * discount * normalCDF(-d2) - dividendYield * stockPrice * dividendDiscount * normalCDF(-d1)
+  const theta = (decay + carry) / 365
+
+  const rho = isCall ?
+    strikePrice * timeToExpiry * discount * normalCDF(d2) / 100 :
+    -strikePrice * timeToExpiry * discount * normalCDF(-d2) / 100
+
+  return { price, delta, gamma, theta, vega, rho }
+}
+
+/**
+ * Run a Cox-Ross-Rubinstein binomial tree with discrete (escrowed) dividends
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate
+ * @param {number} volatility - Annualized volatility
+ * @param {string} optionType - 'put' or 'call'
+ * @param {Array} dividends - Discrete dividends as { time, amount } with time in years
+ * @param {number} steps - Number of tree steps
+ * @param {boolean} american - Whether early exercise is allowed
+ * @param {number} dividendYield - Continuous dividend yield
+ * @returns {Object} Price, first tree levels (for Greeks) and early-exercise boundary
+ */
+function runBinomialTree(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividends, steps, american, dividendYield) {
+  const isCall = optionType === 'call'
+  const dt = timeToExpiry / steps
+  const up = Math.exp(volatility * Math.sqrt(dt))
+  const down = 1 / up
+  const growth = Math.exp((riskFreeRate - dividendYield) * dt)
+  const upProbability = (growth - down) / (up - down)
+  const discount = Math.exp(-riskFreeRate * dt)
+
+  const payoff = (spot) => isCall ? Math.max(0, spot - strikePrice) : Math.max(0, strikePrice - spot)
+
+  // Escrowed dividend model: the tree runs on the price net of dividends still to be paid
+  const pvDividendsAt = (t) => dividends
+    .filter(dividend => dividend.time > t && dividend.time <= timeToExpiry)
+    .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-riskFreeRate * (dividend.time - t)), 0)
+  const netStockPrice = stockPrice - pvDividendsAt(0)
+
+  let values = []
+  for (let j = 0; j <= steps; j++) {
+    values.push(payoff(netStockPrice * Math.pow(up, j) * Math.pow(down, steps - j)))
+  }
+
+  const levels = []
+  const exerciseBoundary = []
+
+  for (let i = steps - 1; i >= 0; i--) {
+    const t = i * dt
+    const pvDividends = pvDividendsAt(t)
+    const spots = []
+    let criticalPrice = null
+
+    for (let j = 0; j <= i; j++) {
+      const spot = netStockPrice * Math.pow(up, j) * Math.pow(down, i - j) + pvDividends
+      const continuation = discount * (upProbability * values[j + 1] + (1 - upProbability) * values[j])
+      const exercise = payoff(spot)
+      spots.push(spot)
+
+      if (american && exercise > 0 && exercise > continuation) {
+        values[j] = exercise
+        // Puts are exercised below the boundary, calls above it
+        if (criticalPrice === null || (isCall ? spot < criticalPrice : spot > criticalPrice)) {
+          criticalPrice = spot
+        }
+      } else {
+        values[j] = continuation
+      }
+    }
+
+    values.length = i + 1
+    exerciseBoundary.unshift({ time: t, criticalPrice })
+
+    if (i <= 2) {
+      levels[i] = { spots, values: values.slice() }
+    }
+  }
+
+  return { price: values[0], levels, exerciseBoundary, dt }
+}
+
+/**
+ * Price an American option with a Cox-Ross-Rubinstein binomial tree
+ * Discrete dividends are handled with the escrowed dividend model. Delta, gamma and
+ * theta come from the tree; vega and rho are bump-and-reprice, in the same units as calculateGreeks.
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} volatility - Annualized volatility
+ * @param {string} optionType - 'put' or 'call' (default 'put')
+ * @param {Array} dividends - Discrete dividends as { time, amount } with time in years (default none)
+ * @param {number} steps - Number of tree steps (default 100)
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {Object} Fair value, European value, early exercise premium, Greeks and exercise boundary
+ */
+export function calculateAmericanOption(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, volatility, optionType = 'put', dividends = [], steps = 100, dividendYield = 0) {
+  const isCall = optionType === 'call'
+  const intrinsic = isCall ?
+    Math.max(0, stockPrice - strikePrice) :
+    Math.max(0, strikePrice - stockPrice)
+
+  // Same intrinsic-value fallback as calculateGreeks
+  if (timeToExpiry <= 0 || volatility <= 0 || stockPrice <= 0 || strikePrice <= 0) {
+    return {
+      price: intrinsic,
+      europeanPrice: intrinsic,
+      earlyExercisePremium: 0,
+      delta: intrinsic > 0 ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0,
+      exerciseBoundary: []
+    }
+  }
+
+  steps = Math.max(3, Math.round(steps))
+
+  const tree = runBinomialTree(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividends, steps, true, dividendYield)
+  const europeanTree = runBinomialTree(stockPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType, dividends, steps, false, dividendYield)
+
+  const [, level1, level2] = tree.levels
+  const delta = (level1.values[1] - level1.values[0]) / (level1.spots[1] - level1.spots[0])
+  const upperDelta = (level2.values[2] - level2.values[1]) / (level2.spots[2] - level2.spots[1])
+  const lowerDelta = (level2.values[1] - level2.values[0]) / (level2.spots[1] - level2.spots[0])
+  const gamma = (upperDelta - lowerDelta) / ((level2.spots[2] - level2.spots[0]) / 2)
+  const theta = (level2.values[1] - tree.price) / (2 * tree.dt) / 365
+
+  const volBump = 0.01
+  const rateBump = 0.01
+  const reprice = (rate, vol) => runBinomialTree(stockPrice, strikePrice, timeToExpiry, rate, vol, optionType, dividends, steps, true, dividendYield).price
+  const vega = (reprice(riskFreeRate, volatility + volBump) - reprice(riskFreeRate, Math.max(1e-4, volatility - volBump))) / 2
+  const rho = (reprice(riskFreeRate + rateBump, volatility) - reprice(riskFreeRate - rateBump, volatility)) / 2
+
+  return {
+    price: tree.price,
+    europeanPrice: europeanTree.price,
+    earlyExercisePremium: Math.max(0, tree.price - europeanTree.price),
+    delta,
+    gamma,
+    theta,
+    vega,
+    rho,
+    exerciseBoundary: tree.exerciseBoundary
+  }
+}
+
+/**
+ * Solve for implied volatility from an observed option price
+ * Uses Newton-Raphson on vega, falling back to bisection when a step leaves the bracket.
+ * @param {number} optionPrice - Observed option price (e.g. bid/ask mid)
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {string} optionType - 'put' or 'call' (default 'put')
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number|null} Implied volatility, or null if the price has no solution
+ */
+export function calculateImpliedVolatility(optionPrice, stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, optionType = 'put', dividendYield = 0) {
+  if (!(optionPrice > 0) || !(stockPrice > 0) || !(strikePrice > 0) || timeToExpiry <= 0) {
+    return null
+  }
+
+  const tolerance = 1e-6
+  const maxIterations = 100
+  let low = 1e-4
+  let high = 5
+
+  const priceAt = (vol) => calculateBlackScholesPrice(stockPrice, strikePrice, timeToExpiry, riskFreeRate, vol, optionType, dividendYield)
+
+  // Price must sit between the no-volatility and maximum-volatility bounds
+  if (optionPrice < priceAt(low) - tolerance || optionPrice > priceAt(high)) {
+    return null
+  }
+
+  let vol = 0.3
+  for (let i = 0; i < maxIterations; i++) {
+    const diff = priceAt(vol) - optionPrice
+
+    if (Math.abs(diff) < tolerance) {
+      return vol
+    }
+
+    if (diff > 0) {
+      high = vol
+    } else {
+      low = vol
+    }
+
+    const vega = calculateGreeks(stockPrice, strikePrice, timeToExpiry, riskFreeRate, vol, optionType, dividendYield).vega * 100
+    const newtonStep = vega > 1e-8 ? vol - diff / vega : NaN
+
+    vol = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2
+  }
+
+  return vol
+}
+
 /**
  * Calculate Probability of Profit for put options using Black-Scholes
  * @param {number} stockPrice - Current stock price
@@ -40,74 +365,224 @@ function erf(x) {
  * @param {number} timeToExpiry - Time to expiration in years
  * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
  * @param {number} impliedVolatility - Implied volatility
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
  * @returns {number} Probability of profit as percentage
  */
-export function calculatePOP(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, impliedVolatility) {
+export function calculatePOP(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, impliedVolatility, dividendYield = 0) {
   if (timeToExpiry <= 0 || impliedVolatility <= 0) {
     return 0
   }
 
   const d2 = (Math.log(stockPrice / strikePrice) + 
-             (riskFreeRate - 0.5 * Math.pow(impliedVolatility, 2)) * timeToExpiry) /
+             (riskFreeRate - dividendYield - 0.5 * Math.pow(impliedVolatility, 2)) * timeToExpiry) /
              (impliedVolatility * Math.sqrt(timeToExpiry))
   
   // For put options, POP is the probability that stock price stays above strike
   return normalCDF(d2) * 100
 }
 
+/**
+ * Calculate the probability that the stock touches a price level before expiration
+ * Uses the reflection principle for geometric Brownian motion with risk-neutral drift.
+ * @param {number} stockPrice - Current stock price
+ * @param {number} barrierPrice - Price level (e.g. a put strike)
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} impliedVolatility - Implied volatility
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number} Probability of touch as percentage
+ */
+export function calculateProbabilityOfTouch(stockPrice, barrierPrice, timeToExpiry, riskFreeRate = 0.05, impliedVolatility, dividendYield = 0) {
+  if (stockPrice <= 0 || barrierPrice <= 0) {
+    return 0
+  }
+
+  // Already at or through the level
+  if (barrierPrice === stockPrice) {
+    return 100
+  }
+
+  if (timeToExpiry <= 0 || impliedVolatility <= 0) {
+    return 0
+  }
+
+  const drift = riskFreeRate - dividendYield - 0.5 * Math.pow(impliedVolatility, 2)
+  const sigmaSqrtT = impliedVolatility * Math.sqrt(timeToExpiry)
+  const logDistance = Math.log(barrierPrice / stockPrice)
+  const reflection = Math.pow(barrierPrice / stockPrice, 2 * drift / Math.pow(impliedVolatility, 2))
+
+  // Barrier below the stock (short put strike) vs above it (short call strike)
+  const probability = barrierPrice < stockPrice ?
+    normalCDF((logDistance - drift * timeToExpiry) / sigmaSqrtT) +
+      reflection * normalCDF((logDistance + drift * timeToExpiry) / sigmaSqrtT) :
+    normalCDF((-logDistance + drift * timeToExpiry) / sigmaSqrtT) +
+      reflection * normalCDF((-logDistance - drift * timeToExpiry) / sigmaSqrtT)
+
+  return Math.max(0, Math.min(100, probability * 100))
+}
+
+/**
+ * Calculate the probability a short put keeps its full premium (expires above the strike)
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strikePrice - Option strike price
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} impliedVolatility - Implied volatility
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number} Probability of max profit as percentage
+ */
+export function calculateProbabilityOfMaxProfit(stockPrice, strikePrice, timeToExpiry, riskFreeRate = 0.05, impliedVolatility, dividendYield = 0) {
+  return calculatePOP(stockPrice, strikePrice, timeToExpiry, riskFreeRate, impliedVolatility, dividendYield)
+}
+
+/**
+ * Calculate the probability a short put finishes below its breakeven (a net loss)
+ * @param {number} stockPrice - Current stock price
+ * @param {number} breakevenPrice - Strike minus premium received
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} impliedVolatility - Implied volatility
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number} Probability of loss as percentage
+ */
+export function calculateProbabilityOfLoss(stockPrice, breakevenPrice, timeToExpiry, riskFreeRate = 0.05, impliedVolatility, dividendYield = 0) {
+  if (breakevenPrice <= 0 || timeToExpiry <= 0 || impliedVolatility <= 0) {
+    return stockPrice < breakevenPrice ? 100 : 0
+  }
+
+  return 100 - calculatePOP(stockPrice, breakevenPrice, timeToExpiry, riskFreeRate, impliedVolatility, dividendYield)
+}
+
+/**
+ * Calculate the probability that the stock finishes between two prices at expiration
+ * Each bound is evaluated at its own volatility so put and call skew are both respected.
+ * @param {number} stockPrice - Current stock price
+ * @param {number} lowerPrice - Lower bound (e.g. lower breakeven)
+ * @param {number} upperPrice - Upper bound (e.g. upper breakeven)
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @param {number} riskFreeRate - Risk-free interest rate (default 0.05)
+ * @param {number} lowerVolatility - Implied volatility at the lower bound
+ * @param {number} upperVolatility - Implied volatility at the upper bound
+ * @param {number} dividendYield - Continuous dividend yield (default 0)
+ * @returns {number} Probability as percentage
+ */
+export function calculateProbabilityInRange(stockPrice, lowerPrice, upperPrice, timeToExpiry, riskFreeRate = 0.05, lowerVolatility, upperVolatility, dividendYield = 0) {
+  if (timeToExpiry <= 0 || lowerVolatility <= 0 || upperVolatility <= 0) {
+    return stockPrice > lowerPrice && stockPrice < upperPrice ? 100 : 0
+  }
+
+  const aboveLower = lowerPrice > 0 ? calculatePOP(stockPrice, lowerPrice, timeToExpiry, riskFreeRate, lowerVolatility, dividendYield) : 100
+  const aboveUpper = calculatePOP(stockPrice, upperPrice, timeToExpiry, riskFreeRate, upperVolatility, dividendYield)
+
+  return Math.max(0, aboveLower - aboveUpper)
+}
+
+/**
+ * Calculate the market-implied move from an at-the-money straddle
+ * Uses the straddle price itself as the one standard deviation move into expiration.
+ * @param {number} straddlePrice - ATM call plus ATM put price
+ * @param {number} stockPrice - Current stock price
+ * @returns {Object} Expected move in dollars and as a percentage of the stock price
+ */
+export function calculateStraddleExpectedMove(straddlePrice, stockPrice) {
+  if (!(straddlePrice > 0) || !(stockPrice > 0)) {
+    return { move: 0, movePct: 0 }
+  }
+
+  return {
+    move: straddlePrice,
+    movePct: (straddlePrice / stockPrice) * 100
+  }
+}
+
+/**
+ * Estimate the ATM straddle price from implied volatility when no straddle quote exists
+ * ATM straddle ≈ √(2/π) · S · σ · √T ≈ 0.8 · S · σ · √T
+ * @param {number} stockPrice - Current stock price
+ * @param {number} impliedVolatility - At-the-money implied volatility
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @returns {number} Estimated straddle price
+ */
+export function estimateStraddlePrice(stockPrice, impliedVolatility, timeToExpiry) {
+  if (!(stockPrice > 0) || !(impliedVolatility > 0) || timeToExpiry <= 0) {
+    return 0
+  }
+
+  return Math.sqrt(2 / Math.PI) * stockPrice * impliedVolatility * Math.sqrt(timeToExpiry)
+}
+
+/**
+ * Calculate IV rank: where current IV sits between its historical low and high
+ * @param {number} currentIV - Current implied volatility
+ * @param {Array} history - Historical implied volatilities
+ * @returns {number} IV rank (0-100)
+ */
+export function calculateIVRank(currentIV, history) {
+  const low = Math.min(...history)
+  const high = Math.max(...history)
+  
+  if (high <= low) {
+    return 50
+  }
+  
+  return Math.max(0, Math.min(100, (currentIV - low) / (high - low) * 100))
+}
+
+/**
+ * Calculate IV percentile: share of historical days with IV below the current level
+ * @param {number} currentIV - Current implied volatility
+ * @param {Array} history - Historical implied volatilities
+ * @returns {number} IV percentile (0-100)
+ */
+export function calculateIVPercentile(currentIV, history) {
+  if (history.length === 0) {
+    return 50
+  }
+  
+  return history.filter(iv => iv < currentIV).length / history.length * 100
+}
+
 /**
  * Calculate confidence score based on multiple factors
+ * Uses the scoring registry's default weights; see calculateScore for per-factor sub-scores.
  * @param {number} impliedVol - Implied volatility (0-1)
  * @param {number} openInterest - Open interest
  * @param {number} volume - Daily volume
  * @param {number} epsGrowth - EPS growth percentage
  * @param {number} pop - Probability of profit
  * @param {number} premiumPct - Premium as percentage of stock price
+ * @param {number|null} moveRatio - Implied earnings move / historical average move (optional)
+ * @param {number|null} ivPercentile - 52-week IV percentile (optional)
+ * @param {number|null} skewSteepness - Fitted IV 10% below the money minus ATM IV (optional)
  * @returns {number} Confidence score (0-100)
  */
-export function calculateConfidenceScore(impliedVol, openInterest, volume, epsGrowth, pop, premiumPct) {
-  // IV Score: Lower IV is better (less uncertainty)
-  const ivScore = Math.max(0, 100 - (impliedVol * 200))
-  
-  // Open Interest Score: Higher OI is better (more liquidity)
-  const oiScore = Math.min(100, Math.log10(Math.max(1, openInterest)) * 25)
-  
-  // Volume Score: Higher volume is better (more activity)
-  const volumeScore = Math.min(100, Math.log10(Math.max(1, volume)) * 20)
-  
-  // EPS Growth Score: Positive growth is better
-  const epsScore = Math.max(0, Math.min(100, (epsGrowth + 50) * 1.33))
-  
-  // POP Score: Higher probability is better
-  const popScore = Math.max(0, Math.min(100, pop))
-  
-  // Premium Score: Higher premium percentage is better (more income)
-  const premiumScore = Math.min(100, premiumPct * 20)
-  
-  // Weighted average
-  const confidence = (
-    ivScore * 0.25 + 
-    oiScore * 0.20 + 
-    volumeScore * 0.20 + 
-    epsScore * 0.15 + 
-    popScore * 0.10 + 
-    premiumScore * 0.10
-  )
-  
-  return Math.max(0, Math.min(100, confidence))
+export function calculateConfidenceScore(impliedVol, openInterest, volume, epsGrowth, pop, premiumPct, moveRatio = null, ivPercentile = null, skewSteepness = null) {
+  return calculateScore({
+    impliedVolatility: impliedVol,
+    openInterest,
+    volume,
+    epsGrowth,
+    pop,
+    premiumPercentage: premiumPct,
+    moveRatio,
+    ivPercentile,
+    skewSteepness
+  }).total
 }
 
 /**
  * Calculate time to expiration in years
+ * Measured to the 4:00pm ET close (1:00pm on early-close days) of the effective expiration
+ * session, on a 365-day year to match the per-calendar-day theta.
  * @param {string} expirationDate - Expiration date string
+ * @param {Date} now - Current time (default now)
  * @returns {number} Time to expiration in years
  */
-export function calculateTimeToExpiry(expirationDate) {
-  const now = new Date()
-  const expiry = new Date(expirationDate)
+export function calculateTimeToExpiry(expirationDate, now = new Date()) {
+  const expiry = getExpirationTime(expirationDate)
   const diffMs = expiry.getTime() - now.getTime()
   const diffDays = diffMs / (1000 * 60 * 60 * 24)
-  return Math.max(0, diffDays / 365.25)
+  return Math.max(0, diffDays / 365)
 }
 
 /**
@@ -130,6 +605,100 @@ export function calculateMaxLoss(strikePrice, premium) {
   return (strikePrice - premium) * 100 // Per contract (100 shares)
 }
 
+/**
+ * Calculate the defined-risk metrics of a bull put credit spread
+ * @param {number} shortStrike - Strike of the put sold
+ * @param {number} shortPremium - Premium received for the short put
+ * @param {number} longStrike - Strike of the (lower) put bought
+ * @param {number} longPremium - Premium paid for the long put
+ * @returns {Object} { netCredit, width, breakeven, maxProfit, maxLoss, returnOnRisk } with P&L per contract
+ */
+export function calculatePutSpreadMetrics(shortStrike, shortPremium, longStrike, longPremium) {
+  const netCredit = shortPremium - longPremium
+  const width = shortStrike - longStrike
+  const risk = width - netCredit
+  
+  return {
+    netCredit,
+    width,
+    breakeven: shortStrike - netCredit,
+    maxProfit: netCredit * 100,
+    maxLoss: risk * 100,
+    returnOnRisk: risk > 0 ? (netCredit / risk) * 100 : 0
+  }
+}
+
+/**
+ * Calculate the metrics of an iron condor (bull put spread plus bear call spread)
+ * Only one side can finish in the money, so the wider wing sets the max loss.
+ * @param {Object} legs - { shortPut, longPut, shortCall, longCall } each with strike and premium
+ * @returns {Object} { netCredit, putWidth, callWidth, lowerBreakeven, upperBreakeven, maxProfit, maxLoss, returnOnRisk, margin }
+ */
+export function calculateIronCondorMetrics({ shortPut, longPut, shortCall, longCall }) {
+  const netCredit = shortPut.premium - longPut.premium + shortCall.premium - longCall.premium
+  const putWidth = shortPut.strike - longPut.strike
+  const callWidth = longCall.strike - shortCall.strike
+  const risk = Math.max(putWidth, callWidth) - netCredit
+  
+  return {
+    netCredit,
+    putWidth,
+    callWidth,
+    lowerBreakeven: shortPut.strike - netCredit,
+    upperBreakeven: shortCall.strike + netCredit,
+    maxProfit: netCredit * 100,
+    maxLoss: risk * 100,
+    returnOnRisk: risk > 0 ? (netCredit / risk) * 100 : 0,
+    margin: risk * 100 // Defined risk - brokers hold the max loss
+  }
+}
+
+/**
+ * Calculate the Reg T margin for one naked short option
+ * Greater of 20% of the stock less the out-of-the-money amount, or 10% of the strike (puts) /
+ * stock (calls), plus the premium received.
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strike - Strike price
+ * @param {number} premium - Premium received
+ * @param {string} optionType - 'call' or 'put'
+ * @returns {number} Margin per contract
+ */
+export function calculateNakedOptionMargin(stockPrice, strike, premium, optionType = 'put') {
+  const outOfTheMoney = optionType === 'call'
+    ? Math.max(0, strike - stockPrice)
+    : Math.max(0, stockPrice - strike)
+  const minimum = 0.1 * (optionType === 'call' ? stockPrice : strike)
+  
+  return (Math.max(0.2 * stockPrice - outOfTheMoney, minimum) + premium) * 100
+}
+
+/**
+ * Calculate the metrics of a short strangle (naked short put plus naked short call)
+ * Loss is unlimited above the call, so max loss is null and margin follows Reg T:
+ * the larger side's naked requirement plus the other side's premium.
+ * @param {number} stockPrice - Current stock price
+ * @param {Object} legs - { shortPut, shortCall } each with strike and premium
+ * @returns {Object} { netCredit, lowerBreakeven, upperBreakeven, maxProfit, maxLoss, margin, returnOnMargin }
+ */
+export function calculateStrangleMetrics(stockPrice, { shortPut, shortCall }) {
+  const netCredit = shortPut.premium + shortCall.premium
+  const putMargin = calculateNakedOptionMargin(stockPrice, shortPut.strike, shortPut.premium, 'put')
+  const callMargin = calculateNakedOptionMargin(stockPrice, shortCall.strike, shortCall.premium, 'call')
+  const margin = putMargin >= callMargin
+    ? putMargin + shortCall.premium * 100
+    : callMargin + shortPut.premium * 100
+  
+  return {
+    netCredit,
+    lowerBreakeven: shortPut.strike - netCredit,
+    upperBreakeven: shortCall.strike + netCredit,
+    maxProfit: netCredit * 100,
+    maxLoss: null,
+    margin,
+    returnOnMargin: margin > 0 ? (netCredit * 100 / margin) * 100 : 0
+  }
+}
+
 /**
  * Calculate premium as percentage of stock price
  * @param {number} premium - Option premium
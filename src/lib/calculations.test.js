@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateAmericanOption,
+  calculateGreeks,
+  calculateBlackScholesPrice,
+  calculateImpliedVolatility,
+  calculatePOP,
+  calculateProbabilityOfTouch,
+  calculateProbabilityOfMaxProfit,
+  calculateProbabilityOfLoss,
+  calculateIronCondorMetrics,
+  calculateStrangleMetrics
+} from './calculations'
+
+describe('calculateAmericanOption', () => {
+  it('returns the intrinsic-value delta when inputs are invalid', () => {
+    expect(calculateAmericanOption(80, 100, 0, 0.05, 0.3, 'put').delta).toBe(-1)
+    expect(calculateAmericanOption(120, 100, 0, 0.05, 0.3, 'put').delta).toBe(0)
+    expect(calculateAmericanOption(120, 100, 0.25, 0.05, 0, 'call').delta).toBe(1)
+    expect(calculateAmericanOption(80, 100, 0.25, 0.05, 0, 'call').delta).toBe(0)
+  })
+
+  it('matches the Black-Scholes fallback at expiry', () => {
+    for (const [spot, optionType] of [[80, 'put'], [120, 'put'], [120, 'call'], [80, 'call']]) {
+      expect(calculateAmericanOption(spot, 100, 0, 0.05, 0.3, optionType).delta)
+        .toBe(calculateGreeks(spot, 100, 0, 0.05, 0.3, optionType).delta)
+    }
+  })
+
+  it('is worth at least the European value for a put', () => {
+    const result = calculateAmericanOption(90, 100, 0.5, 0.05, 0.3, 'put')
+    expect(result.price).toBeGreaterThanOrEqual(result.europeanPrice)
+    expect(result.delta).toBeLessThan(0)
+    expect(result.delta).toBeGreaterThan(-1)
+  })
+})
+
+describe('calculateGreeks', () => {
+  const args = [105, 100, 0.25, 0.05, 0.3]
+
+  it('satisfies put-call parity for delta', () => {
+    const call = calculateGreeks(...args, 'call')
+    const put = calculateGreeks(...args, 'put')
+    expect(call.delta - put.delta).toBeCloseTo(1, 10)
+
+    const dividendYield = 0.02
+    const callWithYield = calculateGreeks(...args, 'call', dividendYield)
+    const putWithYield = calculateGreeks(...args, 'put', dividendYield)
+    expect(callWithYield.delta - putWithYield.delta).toBeCloseTo(Math.exp(-dividendYield * 0.25), 10)
+  })
+
+  it('gives puts and calls the same gamma and vega', () => {
+    const call = calculateGreeks(...args, 'call')
+    const put = calculateGreeks(...args, 'put')
+    expect(put.gamma).toBeCloseTo(call.gamma, 12)
+    expect(put.vega).toBeCloseTo(call.vega, 12)
+    expect(call.gamma).toBeGreaterThan(0)
+    expect(call.vega).toBeGreaterThan(0)
+  })
+
+  it('decays long option value over time', () => {
+    expect(calculateGreeks(...args, 'call').theta).toBeLessThan(0)
+    expect(calculateGreeks(100, 100, 0.25, 0.05, 0.3, 'put').theta).toBeLessThan(0)
+  })
+
+  it('falls back to intrinsic value at expiry or without volatility', () => {
+    for (const [timeToExpiry, volatility] of [[0, 0.3], [-0.01, 0.3], [0.25, 0]]) {
+      const put = calculateGreeks(90, 100, timeToExpiry, 0.05, volatility, 'put')
+      expect(put).toEqual({ price: 10, delta: -1, gamma: 0, theta: 0, vega: 0, rho: 0 })
+
+      const call = calculateGreeks(90, 100, timeToExpiry, 0.05, volatility, 'call')
+      expect(call).toEqual({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 })
+    }
+  })
+})
+
+describe('calculateImpliedVolatility', () => {
+  it('solves back the volatility a price was built from', () => {
+    for (const [strike, optionType, volatility] of [[95, 'put', 0.35], [100, 'call', 0.2], [110, 'put', 0.8]]) {
+      const price = calculateBlackScholesPrice(100, strike, 0.25, 0.05, volatility, optionType, 0.01)
+      expect(calculateImpliedVolatility(price, 100, strike, 0.25, 0.05, optionType, 0.01)).toBeCloseTo(volatility, 5)
+    }
+  })
+
+  it('falls back to bisection for deep out-of-the-money quotes', () => {
+    // Vega at the 30% starting guess is effectively zero, so Newton cannot take a step
+    const price = calculateBlackScholesPrice(100, 40, 0.05, 0.05, 1.5, 'put')
+    expect(calculateGreeks(100, 40, 0.05, 0.05, 0.3, 'put').vega).toBeLessThan(1e-10)
+    expect(calculateImpliedVolatility(price, 100, 40, 0.05, 0.05, 'put')).toBeCloseTo(1.5, 3)
+  })
+
+  it('returns null for prices outside the no-arbitrage bounds', () => {
+    expect(calculateImpliedVolatility(5, 100, 110, 0.25, 0.05, 'put')).toBeNull()
+    expect(calculateImpliedVolatility(0, 100, 95, 0.25, 0.05, 'put')).toBeNull()
+    expect(calculateImpliedVolatility(150, 100, 95, 0.25, 0.05, 'call')).toBeNull()
+    expect(calculateImpliedVolatility(2, 100, 95, 0, 0.05, 'put')).toBeNull()
+  })
+})
+
+describe('probability helpers', () => {
+  it('puts the touch probability at twice the ITM probability without drift', () => {
+    // Zero drift means r - q = sigma^2 / 2
+    const volatility = 0.3
+    const dividendYield = 0.05 - volatility * volatility / 2
+
+    for (const barrier of [90, 110]) {
+      const probITM = barrier < 100
+        ? 100 - calculatePOP(100, barrier, 0.25, 0.05, volatility, dividendYield)
+        : calculatePOP(100, barrier, 0.25, 0.05, volatility, dividendYield)
+      expect(calculateProbabilityOfTouch(100, barrier, 0.25, 0.05, volatility, dividendYield)).toBeCloseTo(2 * probITM, 8)
+    }
+  })
+
+  it('gives a naked put the POP at its strike as the max-profit probability', () => {
+    expect(calculateProbabilityOfMaxProfit(100, 95, 0.1, 0.05, 0.3)).toBe(calculatePOP(100, 95, 0.1, 0.05, 0.3))
+  })
+
+  it('measures the loss probability at the breakeven', () => {
+    const probLoss = calculateProbabilityOfLoss(100, 93, 0.1, 0.05, 0.3)
+    expect(probLoss).toBeCloseTo(100 - calculatePOP(100, 93, 0.1, 0.05, 0.3), 10)
+    expect(probLoss).toBeLessThan(100 - calculatePOP(100, 95, 0.1, 0.05, 0.3))
+    expect(calculateProbabilityOfLoss(90, 93, 0, 0.05, 0.3)).toBe(100)
+    expect(calculateProbabilityOfLoss(100, 93, 0, 0.05, 0.3)).toBe(0)
+  })
+})
+
+describe('neutral strategy metrics', () => {
+  const shortPut = { strike: 95, premium: 1.2 }
+  const longPut = { strike: 92, premium: 0.5 }
+  const shortCall = { strike: 105, premium: 1.1 }
+  const longCall = { strike: 110, premium: 0.3 }
+
+  it('sizes an iron condor by its wider wing', () => {
+    const condor = calculateIronCondorMetrics({ shortPut, longPut, shortCall, longCall })
+
+    expect(condor.netCredit).toBeCloseTo(1.5, 10)
+    expect(condor.putWidth).toBe(3)
+    expect(condor.callWidth).toBe(5)
+    expect(condor.lowerBreakeven).toBeCloseTo(93.5, 10)
+    expect(condor.upperBreakeven).toBeCloseTo(106.5, 10)
+    expect(condor.maxProfit).toBeCloseTo(150, 10)
+    expect(condor.maxLoss).toBeCloseTo(350, 10)
+    expect(condor.margin).toBeCloseTo(condor.maxLoss, 10)
+    expect(condor.returnOnRisk).toBeCloseTo(1.5 / 3.5 * 100, 10)
+  })
+
+  it('gives a short strangle unlimited loss and Reg T margin', () => {
+    const strangle = calculateStrangleMetrics(100, { shortPut, shortCall })
+
+    expect(strangle.netCredit).toBeCloseTo(2.3, 10)
+    expect(strangle.lowerBreakeven).toBeCloseTo(92.7, 10)
+    expect(strangle.upperBreakeven).toBeCloseTo(107.3, 10)
+    expect(strangle.maxLoss).toBeNull()
+    // Put side: 20% of 100 less 5 OTM plus 1.20, plus the call premium
+    expect(strangle.margin).toBeCloseTo((15 + 1.2) * 100 + 110, 10)
+    expect(strangle.returnOnMargin).toBeCloseTo(230 / strangle.margin * 100, 10)
+  })
+})
@@ -0,0 +1,260 @@
+import { supabase } from './supabase'
+import { DEFAULT_STRATEGY } from './positions'
+
+/**
+ * POP calibration against settled recommendations
+ * Compares the POP each recommendation was made at with how often it actually hit, and fits an
+ * isotonic (monotone) calibration curve the engine can map raw POP through. POP is priced at the
+ * strike for short puts and at the breakeven for other strategies, so a hit is expiring
+ * worthless or finishing profitable respectively.
+ */
+
+const MIN_CALIBRATION_SAMPLES = 30 // Settled trades needed before a curve is fitted
+const PRIOR_WEIGHT = 10 // Pseudo-trades shrinking each curve block toward its predicted POP
+
+export const DTE_BUCKETS = [
+  { label: '0-3 days', min: 0, max: 4 },
+  { label: '4-7 days', min: 4, max: 8 },
+  { label: '8-14 days', min: 8, max: 15 },
+  { label: '15-30 days', min: 15, max: 31 },
+  { label: '31+ days', min: 31, max: Infinity }
+]
+
+/**
+ * Convert a settled recommendation into a calibration sample
+ * @param {Object} recommendation - Settled recommendation
+ * @returns {Object|null} { predicted (0-1), hit (0 or 1), dte }, or null if it has no POP
+ */
+function toCalibrationSample(recommendation) {
+  const pop = Number(recommendation.raw_pop ?? recommendation.pop)
+  if (!Number.isFinite(pop) || pop <= 0) {
+    return null
+  }
+
+  const isShortPut = (recommendation.strategy || DEFAULT_STRATEGY) === DEFAULT_STRATEGY
+  const hit = isShortPut
+    ? recommendation.outcome === 'expired_worthless'
+    : Number(recommendation.realized_pnl) > 0
+
+  const created = new Date(`${String(recommendation.created_at).split('T')[0]}T00:00:00Z`)
+  const expiration = new Date(`${String(recommendation.expiration_date).split('T')[0]}T00:00:00Z`)
+
+  return {
+    predicted: Math.min(1, pop / 100),
+    hit: hit ? 1 : 0,
+    dte: Math.max(0, Math.round((expiration - created) / (24 * 60 * 60 * 1000)))
+  }
+}
+
+/**
+ * Calculate the Brier score of a set of samples (mean squared error of the predicted probability)
+ * @param {Array} samples - Calibration samples
+ * @param {Function} predict - Maps a sample to its predicted probability (default raw POP)
+ * @returns {number|null} Brier score (0 = perfect, 0.25 = coin flip), or null with no samples
+ */
+export function calculateBrierScore(samples, predict = sample => sample.predicted) {
+  if (samples.length === 0) {
+    return null
+  }
+  return samples.reduce((sum, sample) => sum + (predict(sample) - sample.hit) ** 2, 0) / samples.length
+}
+
+/**
+ * Summarize samples grouped into buckets for a reliability table
+ * @param {Array} samples - Calibration samples
+ * @param {Array} buckets - Buckets with label, min (inclusive) and max (exclusive)
+ * @param {Function} getValue - Maps a sample to the bucketed value
+ * @returns {Array} Rows with label, count, predicted and realized hit rate (%), and Brier score
+ */
+function buildReliabilityTable(samples, buckets, getValue) {
+  return buckets.map(bucket => {
+    const members = samples.filter(sample => getValue(sample) >= bucket.min && getValue(sample) < bucket.max)
+    return {
+      label: bucket.label,
+      count: members.length,
+      predicted: members.length > 0 ? members.reduce((sum, sample) => sum + sample.predicted, 0) / members.length * 100 : null,
+      realized: members.length > 0 ? members.reduce((sum, sample) => sum + sample.hit, 0) / members.length * 100 : null,
+      brierScore: calculateBrierScore(members)
+    }
+  })
+}
+
+/**
+ * Fit an isotonic calibration curve with pool-adjacent-violators
+ * Each pooled block is shrunk toward its mean predicted POP so thin blocks don't snap to 0% or
+ * 100%, then made non-decreasing again.
+ * @param {Array} samples - Calibration samples
+ * @returns {Object|null} { points: [{ pop, calibrated, count }], samples }, or null with too few samples
+ */
+export function fitCalibrationCurve(samples) {
+  if (samples.length < MIN_CALIBRATION_SAMPLES) {
+    return null
+  }
+
+  // Samples with the same predicted POP start in one block
+  const tied = new Map()
+  for (const sample of samples) {
+    const block = tied.get(sample.predicted) || { predicted: 0, hits: 0, count: 0 }
+    block.predicted += sample.predicted
+    block.hits += sample.hit
+    block.count++
+    tied.set(sample.predicted, block)
+  }
+
+  const blocks = []
+  for (const [, block] of [...tied.entries()].sort((a, b) => a[0] - b[0])) {
+    blocks.push(block)
+
+    // Pool backwards while the hit rate decreases with predicted POP
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1]
+      const previous = blocks[blocks.length - 2]
+      if (previous.hits / previous.count < last.hits / last.count) break
+
+      blocks.splice(blocks.length - 2, 2, {
+        predicted: previous.predicted + last.predicted,
+        hits: previous.hits + last.hits,
+        count: previous.count + last.count
+      })
+    }
+  }
+
+  let floor = 0
+  const points = blocks.map(block => {
+    const meanPredicted = block.predicted / block.count
+    const shrunk = (block.hits + PRIOR_WEIGHT * meanPredicted) / (block.count + PRIOR_WEIGHT)
+    floor = Math.max(floor, shrunk)
+    return {
+      pop: meanPredicted * 100,
+      calibrated: floor * 100,
+      count: block.count
+    }
+  })
+
+  return { points, samples: samples.length }
+}
+
+/**
+ * Map a raw POP through a calibration curve
+ * Interpolates linearly between curve points and holds the end values outside them.
+ * @param {Object} curve - Curve from fitCalibrationCurve
+ * @param {number} pop - Raw POP (%)
+ * @returns {number} Calibrated POP (%)
+ */
+export function applyCalibrationCurve(curve, pop) {
+  const points = curve?.points || []
+  if (points.length === 0) {
+    return pop
+  }
+  if (pop <= points[0].pop) {
+    return points[0].calibrated
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    if (pop <= points[i].pop) {
+      const lower = points[i - 1]
+      const upper = points[i]
+      const weight = upper.pop > lower.pop ? (pop - lower.pop) / (upper.pop - lower.pop) : 1
+      return lower.calibrated + weight * (upper.calibrated - lower.calibrated)
+    }
+  }
+
+  return points[points.length - 1].calibrated
+}
+
+/**
+ * Build the POP calibration report for settled recommendations
+ * @param {Array} recommendations - Settled recommendations (see getSettledRecommendations)
+ * @returns {Object} { samples, predicted, realized, brierScore, calibratedBrierScore, byPOP, byDTE, curve }
+ */
+export function getCalibrationReport(recommendations) {
+  const samples = recommendations.map(toCalibrationSample).filter(Boolean)
+  const curve = fitCalibrationCurve(samples)
+
+  const popDeciles = Array.from({ length: 10 }, (_, decile) => ({
+    label: `${decile * 10}-${decile * 10 + 10}%`,
+    min: decile / 10,
+    max: decile === 9 ? Infinity : (decile + 1) / 10
+  }))
+
+  const report = {
+    samples: samples.length,
+    predicted: samples.length > 0 ? samples.reduce((sum, sample) => sum + sample.predicted, 0) / samples.length * 100 : null,
+    realized: samples.length > 0 ? samples.reduce((sum, sample) => sum + sample.hit, 0) / samples.length * 100 : null,
+    brierScore: calculateBrierScore(samples),
+    calibratedBrierScore: curve
+      ? calculateBrierScore(samples, sample => applyCalibrationCurve(curve, sample.predicted * 100) / 100)
+      : null,
+    byPOP: buildReliabilityTable(samples, popDeciles, sample => sample.predicted),
+    byDTE: buildReliabilityTable(samples, DTE_BUCKETS, sample => sample.dte),
+    curve
+  }
+
+  console.log(`📊 CALIBRATION: ${report.samples} samples, predicted ${report.predicted?.toFixed(1)}% vs realized ${report.realized?.toFixed(1)}%, Brier ${report.brierScore?.toFixed(4)}`)
+  return report
+}
+
+/**
+ * Load the saved POP calibration curve
+ * @param {string} name - Curve name (default 'pop')
+ * @returns {Promise<Object|null>} Curve or null if none is saved
+ */
+export async function loadCalibrationCurve(name = 'pop') {
+  try {
+    const { data, error } = await supabase
+      .from('calibration_curves')
+      .select('*')
+      .eq('name', name)
+      .maybeSingle()
+
+    if (error) {
+      console.warn(`⚠️ CALIBRATION: Error loading calibration curve "${name}":`, error)
+      return null
+    }
+
+    if (!data?.points?.length) {
+      console.log(`📊 CALIBRATION: No saved calibration curve "${name}", using raw POP`)
+      return null
+    }
+
+    console.log(`✅ CALIBRATION: Loaded calibration curve "${name}" (${data.samples} samples)`)
+    return { points: data.points, samples: data.samples }
+
+  } catch (error) {
+    console.error(`💥 CALIBRATION: Error loading calibration curve "${name}":`, error)
+    return null
+  }
+}
+
+/**
+ * Save a POP calibration curve (requires an authenticated Supabase session)
+ * @param {Object} curve - Curve from fitCalibrationCurve
+ * @param {number|null} brierScore - Raw Brier score of the samples it was fitted on
+ * @param {string} name - Curve name (default 'pop')
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveCalibrationCurve(curve, brierScore = null, name = 'pop') {
+  try {
+    const { error } = await supabase
+      .from('calibration_curves')
+      .upsert({
+        name,
+        points: curve.points,
+        samples: curve.samples,
+        brier_score: brierScore,
+        fitted_at: new Date().toISOString()
+      }, { onConflict: 'name' })
+
+    if (error) {
+      console.error(`💥 CALIBRATION: Error saving calibration curve "${name}":`, error)
+      return false
+    }
+
+    console.log(`✅ CALIBRATION: Saved calibration curve "${name}" (${curve.points.length} points)`)
+    return true
+
+  } catch (error) {
+    console.error(`💥 CALIBRATION: Error saving calibration curve "${name}":`, error)
+    return false
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateBrierScore,
+  fitCalibrationCurve,
+  applyCalibrationCurve,
+  getCalibrationReport
+} from './calibration'
+
+/**
+ * Build samples at one predicted probability with a given number of hits
+ * @param {number} predicted - Predicted probability (0-1)
+ * @param {number} count - Samples
+ * @param {number} hits - Samples that hit
+ * @returns {Array} Calibration samples
+ */
+function samplesAt(predicted, count, hits) {
+  return Array.from({ length: count }, (_, i) => ({ predicted, hit: i < hits ? 1 : 0, dte: 7 }))
+}
+
+describe('calculateBrierScore', () => {
+  it('is the mean squared error of the predictions', () => {
+    const samples = [
+      { predicted: 0.9, hit: 1 },
+      { predicted: 0.9, hit: 0 },
+      { predicted: 0.5, hit: 1 }
+    ]
+    expect(calculateBrierScore(samples)).toBeCloseTo((0.01 + 0.81 + 0.25) / 3, 12)
+    expect(calculateBrierScore(samples, () => 1)).toBeCloseTo(1 / 3, 12)
+    expect(calculateBrierScore([])).toBeNull()
+  })
+})
+
+describe('fitCalibrationCurve', () => {
+  it('needs at least 30 samples', () => {
+    expect(fitCalibrationCurve(samplesAt(0.9, 29, 20))).toBeNull()
+  })
+
+  it('pools decreasing blocks and shrinks them toward the predicted POP', () => {
+    // 80% hits 18/20 and 90% hits 16/20 - a violation, so both pool into one block
+    const curve = fitCalibrationCurve([...samplesAt(0.8, 20, 18), ...samplesAt(0.9, 20, 16)])
+
+    expect(curve.samples).toBe(40)
+    expect(curve.points).toHaveLength(1)
+    expect(curve.points[0].pop).toBeCloseTo(85, 10)
+    expect(curve.points[0].count).toBe(40)
+    // (34 hits + 10 pseudo-trades at 85%) / 50
+    expect(curve.points[0].calibrated).toBeCloseTo((34 + 10 * 0.85) / 50 * 100, 10)
+  })
+
+  it('groups tied predictions and stays non-decreasing', () => {
+    const curve = fitCalibrationCurve([
+      ...samplesAt(0.6, 15, 6),
+      ...samplesAt(0.7, 15, 12),
+      ...samplesAt(0.8, 15, 9),
+      ...samplesAt(0.95, 15, 15)
+    ])
+
+    const pops = curve.points.map(point => point.pop)
+    expect(new Set(pops).size).toBe(pops.length)
+    for (let i = 1; i < curve.points.length; i++) {
+      expect(curve.points[i].pop).toBeGreaterThan(curve.points[i - 1].pop)
+      expect(curve.points[i].calibrated).toBeGreaterThanOrEqual(curve.points[i - 1].calibrated)
+    }
+    expect(curve.points.reduce((sum, point) => sum + point.count, 0)).toBe(60)
+  })
+})
+
+describe('applyCalibrationCurve', () => {
+  const curve = {
+    points: [
+      { pop: 70, calibrated: 60, count: 10 },
+      { pop: 90, calibrated: 80, count: 10 }
+    ]
+  }
+
+  it('interpolates between points and holds the ends', () => {
+    expect(applyCalibrationCurve(curve, 80)).toBeCloseTo(70, 12)
+    expect(applyCalibrationCurve(curve, 50)).toBe(60)
+    expect(applyCalibrationCurve(curve, 99)).toBe(80)
+  })
+
+  it('returns the raw POP without a curve', () => {
+    expect(applyCalibrationCurve(null, 85)).toBe(85)
+  })
+})
+
+describe('getCalibrationReport', () => {
+  it('improves the in-sample Brier score for an overconfident POP', () => {
+    const recommendations = Array.from({ length: 100 }, (_, i) => ({
+      strategy: 'short_put',
+      pop: 90,
+      outcome: i < 75 ? 'expired_worthless' : 'loss',
+      created_at: '2025-06-02T15:00:00Z',
+      expiration_date: '2025-06-13'
+    }))
+
+    const report = getCalibrationReport(recommendations)
+    expect(report.samples).toBe(100)
+    expect(report.realized).toBeCloseTo(75, 10)
+    expect(report.byDTE.find(row => row.label === '8-14 days').count).toBe(100)
+    expect(report.calibratedBrierScore).toBeLessThan(report.brierScore)
+  })
+})
@@ -0,0 +1,80 @@
+import { supabase } from './supabase'
+import { getTodayET } from './marketCalendar'
+
+const MAX_SNAPSHOTS = 400 // Roughly a year and a half of sessions per symbol
+
+/**
+ * Store today's processed option chain for a symbol (one row per symbol per day)
+ * Snapshots feed the backtester, which replays them through the recommendation engine.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} optionsData - Processed chain from getOptionsChain
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function recordChainSnapshot(symbol, optionsData) {
+  if (!optionsData?.options?.length || !(optionsData.underlyingPrice > 0)) {
+    return false
+  }
+
+  try {
+    const { error } = await supabase
+      .from('option_chain_snapshots')
+      .upsert({
+        symbol,
+        snapshot_date: getTodayET(),
+        snapshot_time: new Date().toISOString(),
+        underlying_price: optionsData.underlyingPrice,
+        options: optionsData.options,
+        calls: optionsData.calls || [],
+        straddles: optionsData.straddles || []
+      }, { onConflict: 'symbol,snapshot_date' })
+
+    if (error) {
+      console.warn(`⚠️ CHAIN_HISTORY: Error storing chain snapshot for ${symbol}:`, error)
+      return false
+    }
+
+    console.log(`✅ CHAIN_HISTORY: Stored chain snapshot for ${symbol} (${optionsData.options.length} puts)`)
+    return true
+
+  } catch (error) {
+    console.warn(`⚠️ CHAIN_HISTORY: Error storing chain snapshot for ${symbol}:`, error)
+    return false
+  }
+}
+
+/**
+ * Get stored chain snapshots for a symbol, most recent first
+ * Rows are returned in the processed-chain shape ({ underlyingPrice, options, calls, straddles })
+ * plus snapshotDate and snapshotTime.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Chain snapshots
+ */
+export async function getChainSnapshots(symbol) {
+  try {
+    const { data, error } = await supabase
+      .from('option_chain_snapshots')
+      .select('*')
+      .eq('symbol', symbol)
+      .order('snapshot_date', { ascending: false })
+      .limit(MAX_SNAPSHOTS)
+
+    if (error) {
+      console.warn(`⚠️ CHAIN_HISTORY: Error loading chain snapshots for ${symbol}:`, error)
+      return []
+    }
+
+    return (data || []).map(row => ({
+      symbol: row.symbol,
+      snapshotDate: String(row.snapshot_date).split('T')[0],
+      snapshotTime: row.snapshot_time,
+      underlyingPrice: Number(row.underlying_price),
+      options: row.options || [],
+      calls: row.calls || [],
+      straddles: row.straddles || []
+    }))
+
+  } catch (error) {
+    console.warn(`⚠️ CHAIN_HISTORY: Error loading chain snapshots for ${symbol}:`, error)
+    return []
+  }
+}
@@ -0,0 +1,314 @@
+import { supabase } from './supabase'
+import { RecommendationEngine } from './recommendationEngine'
+
+/**
+ * Named screening criteria profiles
+ * Built-in conservative / balanced / aggressive profiles plus user profiles saved to Supabase,
+ * or to localStorage in demo mode. Profiles hold every editable criterion so applying one fully
+ * replaces the previous profile's values.
+ */
+
+const LOCAL_STORAGE_KEY = 'optionstrike_criteria_profiles'
+
+export const DEFAULT_PROFILE = 'balanced'
+
+// Matches the criteria_profiles.name column
+export const MAX_PROFILE_NAME_LENGTH = 50
+
+// Editable criteria with their valid ranges (scale converts the stored value for display)
+export const CRITERIA_FIELDS = {
+  minDelta: { label: 'Max put delta', type: 'number', min: 0.01, max: 1, step: 0.01 },
+  minPremiumPercentage: { label: 'Min premium (% of stock)', type: 'number', min: 0, max: 50, step: 0.1 },
+  minPOP: { label: 'Min POP (%)', type: 'number', min: 0, max: 100, step: 0.5 },
+  maxPOP: { label: 'Max POP (%)', type: 'number', min: 0, max: 100, step: 0.5 },
+  popTarget: {
+    label: 'POP band applies to',
+    type: 'select',
+    options: [
+      { value: 'pop', label: 'POP at strike' },
+      { value: 'max_profit', label: 'Max profit' },
+      { value: 'breakeven', label: 'Breakeven' },
+      { value: 'no_touch', label: 'No touch' }
+    ]
+  },
+  minDaysToExpiry: { label: 'Min days to expiry', type: 'number', min: 0, max: 365, step: 1, integer: true },
+  maxDaysToExpiry: { label: 'Max days to expiry', type: 'number', min: 1, max: 365, step: 1, integer: true },
+  maxSymbolsToProcess: { label: 'Symbols per run', type: 'number', min: 1, max: 500, step: 1, integer: true },
+  minMarketCap: { label: 'Min market cap ($B)', type: 'number', min: 0, max: 5000, step: 0.5, scale: 1e9 },
+  minVolume: { label: 'Min option volume', type: 'number', min: 0, max: 100000, step: 1, integer: true },
+  minOpenInterest: { label: 'Min open interest', type: 'number', min: 0, max: 100000, step: 1, integer: true },
+  expectedMoveMultiple: { label: 'Expected move multiple', type: 'number', min: 0, max: 5, step: 0.05 },
+  enableSpreads: { label: 'Bull put spreads', type: 'boolean' },
+  maxSpreadWidthPct: { label: 'Max spread width (% of strike)', type: 'number', min: 0.5, max: 50, step: 0.5 },
+  minReturnOnRisk: { label: 'Min return on risk (%)', type: 'number', min: 0, max: 1000, step: 1 },
+  enableNeutralStrategies: { label: 'Iron condors / strangles', type: 'boolean' },
+  minNeutralPOP: { label: 'Min neutral POP (%)', type: 'number', min: 0, max: 100, step: 0.5 },
+  enableWheel: { label: 'Wheel (covered calls)', type: 'boolean' },
+  maxCoveredCallDelta: { label: 'Max covered call delta', type: 'number', min: 0.01, max: 1, step: 0.01 },
+  dedupeBySymbol: { label: 'Best recommendation per symbol only', type: 'boolean' },
+  maxPerSymbol: { label: 'Max per symbol (when not deduped)', type: 'number', min: 1, max: 30, step: 1, integer: true },
+  maxPerSector: { label: 'Max per sector', type: 'number', min: 1, max: 30, step: 1, integer: true },
+  maxPerEarningsDate: { label: 'Max per earnings date', type: 'number', min: 1, max: 30, step: 1, integer: true },
+  usePOPCalibration: { label: 'Calibrated POP (POP at strike only)', type: 'boolean' }
+}
+
+// Overrides on top of the engine defaults (balanced)
+const PROFILE_OVERRIDES = {
+  conservative: {
+    minDelta: 0.15,
+    minPremiumPercentage: 2.5,
+    minPOP: 90,
+    maxPOP: 96,
+    minVolume: 50,
+    minOpenInterest: 200,
+    expectedMoveMultiple: 1.5,
+    enableNeutralStrategies: false,
+    minNeutralPOP: 70,
+    maxCoveredCallDelta: 0.2,
+    maxPerSymbol: 2,
+    maxPerSector: 5,
+    maxPerEarningsDate: 6
+  },
+  balanced: {},
+  aggressive: {
+    minDelta: 0.3,
+    minPremiumPercentage: 3,
+    minPOP: 80,
+    maxPOP: 92,
+    maxDaysToExpiry: 21,
+    minVolume: 5,
+    minOpenInterest: 25,
+    expectedMoveMultiple: 0.75,
+    maxSpreadWidthPct: 10,
+    minReturnOnRisk: 8,
+    minNeutralPOP: 55,
+    maxCoveredCallDelta: 0.4,
+    maxPerSymbol: 5,
+    maxPerSector: 12,
+    maxPerEarningsDate: 15
+  }
+}
+
+/**
+ * Pick the editable criteria from an engine or a criteria object
+ * @param {Object} source - Recommendation engine or criteria
+ * @returns {Object} Criteria keyed by field name
+ */
+export function pickCriteria(source) {
+  return Object.fromEntries(Object.keys(CRITERIA_FIELDS).map(name => [name, source[name]]))
+}
+
+/**
+ * Get the built-in profiles
+ * @returns {Array} Profiles with name, criteria and builtIn flag
+ */
+export function getBuiltInProfiles() {
+  const defaults = pickCriteria(new RecommendationEngine())
+  return Object.entries(PROFILE_OVERRIDES).map(([name, overrides]) => ({
+    name,
+    criteria: { ...defaults, ...overrides },
+    builtIn: true
+  }))
+}
+
+/**
+ * Validate criteria against the field ranges and each other
+ * @param {Object} criteria - Criteria keyed by field name
+ * @returns {Object} { valid, errors } with an error message per invalid field
+ */
+export function validateCriteria(criteria) {
+  const errors = {}
+
+  for (const [name, field] of Object.entries(CRITERIA_FIELDS)) {
+    const value = criteria[name]
+
+    if (field.type === 'boolean') {
+      if (typeof value !== 'boolean') errors[name] = 'Must be on or off'
+    } else if (field.type === 'select') {
+      if (!field.options.some(option => option.value === value)) errors[name] = 'Choose one of the options'
+    } else {
+      const displayValue = value / (field.scale || 1)
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors[name] = 'Must be a number'
+      } else if (displayValue < field.min || displayValue > field.max) {
+        errors[name] = `Must be between ${field.min} and ${field.max}`
+      } else if (field.integer && !Number.isInteger(value)) {
+        errors[name] = 'Must be a whole number'
+      }
+    }
+  }
+
+  if (!errors.minPOP && !errors.maxPOP && criteria.minPOP > criteria.maxPOP) {
+    errors.maxPOP = 'Must be at least the min POP'
+  }
+  if (!errors.minDaysToExpiry && !errors.maxDaysToExpiry && criteria.minDaysToExpiry > criteria.maxDaysToExpiry) {
+    errors.maxDaysToExpiry = 'Must be at least the min days to expiry'
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Filter recommendations through a profile's criteria (demo mode sample data)
+ * Only the POP band, put delta, premium and per-symbol cap apply - the sample rows have fixed
+ * expirations and no volume or open interest.
+ * @param {Array} recommendations - Recommendations with pop, delta and premium_percentage
+ * @param {Object} criteria - Criteria keyed by field name
+ * @returns {Array} Matching recommendations in their original order
+ */
+export function filterByCriteria(recommendations, criteria) {
+  const perSymbol = {}
+
+  return recommendations.filter(rec => {
+    if (rec.pop < criteria.minPOP || rec.pop > criteria.maxPOP) return false
+    if (Math.abs(rec.delta) > criteria.minDelta) return false
+    if (rec.premium_percentage < criteria.minPremiumPercentage) return false
+
+    perSymbol[rec.symbol] = (perSymbol[rec.symbol] || 0) + 1
+    return perSymbol[rec.symbol] <= criteria.maxPerSymbol
+  })
+}
+
+/**
+ * Read profiles saved in localStorage (demo mode)
+ * @returns {Object} Criteria keyed by profile name
+ */
+function readLocalProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || '{}')
+  } catch (error) {
+    console.warn('⚠️ CRITERIA: Error reading local criteria profiles:', error)
+    return {}
+  }
+}
+
+/**
+ * Get all criteria profiles - built-ins first, then saved profiles by name
+ * Saved criteria are merged over the balanced profile so fields added later get defaults.
+ * @param {boolean} demoMode - Read saved profiles from localStorage instead of Supabase
+ * @returns {Promise<Array>} Profiles with name, criteria and builtIn flag
+ */
+export async function getCriteriaProfiles(demoMode = false) {
+  const builtIns = getBuiltInProfiles()
+  const balanced = builtIns.find(profile => profile.name === DEFAULT_PROFILE).criteria
+  let saved = {}
+
+  if (demoMode) {
+    saved = readLocalProfiles()
+  } else {
+    try {
+      const { data, error } = await supabase
+        .from('criteria_profiles')
+        .select('*')
+
+      if (error) {
+        console.warn('⚠️ CRITERIA: Error loading criteria profiles:', error)
+      } else {
+        saved = Object.fromEntries((data || []).map(row => [row.name, row.criteria]))
+      }
+    } catch (error) {
+      console.error('💥 CRITERIA: Error loading criteria profiles:', error)
+    }
+  }
+
+  const savedProfiles = Object.entries(saved)
+    .filter(([name]) => !PROFILE_OVERRIDES[name])
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, criteria]) => ({ name, criteria: { ...balanced, ...criteria }, builtIn: false }))
+
+  console.log(`📊 CRITERIA: Loaded ${savedProfiles.length} saved criteria profiles (${demoMode ? 'localStorage' : 'Supabase'})`)
+  return [...builtIns, ...savedProfiles]
+}
+
+/**
+ * Save a criteria profile
+ * @param {string} name - Profile name (built-in names are reserved)
+ * @param {Object} criteria - Criteria keyed by field name
+ * @param {boolean} demoMode - Save to localStorage instead of Supabase
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function saveCriteriaProfile(name, criteria, demoMode = false) {
+  const profileName = name.trim().toLowerCase()
+
+  if (!profileName) {
+    return { success: false, error: 'Profile name is required' }
+  }
+  if (profileName.length > MAX_PROFILE_NAME_LENGTH) {
+    return { success: false, error: `Profile name must be ${MAX_PROFILE_NAME_LENGTH} characters or fewer` }
+  }
+  if (PROFILE_OVERRIDES[profileName]) {
+    return { success: false, error: `"${profileName}" is a built-in profile - save under a new name` }
+  }
+
+  const { valid } = validateCriteria(criteria)
+  if (!valid) {
+    return { success: false, error: 'Fix the highlighted criteria before saving' }
+  }
+
+  const values = pickCriteria(criteria)
+
+  if (demoMode) {
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify({ ...readLocalProfiles(), [profileName]: values }))
+    console.log(`✅ CRITERIA: Saved criteria profile "${profileName}" to localStorage`)
+    return { success: true, error: null }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('criteria_profiles')
+      .upsert({
+        name: profileName,
+        criteria: values,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' })
+
+    if (error) {
+      console.error(`💥 CRITERIA: Error saving criteria profile "${profileName}":`, error)
+      return { success: false, error: error.message }
+    }
+
+    console.log(`✅ CRITERIA: Saved criteria profile "${profileName}"`)
+    return { success: true, error: null }
+
+  } catch (error) {
+    console.error(`💥 CRITERIA: Error saving criteria profile "${profileName}":`, error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Delete a saved criteria profile
+ * @param {string} name - Profile name
+ * @param {boolean} demoMode - Delete from localStorage instead of Supabase
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteCriteriaProfile(name, demoMode = false) {
+  if (PROFILE_OVERRIDES[name]) {
+    return false
+  }
+
+  if (demoMode) {
+    const { [name]: removed, ...remaining } = readLocalProfiles()
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(remaining))
+    return removed !== undefined
+  }
+
+  try {
+    const { error } = await supabase
+      .from('criteria_profiles')
+      .delete()
+      .eq('name', name)
+
+    if (error) {
+      console.error(`💥 CRITERIA: Error deleting criteria profile "${name}":`, error)
+      return false
+    }
+
+    console.log(`✅ CRITERIA: Deleted criteria profile "${name}"`)
+    return true
+
+  } catch (error) {
+    console.error(`💥 CRITERIA: Error deleting criteria profile "${name}":`, error)
+    return false
+  }
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { getBuiltInProfiles, filterByCriteria, saveCriteriaProfile } from './criteriaProfiles'
+import { mockRecommendations } from './mockData'
+import { RecommendationEngine } from './recommendationEngine'
+
+const profile = (name) => getBuiltInProfiles().find(candidate => candidate.name === name)
+
+describe('filterByCriteria', () => {
+  it('narrows the sample data to the profile POP band, delta and premium', () => {
+    const balanced = filterByCriteria(mockRecommendations, profile('balanced').criteria)
+    expect(balanced.map(rec => rec.symbol)).toEqual(['AAPL'])
+
+    const aggressive = filterByCriteria(mockRecommendations, profile('aggressive').criteria)
+    expect(aggressive).toHaveLength(mockRecommendations.length)
+
+    expect(filterByCriteria(mockRecommendations, profile('conservative').criteria)).toEqual([])
+  })
+
+  it('caps recommendations per symbol', () => {
+    const recs = [1, 2, 3].map(id => ({ id, symbol: 'AAPL', pop: 90, delta: -0.1, premium_percentage: 4 }))
+    const criteria = { ...profile('balanced').criteria, maxPerSymbol: 2 }
+    expect(filterByCriteria(recs, criteria).map(rec => rec.id)).toEqual([1, 2])
+  })
+})
+
+describe('applyCriteriaProfile', () => {
+  it('records unsaved editor changes against the profile name', () => {
+    const engine = new RecommendationEngine()
+    const edited = { ...profile('balanced'), criteria: { ...profile('balanced').criteria, minPOP: 85 }, edited: true }
+
+    engine.applyCriteriaProfile(edited)
+
+    expect(engine.minPOP).toBe(85)
+    expect(engine.criteriaProfile).toBe('balanced (edited)')
+  })
+})
+
+describe('saveCriteriaProfile', () => {
+  it('rejects names longer than the stored column', async () => {
+    const result = await saveCriteriaProfile('x'.repeat(51), profile('balanced').criteria, true)
+    expect(result.success).toBe(false)
+  })
+})
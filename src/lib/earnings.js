@@ -1,7 +1,9 @@
 import { getCachedData, setCachedData } from './cache'
-import { mockEarningsData, simulateDelay } from './mockData'
+import { mockEarningsData, mockDividendData, mockHistoricalEarnings, mockSectors, simulateDelay } from './mockData'
 import { APIClient, APIError } from './apiClient'
 import { fmpLimiter } from './rateLimiter'
+import { getDailyAggregates } from './polygon'
+import { getTodayET } from './marketCalendar'
 
 const FMP_BASE_URL = 'https://financialmodelingprep.com/api/v3'
 const API_KEY = import.meta.env.VITE_FMP_API_KEY
@@ -389,14 +391,8 @@ async function calculateEPSGrowth(symbol) {
   try {
     console.log(`📈 EARNINGS: Calculating EPS growth for ${symbol}...`)
     
-    // Check rate limiter before making request
-    await fmpLimiter.checkLimit()
-    
-    // Get historical earnings data
-    const data = await fmpClient.get(`/historical/earning_calendar/${symbol}`, {
-      limit: 8, // Get last 8 quarters
-      apikey: API_KEY
-    })
+    // Get historical earnings data (last 8 quarters)
+    const data = await getHistoricalEarnings(symbol)
     
     console.log(`📈 EARNINGS: Historical earnings data for ${symbol}:`, {
       isArray: Array.isArray(data),
@@ -438,6 +434,135 @@ async function calculateEPSGrowth(symbol) {
   }
 }
 
+/**
+ * Fetches historical earnings announcements for a symbol from FMP API
+ * @param {string} symbol - Stock ticker symbol
+ * @param {number} limit - Number of quarters to fetch (default 8)
+ * @returns {Promise<Array>} Earnings entries, most recent first
+ */
+export async function getHistoricalEarnings(symbol, limit = 8) {
+  const cacheKey = `fmp_historical_earnings_${symbol}_${limit}`
+  
+  // Check cache first (24 hour cache)
+  let cachedData = await getCachedData(cacheKey)
+  if (cachedData) {
+    console.log(`✅ EARNINGS: Using cached historical earnings for ${symbol}`)
+    return cachedData
+  }
+  
+  // Use mock data if enabled or no API key
+  if (USE_MOCK_DATA || !API_KEY || !fmpClient) {
+    console.log(`🎭 EARNINGS: Using mock historical earnings for ${symbol}`)
+    await simulateDelay(300)
+    
+    const mockHistory = (mockHistoricalEarnings[symbol] || []).slice(0, limit)
+    await setCachedData(cacheKey, mockHistory, 1440)
+    return mockHistory
+  }
+  
+  try {
+    // Check rate limiter before making request
+    await fmpLimiter.checkLimit()
+    
+    const data = await fmpClient.get(`/historical/earning_calendar/${symbol}`, {
+      limit,
+      apikey: API_KEY
+    })
+    
+    if (!Array.isArray(data)) {
+      throw new APIError(`Invalid historical earnings response for ${symbol}`, 500, 'FMP')
+    }
+    
+    // Cache for 24 hours
+    await setCachedData(cacheKey, data, 1440)
+    
+    console.log(`✅ EARNINGS: Fetched ${data.length} historical earnings entries for ${symbol}`)
+    return data
+    
+  } catch (error) {
+    console.error(`💥 EARNINGS: Error fetching historical earnings for ${symbol}:`, error)
+    
+    // Handle rate limit errors
+    if (error.status === 429 || error.message.includes('Limit Reach')) {
+      const staleData = await getCachedData(`${cacheKey}_stale`)
+      if (staleData) {
+        console.log(`🔄 EARNINGS: Using stale historical earnings for ${symbol}`)
+        return staleData
+      }
+    }
+    
+    throw error
+  }
+}
+
+/**
+ * Measures how far a stock actually moved after each of its past earnings announcements
+ * The reaction runs from the last close before the announcement to the first close after it:
+ * prior close -> announcement-day close for 'bmo', announcement-day close -> next close otherwise.
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Object|null>} Moves per quarter with average, median and max absolute move (%), or null
+ */
+export async function getHistoricalEarningsMoves(symbol) {
+  const today = getTodayET()
+  const history = (await getHistoricalEarnings(symbol))
+    .filter(entry => entry.date && String(entry.date).split('T')[0] < today)
+  
+  if (history.length === 0) {
+    console.log(`⚠️ EARNINGS: No past earnings dates for ${symbol}`)
+    return null
+  }
+  
+  const dates = history.map(entry => String(entry.date).split('T')[0]).sort()
+  const fromDate = new Date(`${dates[0]}T00:00:00Z`)
+  fromDate.setUTCDate(fromDate.getUTCDate() - 7)
+  
+  const bars = await getDailyAggregates(symbol, fromDate.toISOString().split('T')[0], today)
+  
+  const moves = []
+  for (const entry of history) {
+    const date = String(entry.date).split('T')[0]
+    const beforeOpen = entry.time === 'bmo'
+    
+    const before = bars.filter(bar => beforeOpen ? bar.date < date : bar.date <= date).pop()
+    const after = bars.find(bar => beforeOpen ? bar.date >= date : bar.date > date)
+    
+    if (!before || !after || !(before.close > 0)) {
+      continue
+    }
+    
+    moves.push({
+      date,
+      time: entry.time || 'amc',
+      movePct: Math.abs(after.close / before.close - 1) * 100
+    })
+  }
+  
+  if (moves.length === 0) {
+    console.log(`⚠️ EARNINGS: No price data around past earnings for ${symbol}`)
+    return null
+  }
+  
+  const sorted = moves.map(move => move.movePct).sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  
+  const result = {
+    symbol,
+    moves,
+    sampleSize: moves.length,
+    averageMovePct: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    medianMovePct: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    maxMovePct: sorted[sorted.length - 1]
+  }
+  
+  console.log(`📊 EARNINGS: Historical earnings moves for ${symbol}:`, {
+    sampleSize: result.sampleSize,
+    averageMovePct: result.averageMovePct.toFixed(2),
+    maxMovePct: result.maxMovePct.toFixed(2)
+  })
+  
+  return result
+}
+
 /**
  * Fetches company profile data from FMP API with enhanced error handling
  * @param {string} symbol - Stock ticker symbol
@@ -461,8 +586,8 @@ export async function getCompanyProfile(symbol) {
     const mockProfile = {
       symbol: symbol,
       companyName: `${symbol} Inc.`,
-      industry: 'Technology',
-      sector: 'Technology',
+      industry: mockSectors[symbol] || 'Technology',
+      sector: mockSectors[symbol] || 'Technology',
       marketCap: 1000000000,
       beta: 1.2,
       price: mockEarningsData.find(e => e.symbol === symbol)?.revenue || 100
@@ -509,6 +634,146 @@ export async function getCompanyProfile(symbol) {
   }
 }
 
+/**
+ * Fetches dividend history from FMP API and derives upcoming ex-dividend dates
+ * When no future ex-date has been declared, the next one is projected from the recent payment cadence.
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Object>} Dividend info with annual dividend and upcoming ex-dates
+ */
+export async function getDividendInfo(symbol) {
+  const cacheKey = `fmp_dividends_${symbol}`
+  
+  // Check cache first (24 hour cache)
+  let cachedData = await getCachedData(cacheKey)
+  if (cachedData) {
+    console.log(`✅ EARNINGS: Using cached dividend info for ${symbol}`)
+    return cachedData
+  }
+  
+  // Use mock data if enabled or no API key
+  if (USE_MOCK_DATA || !API_KEY || !fmpClient) {
+    console.log(`🎭 EARNINGS: Using mock dividend info for ${symbol}`)
+    await simulateDelay(300)
+    
+    const mockDividendInfo = buildDividendInfo(symbol, mockDividendData[symbol] || [])
+    
+    await setCachedData(cacheKey, mockDividendInfo, 1440) // Cache for 24 hours
+    return mockDividendInfo
+  }
+  
+  try {
+    // Check rate limiter before making request
+    await fmpLimiter.checkLimit()
+    
+    const data = await fmpClient.get(`/historical-price-full/stock_dividend/${symbol}`, {
+      apikey: API_KEY
+    })
+    
+    const history = Array.isArray(data?.historical) ? data.historical : []
+    const dividendInfo = buildDividendInfo(symbol, history)
+    
+    // Cache for 24 hours (dividend schedules don't change often)
+    await setCachedData(cacheKey, dividendInfo, 1440)
+    
+    console.log(`✅ EARNINGS: Fetched dividend info for ${symbol}:`, {
+      annualDividend: dividendInfo.annualDividend,
+      nextExDate: dividendInfo.upcoming[0]?.exDate || null
+    })
+    return dividendInfo
+    
+  } catch (error) {
+    console.error(`💥 EARNINGS: Error fetching dividend info for ${symbol}:`, error)
+    
+    // Handle rate limit errors
+    if (error.status === 429 || error.message.includes('Limit Reach')) {
+      console.warn(`⚠️ EARNINGS: Rate limit reached for ${symbol} dividends, using fallback`)
+      
+      // Try to return stale cached data as fallback
+      const staleData = await getCachedData(`${cacheKey}_stale`)
+      if (staleData) {
+        console.log(`🔄 EARNINGS: Using stale cached dividend info for ${symbol}`)
+        return staleData
+      }
+    }
+    
+    throw error
+  }
+}
+
+/**
+ * Build dividend info from FMP dividend history
+ * @param {string} symbol - Stock symbol
+ * @param {Array} history - Dividend history entries ({ date, dividend, adjDividend, declarationDate })
+ * @param {string|null} asOfDate - Build the schedule as it was known on this date (default today)
+ * @returns {Object} Dividend info, including the normalized history for point-in-time rebuilds
+ */
+function buildDividendInfo(symbol, history, asOfDate = null) {
+  const today = asOfDate || getTodayET()
+  const yearStart = new Date(`${today}T00:00:00Z`)
+  yearStart.setUTCDate(yearStart.getUTCDate() - 365)
+  const oneYearAgo = yearStart.toISOString().split('T')[0]
+  
+  const entries = history
+    .filter(entry => entry.date || entry.exDate)
+    .map(entry => ({
+      exDate: entry.date || entry.exDate,
+      amount: entry.dividend ?? entry.adjDividend ?? entry.amount ?? 0,
+      declarationDate: entry.declarationDate || null
+    }))
+    .sort((a, b) => b.exDate.localeCompare(a.exDate))
+  
+  // As of a past date, only ex-dates already declared by then count as known
+  const isKnown = (entry) => !asOfDate || (entry.declarationDate !== null && entry.declarationDate <= asOfDate)
+  
+  const past = entries.filter(entry => entry.exDate <= today)
+  const upcoming = entries
+    .filter(entry => entry.exDate > today && isKnown(entry))
+    .reverse()
+    .map(({ exDate, amount }) => ({ exDate, amount, projected: false }))
+  
+  // Project the next ex-date from the average spacing of recent payments
+  if (upcoming.length === 0 && past.length >= 2) {
+    const recent = past.slice(0, 5)
+    const spanDays = (new Date(recent[0].exDate) - new Date(recent[recent.length - 1].exDate)) / (1000 * 60 * 60 * 24)
+    const intervalDays = Math.round(spanDays / (recent.length - 1))
+    
+    if (intervalDays > 0) {
+      // Ex-dates parse as UTC midnight, so step in UTC to stay on calendar days across DST changes
+      const next = new Date(`${recent[0].exDate}T00:00:00Z`)
+      while (next.toISOString().split('T')[0] <= today) {
+        next.setUTCDate(next.getUTCDate() + intervalDays)
+      }
+      upcoming.push({ exDate: next.toISOString().split('T')[0], amount: recent[0].amount, projected: true })
+    }
+  }
+  
+  const annualDividend = past
+    .filter(entry => entry.exDate > oneYearAgo)
+    .reduce((sum, entry) => sum + entry.amount, 0)
+  
+  return {
+    symbol,
+    annualDividend,
+    lastExDate: past[0]?.exDate || null,
+    upcoming,
+    history: entries
+  }
+}
+
+/**
+ * Rebuild dividend info as it was known on a past date (backtest replays)
+ * Later ex-dates only count once declared, so replays don't see dividends announced after the replayed date.
+ * @param {Object} dividendInfo - Dividend info from getDividendInfo
+ * @param {string} asOfDate - Replayed date ('YYYY-MM-DD', ET)
+ * @returns {Object|null} Dividend info, or null when no history is available to rebuild from
+ */
+export function getDividendInfoAsOf(dividendInfo, asOfDate) {
+  if (!Array.isArray(dividendInfo?.history)) {
+    return null
+  }
+  return buildDividendInfo(dividendInfo.symbol, dividendInfo.history, asOfDate)
+}
+
 /**
  * Get earnings for multiple symbols with enhanced batch processing
  * @param {Array} symbols - Array of stock symbols
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { getDividendInfo, getDividendInfoAsOf, getHistoricalEarningsMoves } from './earnings'
+import { getCachedData } from './cache'
+import { getDailyAggregates } from './polygon'
+
+vi.mock('./cache', () => ({
+  getCachedData: vi.fn(async () => null),
+  setCachedData: async () => {}
+}))
+
+vi.mock('./polygon', () => ({
+  getDailyAggregates: vi.fn(async () => [])
+}))
+
+const dividendInfo = {
+  symbol: 'TEST',
+  history: [
+    { exDate: '2025-05-12', amount: 0.26, declarationDate: '2025-05-01' },
+    { exDate: '2025-02-10', amount: 0.25, declarationDate: '2025-01-30' },
+    { exDate: '2024-11-08', amount: 0.25, declarationDate: '2024-10-31' },
+    { exDate: '2024-08-12', amount: 0.25, declarationDate: '2024-08-01' },
+    { exDate: '2024-05-10', amount: 0.25, declarationDate: '2024-05-02' }
+  ]
+}
+
+describe('getDividendInfoAsOf', () => {
+  it('projects the next ex-date when the next dividend was not declared yet', () => {
+    const info = getDividendInfoAsOf(dividendInfo, '2025-03-01')
+
+    // 276 days over 3 intervals averages 92 days after Feb 10
+    expect(info.upcoming).toEqual([{ exDate: '2025-05-13', amount: 0.25, projected: true }])
+    expect(info.lastExDate).toBe('2025-02-10')
+    expect(info.annualDividend).toBeCloseTo(1, 10)
+  })
+
+  it('uses declared ex-dates once they were announced', () => {
+    const info = getDividendInfoAsOf(dividendInfo, '2025-05-05')
+    expect(info.upcoming).toEqual([{ exDate: '2025-05-12', amount: 0.26, projected: false }])
+  })
+
+  it('ignores later ex-dates without a declaration date', () => {
+    const undeclared = {
+      symbol: 'TEST',
+      history: dividendInfo.history.map(({ exDate, amount }) => ({ exDate, amount }))
+    }
+    expect(getDividendInfoAsOf(undeclared, '2025-05-05').upcoming[0].projected).toBe(true)
+  })
+
+  it('returns null without a stored history', () => {
+    expect(getDividendInfoAsOf({ symbol: 'TEST', upcoming: [] }, '2025-03-01')).toBeNull()
+    expect(getDividendInfoAsOf(null, '2025-03-01')).toBeNull()
+  })
+})
+
+describe('getDividendInfo', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('keeps an ex-date upcoming through the evening before it in New York', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    // 10:30pm ET on Aug 20 is already Aug 21 in UTC
+    vi.setSystemTime(new Date('2025-08-21T02:30:00Z'))
+
+    const info = await getDividendInfo('MSFT')
+
+    expect(info.upcoming[0]).toEqual({ exDate: '2025-08-21', amount: 0.83, projected: false })
+    expect(info.lastExDate).toBe('2025-05-15')
+  })
+})
+
+describe('getHistoricalEarningsMoves', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.mocked(getCachedData).mockReset()
+  })
+
+  it('measures each reaction from the last close before the report to the first close after it', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-06-02T14:00:00Z'))
+
+    const history = [
+      { date: '2025-06-02', time: 'bmo' },
+      { date: '2025-04-24', time: 'amc' },
+      { date: '2025-01-30', time: 'bmo' },
+      { date: '2024-10-24', time: 'amc' }
+    ]
+    vi.mocked(getCachedData).mockImplementation(async (key) => key === 'fmp_historical_earnings_TEST_8' ? history : null)
+    vi.mocked(getDailyAggregates).mockResolvedValue([
+      { date: '2025-01-29', close: 100 },
+      { date: '2025-01-30', close: 106 },
+      { date: '2025-04-24', close: 200 },
+      { date: '2025-04-25', close: 190 }
+    ])
+
+    const result = await getHistoricalEarningsMoves('TEST')
+
+    // Today's report is not history yet, and October has no bars around it
+    expect(getDailyAggregates).toHaveBeenCalledWith('TEST', '2024-10-17', '2025-06-02')
+    expect(result.moves.map(move => move.date)).toEqual(['2025-04-24', '2025-01-30'])
+    expect(result.moves[0].movePct).toBeCloseTo(5, 10)
+    expect(result.moves[1].movePct).toBeCloseTo(6, 10)
+    expect(result.sampleSize).toBe(2)
+    expect(result.averageMovePct).toBeCloseTo(5.5, 10)
+    expect(result.medianMovePct).toBeCloseTo(5.5, 10)
+    expect(result.maxMovePct).toBeCloseTo(6, 10)
+  })
+
+  it('returns null without past reports', async () => {
+    vi.mocked(getCachedData).mockImplementation(async (key) => key.startsWith('fmp_historical_earnings_') ? [{ date: '2099-01-01' }] : null)
+    expect(await getHistoricalEarningsMoves('TEST')).toBeNull()
+  })
+})
@@ -0,0 +1,135 @@
+import { supabase } from './supabase'
+import { calculateIVRank, calculateIVPercentile } from './calculations'
+import { getTodayET } from './marketCalendar'
+
+const MIN_IV_HISTORY = 20 // Snapshots needed before relative IV is trusted
+const IV_LOOKBACK_DAYS = 365 // 52 weeks
+const MIN_DAYS_FOR_ATM_IV = 7 // Skip weekly contracts about to expire when sampling ATM IV
+
+/**
+ * Pick a representative at-the-money implied volatility for a symbol
+ * Uses the put nearest the money in the first expiration at least a week out,
+ * falling back to the longest-dated expiration available.
+ * @param {Array} options - Processed options from getOptionsChain
+ * @param {number} stockPrice - Current stock price
+ * @param {string} asOfDate - Date the chain was observed (default today, ET)
+ * @returns {number|null} ATM implied volatility or null
+ */
+export function getAtmImpliedVolatility(options, stockPrice, asOfDate = getTodayET()) {
+  const withIV = options.filter(option => option.impliedVolatility > 0)
+  if (withIV.length === 0) {
+    return null
+  }
+
+  const cutoff = new Date(`${asOfDate}T00:00:00Z`)
+  cutoff.setUTCDate(cutoff.getUTCDate() + MIN_DAYS_FOR_ATM_IV)
+  const cutoffDate = cutoff.toISOString().split('T')[0]
+
+  const expirations = [...new Set(withIV.map(option => option.expiration))].sort()
+  const expiration = expirations.find(date => date >= cutoffDate) || expirations[expirations.length - 1]
+
+  const atm = withIV
+    .filter(option => option.expiration === expiration)
+    .sort((a, b) => Math.abs(a.strike - stockPrice) - Math.abs(b.strike - stockPrice))[0]
+
+  return atm.impliedVolatility
+}
+
+/**
+ * Store today's IV snapshot for a symbol (one row per symbol per day)
+ * @param {string} symbol - Stock symbol
+ * @param {number} impliedVolatility - ATM implied volatility
+ * @param {number} stockPrice - Current stock price
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function recordIVSnapshot(symbol, impliedVolatility, stockPrice) {
+  if (!(impliedVolatility > 0)) {
+    return false
+  }
+
+  try {
+    const { error } = await supabase
+      .from('iv_history')
+      .upsert({
+        symbol,
+        snapshot_date: getTodayET(),
+        implied_volatility: impliedVolatility,
+        stock_price: stockPrice
+      }, { onConflict: 'symbol,snapshot_date' })
+
+    if (error) {
+      console.warn(`⚠️ IV_HISTORY: Error storing IV snapshot for ${symbol}:`, error)
+      return false
+    }
+
+    console.log(`💾 IV_HISTORY: Stored IV snapshot for ${symbol}: ${(impliedVolatility * 100).toFixed(1)}%`)
+    return true
+
+  } catch (error) {
+    console.error(`💥 IV_HISTORY: Error storing IV snapshot for ${symbol}:`, error)
+    return false
+  }
+}
+
+/**
+ * Load the last 52 weeks of IV snapshots for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Snapshots as { snapshot_date, implied_volatility }, newest first
+ */
+export async function getIVHistory(symbol) {
+  try {
+    const { data, error } = await supabase
+      .from('iv_history')
+      .select('snapshot_date, implied_volatility')
+      .eq('symbol', symbol)
+      .order('snapshot_date', { ascending: false })
+      .limit(IV_LOOKBACK_DAYS)
+
+    if (error) {
+      console.warn(`⚠️ IV_HISTORY: Error loading IV history for ${symbol}:`, error)
+      return []
+    }
+
+    const since = new Date(`${getTodayET()}T00:00:00Z`)
+    since.setUTCDate(since.getUTCDate() - IV_LOOKBACK_DAYS)
+    const sinceDate = since.toISOString().split('T')[0]
+
+    return (data || []).filter(snapshot => snapshot.snapshot_date >= sinceDate)
+
+  } catch (error) {
+    console.error(`💥 IV_HISTORY: Error loading IV history for ${symbol}:`, error)
+    return []
+  }
+}
+
+/**
+ * Compute 52-week IV rank and IV percentile for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number} currentIV - Current ATM implied volatility
+ * @returns {Promise<Object|null>} { ivRank, ivPercentile, low, high, sampleSize } or null if history is too short
+ */
+export async function getIVStats(symbol, currentIV) {
+  if (!(currentIV > 0)) {
+    return null
+  }
+
+  const history = (await getIVHistory(symbol))
+    .map(snapshot => Number(snapshot.implied_volatility))
+    .filter(iv => iv > 0)
+
+  if (history.length < MIN_IV_HISTORY) {
+    console.log(`⚠️ IV_HISTORY: Only ${history.length} IV snapshots for ${symbol}, need ${MIN_IV_HISTORY} for IV rank`)
+    return null
+  }
+
+  const stats = {
+    ivRank: calculateIVRank(currentIV, history),
+    ivPercentile: calculateIVPercentile(currentIV, history),
+    low: Math.min(...history),
+    high: Math.max(...history),
+    sampleSize: history.length
+  }
+
+  console.log(`📊 IV_HISTORY: ${symbol} IV rank ${stats.ivRank.toFixed(0)}, percentile ${stats.ivPercentile.toFixed(0)} (${stats.sampleSize} days)`)
+  return stats
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { supabase } from './supabase'
+import { getIVStats } from './ivHistory'
+
+/**
+ * Stub the IV history query with fixed snapshots
+ * @param {Array} rows - Snapshots as { snapshot_date, implied_volatility }
+ */
+function stubIVHistory(rows) {
+  vi.spyOn(supabase, 'from').mockImplementation(() => ({
+    select: () => ({
+      eq: () => ({
+        order: () => ({
+          limit: () => Promise.resolve({ data: rows, error: null })
+        })
+      })
+    })
+  }))
+}
+
+// One snapshot a day back from Jun 1, 2025 with IVs 0.20, 0.21, ... newest first
+const dailySnapshots = (count) => Array.from({ length: count }, (_, index) => ({
+  snapshot_date: new Date(Date.UTC(2025, 5, 1 - index)).toISOString().split('T')[0],
+  implied_volatility: String((0.2 + index / 100).toFixed(2))
+}))
+
+describe('getIVStats', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-06-02T14:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('ranks the current IV within its 52-week range and percentile', async () => {
+    stubIVHistory([
+      ...dailySnapshots(30),
+      { snapshot_date: '2025-04-01', implied_volatility: 0 },
+      { snapshot_date: '2024-05-01', implied_volatility: 0.9 }
+    ])
+
+    const stats = await getIVStats('TEST', 0.35)
+
+    // The zero and the snapshot older than 52 weeks are left out
+    expect(stats.sampleSize).toBe(30)
+    expect(stats.low).toBeCloseTo(0.2, 10)
+    expect(stats.high).toBeCloseTo(0.49, 10)
+    expect(stats.ivRank).toBeCloseTo(0.15 / 0.29 * 100, 8)
+    expect(stats.ivPercentile).toBe(50)
+  })
+
+  it('clamps the rank to 0-100 outside the historical range', async () => {
+    stubIVHistory(dailySnapshots(30))
+
+    expect((await getIVStats('TEST', 0.8)).ivRank).toBe(100)
+    expect((await getIVStats('TEST', 0.1)).ivRank).toBe(0)
+    expect((await getIVStats('TEST', 0.1)).ivPercentile).toBe(0)
+  })
+
+  it('needs enough history and a current IV', async () => {
+    stubIVHistory(dailySnapshots(19))
+    expect(await getIVStats('TEST', 0.35)).toBeNull()
+
+    stubIVHistory(dailySnapshots(30))
+    expect(await getIVStats('TEST', 0)).toBeNull()
+  })
+})
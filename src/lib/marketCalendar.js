@@ -0,0 +1,331 @@
+/**
+ * NYSE trading calendar - holidays, early closes and expiration cutoffs
+ * All dates are 'YYYY-MM-DD' strings interpreted in US Eastern time, so results
+ * do not depend on the timezone of the user's browser.
+ */
+
+const MARKET_TIMEZONE = 'America/New_York'
+const REGULAR_CLOSE = { hour: 16, minute: 0 } // 4:00pm ET
+const EARLY_CLOSE = { hour: 13, minute: 0 } // 1:00pm ET
+const MS_PER_DAY = 1000 * 60 * 60 * 24
+
+const holidayCache = new Map()
+const earlyCloseCache = new Map()
+
+/**
+ * Format a UTC date as 'YYYY-MM-DD'
+ * @param {Date} date - Date whose UTC fields hold the calendar day
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' string into a UTC midnight date
+ * @param {string} dateString - Date string
+ * @returns {Date} UTC midnight date
+ */
+function parseDateString(dateString) {
+  const [year, month, day] = String(dateString).split('T')[0].split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+/**
+ * Add calendar days to a date string
+ * @param {string} dateString - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+function addDays(dateString, days) {
+  const date = parseDateString(dateString)
+  date.setUTCDate(date.getUTCDate() + days)
+  return toDateString(date)
+}
+
+/**
+ * Get the nth weekday of a month (n = -1 for the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence
+ * @returns {string} Date string
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month, 1))
+    const offset = (weekday - first.getUTCDay() + 7) % 7
+    return toDateString(new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7)))
+  }
+
+  const last = new Date(Date.UTC(year, month + 1, 0))
+  const offset = (last.getUTCDay() - weekday + 7) % 7
+  return toDateString(new Date(Date.UTC(year, month, last.getUTCDate() - offset)))
+}
+
+/**
+ * Calculate Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {string} Date string
+ */
+function easterSunday(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return toDateString(new Date(Date.UTC(year, month - 1, day)))
+}
+
+/**
+ * Shift a fixed-date holiday to its observed weekday (Saturday -> Friday, Sunday -> Monday)
+ * @param {string} dateString - Holiday date
+ * @returns {string} Observed date
+ */
+function observedDate(dateString) {
+  const day = parseDateString(dateString).getUTCDay()
+  if (day === 6) return addDays(dateString, -1)
+  if (day === 0) return addDays(dateString, 1)
+  return dateString
+}
+
+/**
+ * Get the day of week for a date string
+ * @param {string} dateString - Date string
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function dayOfWeek(dateString) {
+  return parseDateString(dateString).getUTCDay()
+}
+
+/**
+ * Get the NYSE full-day holidays for a year
+ * @param {number} year - Year
+ * @returns {Array} Holiday date strings
+ */
+export function getMarketHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year)
+  }
+
+  const holidays = []
+
+  // New Year's Day - NYSE does not close on Friday when Jan 1 falls on a Saturday
+  const newYears = `${year}-01-01`
+  if (dayOfWeek(newYears) !== 6) {
+    holidays.push(observedDate(newYears))
+  }
+
+  holidays.push(nthWeekdayOfMonth(year, 0, 1, 3)) // Martin Luther King Jr. Day
+  holidays.push(nthWeekdayOfMonth(year, 1, 1, 3)) // Washington's Birthday
+  holidays.push(addDays(easterSunday(year), -2)) // Good Friday
+  holidays.push(nthWeekdayOfMonth(year, 4, 1, -1)) // Memorial Day
+
+  if (year >= 2022) {
+    holidays.push(observedDate(`${year}-06-19`)) // Juneteenth
+  }
+
+  holidays.push(observedDate(`${year}-07-04`)) // Independence Day
+  holidays.push(nthWeekdayOfMonth(year, 8, 1, 1)) // Labor Day
+  holidays.push(nthWeekdayOfMonth(year, 10, 4, 4)) // Thanksgiving
+  holidays.push(observedDate(`${year}-12-25`)) // Christmas
+
+  holidays.sort()
+  holidayCache.set(year, holidays)
+  return holidays
+}
+
+/**
+ * Get the NYSE early-close (1:00pm ET) sessions for a year
+ * @param {number} year - Year
+ * @returns {Array} Early-close date strings
+ */
+export function getEarlyCloseDays(year) {
+  if (earlyCloseCache.has(year)) {
+    return earlyCloseCache.get(year)
+  }
+
+  const candidates = [
+    `${year}-07-03`, // Day before Independence Day
+    addDays(nthWeekdayOfMonth(year, 10, 4, 4), 1), // Day after Thanksgiving
+    `${year}-12-24` // Christmas Eve
+  ]
+
+  const earlyCloses = candidates.filter(date => {
+    const day = dayOfWeek(date)
+    return day !== 0 && day !== 6 && !getMarketHolidays(year).includes(date)
+  })
+
+  earlyCloseCache.set(year, earlyCloses)
+  return earlyCloses
+}
+
+/**
+ * Check if a date is an NYSE full-day holiday
+ * @param {string} dateString - Date string
+ * @returns {boolean} True if the market is closed for a holiday
+ */
+export function isMarketHoliday(dateString) {
+  const date = String(dateString).split('T')[0]
+  return getMarketHolidays(parseDateString(date).getUTCFullYear()).includes(date)
+}
+
+/**
+ * Check if a date is an NYSE early-close session
+ * @param {string} dateString - Date string
+ * @returns {boolean} True if the market closes at 1:00pm ET
+ */
+export function isEarlyClose(dateString) {
+  const date = String(dateString).split('T')[0]
+  return getEarlyCloseDays(parseDateString(date).getUTCFullYear()).includes(date)
+}
+
+/**
+ * Check if the market is open on a date
+ * @param {string} dateString - Date string
+ * @returns {boolean} True for weekdays that are not holidays
+ */
+export function isTradingDay(dateString) {
+  const day = dayOfWeek(dateString)
+  return day !== 0 && day !== 6 && !isMarketHoliday(dateString)
+}
+
+/**
+ * Get the UTC offset of US Eastern time at an instant, in minutes
+ * @param {Date} instant - Point in time
+ * @returns {number} Offset in minutes (e.g. -240 during EDT)
+ */
+function getEasternOffsetMinutes(instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant)
+
+  const get = (type) => Number(parts.find(part => part.type === type).value)
+  const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'))
+
+  return Math.round((asUTC - Math.floor(instant.getTime() / 60000) * 60000) / 60000)
+}
+
+/**
+ * Convert an Eastern wall-clock time on a date into an instant
+ * @param {string} dateString - Date string
+ * @param {number} hour - Hour (ET)
+ * @param {number} minute - Minute (ET)
+ * @returns {Date} Instant
+ */
+function easternTimeToDate(dateString, hour, minute) {
+  const date = parseDateString(dateString)
+  const guess = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute)
+  const offset = getEasternOffsetMinutes(new Date(guess))
+  return new Date(guess - offset * 60000)
+}
+
+/**
+ * Get today's date in US Eastern time
+ * @param {Date} now - Current time (default now)
+ * @returns {string} Date string
+ */
+export function getTodayET(now = new Date()) {
+  const offset = getEasternOffsetMinutes(now)
+  return toDateString(new Date(now.getTime() + offset * 60000))
+}
+
+/**
+ * Get the previous trading day on or before a date
+ * @param {string} dateString - Date string
+ * @returns {string} Trading day date string
+ */
+export function getPreviousTradingDay(dateString) {
+  let date = String(dateString).split('T')[0]
+  while (!isTradingDay(date)) {
+    date = addDays(date, -1)
+  }
+  return date
+}
+
+/**
+ * Move an expiration that falls on a weekend or holiday to the prior trading session
+ * (e.g. Good Friday expirations settle on Thursday)
+ * @param {string} expirationDate - Listed expiration date
+ * @returns {string} Effective expiration date
+ */
+export function adjustExpirationDate(expirationDate) {
+  return getPreviousTradingDay(expirationDate)
+}
+
+/**
+ * Get the market close instant for a session
+ * @param {string} dateString - Date string
+ * @returns {Date} 4:00pm ET, or 1:00pm ET on early-close days
+ */
+export function getMarketCloseTime(dateString) {
+  const close = isEarlyClose(dateString) ? EARLY_CLOSE : REGULAR_CLOSE
+  return easternTimeToDate(dateString, close.hour, close.minute)
+}
+
+/**
+ * Get the instant an option stops trading (close of its effective expiration session)
+ * @param {string} expirationDate - Listed expiration date
+ * @returns {Date} Expiration instant
+ */
+export function getExpirationTime(expirationDate) {
+  return getMarketCloseTime(adjustExpirationDate(expirationDate))
+}
+
+/**
+ * Calendar days from today (ET) to the effective expiration date
+ * Returns 0 for same-day expirations and -1 once the expiration session has closed.
+ * @param {string} expirationDate - Listed expiration date
+ * @param {Date} now - Current time (default now)
+ * @returns {number} Days to expiry
+ */
+export function getDaysToExpiry(expirationDate, now = new Date()) {
+  if (now >= getExpirationTime(expirationDate)) {
+    return -1
+  }
+
+  const expiry = parseDateString(adjustExpirationDate(expirationDate))
+  const today = parseDateString(getTodayET(now))
+  return Math.round((expiry - today) / MS_PER_DAY)
+}
+
+/**
+ * Count the trading sessions remaining until expiration, including today's if still open
+ * @param {string} expirationDate - Listed expiration date
+ * @param {Date} now - Current time (default now)
+ * @returns {number} Trading days to expiry
+ */
+export function getTradingDaysToExpiry(expirationDate, now = new Date()) {
+  const expiry = adjustExpirationDate(expirationDate)
+  let date = getTodayET(now)
+  let count = 0
+
+  // Today's session only counts while it is still trading
+  if (isTradingDay(date) && now >= getMarketCloseTime(date)) {
+    date = addDays(date, 1)
+  }
+
+  while (date <= expiry) {
+    if (isTradingDay(date)) {
+      count++
+    }
+    date = addDays(date, 1)
+  }
+
+  return count
+}
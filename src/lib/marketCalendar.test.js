@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getMarketHolidays,
+  getEarlyCloseDays,
+  isTradingDay,
+  adjustExpirationDate,
+  getMarketCloseTime,
+  getTodayET,
+  getDaysToExpiry,
+  getTradingDaysToExpiry
+} from './marketCalendar'
+
+describe('getMarketHolidays', () => {
+  it('matches the published NYSE calendar', () => {
+    expect(getMarketHolidays(2024)).toEqual([
+      '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+      '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'
+    ])
+    expect(getMarketHolidays(2025)).toEqual([
+      '2025-01-01', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+      '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ])
+  })
+
+  it('observes weekend holidays on the nearest weekday', () => {
+    // Christmas 2021 and Independence Day 2021 fell on weekends
+    expect(getMarketHolidays(2021)).toContain('2021-12-24')
+    expect(getMarketHolidays(2021)).toContain('2021-07-05')
+    // Juneteenth 2027 is a Saturday
+    expect(getMarketHolidays(2027)).toContain('2027-06-18')
+  })
+
+  it('does not close the prior Friday when New Year\'s Day is a Saturday', () => {
+    const holidays = getMarketHolidays(2022)
+    expect(holidays).not.toContain('2021-12-31')
+    expect(holidays).not.toContain('2022-01-03')
+    expect(holidays).toHaveLength(9)
+  })
+
+  it('only observes Juneteenth from 2022', () => {
+    expect(getMarketHolidays(2021)).not.toContain('2021-06-18')
+    expect(getMarketHolidays(2022)).toContain('2022-06-20')
+  })
+
+  it('places Good Friday two days before Easter', () => {
+    expect(getMarketHolidays(2019)).toContain('2019-04-19') // Easter April 21
+    expect(getMarketHolidays(2027)).toContain('2027-03-26') // Easter March 28
+    expect(getMarketHolidays(2038)).toContain('2038-04-23') // Easter April 25, the latest possible
+  })
+})
+
+describe('getEarlyCloseDays', () => {
+  it('skips candidates that are weekends or holidays', () => {
+    expect(getEarlyCloseDays(2025)).toEqual(['2025-07-03', '2025-11-28', '2025-12-24'])
+    // July 3, 2026 is the observed Independence Day
+    expect(getEarlyCloseDays(2026)).toEqual(['2026-11-27', '2026-12-24'])
+  })
+})
+
+describe('expiration dates', () => {
+  it('moves holiday and weekend expirations to the prior session', () => {
+    expect(adjustExpirationDate('2025-04-18')).toBe('2025-04-17')
+    expect(adjustExpirationDate('2025-07-05')).toBe('2025-07-03')
+    expect(isTradingDay('2025-04-17')).toBe(true)
+  })
+
+  it('closes at 1:00pm ET on early-close days and 4:00pm ET otherwise', () => {
+    expect(getMarketCloseTime('2025-11-28').toISOString()).toBe('2025-11-28T18:00:00.000Z')
+    expect(getMarketCloseTime('2025-07-02').toISOString()).toBe('2025-07-02T20:00:00.000Z')
+  })
+
+  it('uses the Eastern date regardless of the UTC date', () => {
+    expect(getTodayET(new Date('2025-03-10T03:30:00Z'))).toBe('2025-03-09')
+    expect(getTodayET(new Date('2025-03-10T04:30:00Z'))).toBe('2025-03-10')
+  })
+
+  it('counts calendar and trading days to expiry', () => {
+    const mondayMorning = new Date('2025-04-14T14:00:00Z')
+    expect(getDaysToExpiry('2025-04-18', mondayMorning)).toBe(3)
+    expect(getTradingDaysToExpiry('2025-04-18', mondayMorning)).toBe(4)
+
+    const afterClose = new Date('2025-04-17T21:00:00Z')
+    expect(getDaysToExpiry('2025-04-18', afterClose)).toBe(-1)
+    expect(getTradingDaysToExpiry('2025-04-18', afterClose)).toBe(0)
+  })
+})
@@ -1,3 +1,5 @@
+import { calculateBlackScholesPrice, calculateGreeks, calculateTimeToExpiry } from './calculations'
+
 /**
  * Mock data for development and testing
  * Updated with current dates (June 2025)
@@ -156,6 +158,44 @@ export const mockOptionsData = {
         volume: 1560,
         openInterest: 4230
       }
+    ],
+    calls: [
+      {
+        strike: 190,
+        expiration: '2025-07-04',
+        type: 'call',
+        bid: 2.35,
+        ask: 2.45,
+        premium: 2.40,
+        delta: 0.22,
+        impliedVolatility: 0.25,
+        volume: 1840,
+        openInterest: 5120
+      },
+      {
+        strike: 195,
+        expiration: '2025-07-04',
+        type: 'call',
+        bid: 1.30,
+        ask: 1.40,
+        premium: 1.35,
+        delta: 0.13,
+        impliedVolatility: 0.24,
+        volume: 1320,
+        openInterest: 3980
+      },
+      {
+        strike: 200,
+        expiration: '2025-07-04',
+        type: 'call',
+        bid: 0.65,
+        ask: 0.75,
+        premium: 0.70,
+        delta: 0.07,
+        impliedVolatility: 0.25,
+        volume: 960,
+        openInterest: 2740
+      }
     ]
   },
   'MSFT': {
@@ -185,6 +225,32 @@ export const mockOptionsData = {
         volume: 1120,
         openInterest: 2650
       }
+    ],
+    calls: [
+      {
+        strike: 410,
+        expiration: '2025-07-04',
+        type: 'call',
+        bid: 6.10,
+        ask: 6.30,
+        premium: 6.20,
+        delta: 0.21,
+        impliedVolatility: 0.28,
+        volume: 940,
+        openInterest: 2210
+      },
+      {
+        strike: 420,
+        expiration: '2025-07-04',
+        type: 'call',
+        bid: 3.05,
+        ask: 3.25,
+        premium: 3.15,
+        delta: 0.11,
+        impliedVolatility: 0.27,
+        volume: 610,
+        openInterest: 1530
+      }
     ]
   },
   'TSLA': {
@@ -252,6 +318,58 @@ export const mockOptionsData = {
   }
 }
 
+export const mockDividendData = {
+  'AAPL': [
+    { date: '2025-05-12', dividend: 0.26 },
+    { date: '2025-02-10', dividend: 0.25 },
+    { date: '2024-11-08', dividend: 0.25 },
+    { date: '2024-08-12', dividend: 0.25 }
+  ],
+  'MSFT': [
+    { date: '2025-08-21', dividend: 0.83 },
+    { date: '2025-05-15', dividend: 0.83 },
+    { date: '2025-02-20', dividend: 0.83 },
+    { date: '2024-11-21', dividend: 0.83 }
+  ]
+}
+
+// FMP profile sectors for the mock earnings symbols
+export const mockSectors = {
+  'AAPL': 'Technology',
+  'MSFT': 'Technology',
+  'GOOGL': 'Communication Services',
+  'TSLA': 'Consumer Cyclical',
+  'NVDA': 'Technology',
+  'META': 'Communication Services',
+  'AMZN': 'Consumer Cyclical',
+  'NFLX': 'Communication Services',
+  'CRM': 'Technology',
+  'ADBE': 'Technology'
+}
+
+export const mockHistoricalEarnings = {
+  'AAPL': [
+    { date: '2025-05-01', eps: 1.65, epsEstimated: 1.62, time: 'amc' },
+    { date: '2025-01-30', eps: 2.40, epsEstimated: 2.35, time: 'amc' },
+    { date: '2024-10-31', eps: 1.64, epsEstimated: 1.60, time: 'amc' },
+    { date: '2024-08-01', eps: 1.40, epsEstimated: 1.35, time: 'amc' },
+    { date: '2024-05-02', eps: 1.53, epsEstimated: 1.50, time: 'amc' },
+    { date: '2024-02-01', eps: 2.18, epsEstimated: 2.10, time: 'amc' },
+    { date: '2023-11-02', eps: 1.46, epsEstimated: 1.39, time: 'amc' },
+    { date: '2023-08-03', eps: 1.26, epsEstimated: 1.19, time: 'amc' }
+  ],
+  'MSFT': [
+    { date: '2025-04-30', eps: 3.46, epsEstimated: 3.22, time: 'amc' },
+    { date: '2025-01-29', eps: 3.23, epsEstimated: 3.11, time: 'amc' },
+    { date: '2024-10-30', eps: 3.30, epsEstimated: 3.10, time: 'amc' },
+    { date: '2024-07-30', eps: 2.95, epsEstimated: 2.93, time: 'amc' },
+    { date: '2024-04-25', eps: 2.94, epsEstimated: 2.82, time: 'amc' },
+    { date: '2024-01-30', eps: 2.93, epsEstimated: 2.78, time: 'amc' },
+    { date: '2023-10-24', eps: 2.99, epsEstimated: 2.65, time: 'amc' },
+    { date: '2023-07-25', eps: 2.69, epsEstimated: 2.55, time: 'amc' }
+  ]
+}
+
 export const mockRecommendations = [
   {
     id: 1,
@@ -313,4 +431,147 @@ export const mockRecommendations = [
 export function simulateDelay(ms = 1000) {
   console.log(`🕐 MOCK: Simulating ${ms}ms delay...`)
   return new Promise(resolve => setTimeout(resolve, ms))
-}
\ No newline at end of file
+}
+
+/**
+ * Generates deterministic daily OHLCV bars for a symbol
+ * Prices follow a seeded random walk ending near the mock underlying price.
+ * @param {string} symbol - Stock symbol
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {Array} Bars with date, open, high, low, close and volume
+ */
+export function generateMockDailyBars(symbol, fromDate, toDate) {
+  let seed = [...symbol].reduce((sum, char) => sum * 31 + char.charCodeAt(0), 7) >>> 0
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0
+    return seed / 4294967296
+  }
+
+  const bars = []
+  let close = mockOptionsData[symbol]?.underlyingPrice || 100.00
+  const date = new Date(`${toDate}T00:00:00Z`)
+  const from = new Date(`${fromDate}T00:00:00Z`)
+
+  // Walk backwards from the latest session so the most recent close matches the mock price
+  while (date >= from) {
+    const day = date.getUTCDay()
+    if (day !== 0 && day !== 6) {
+      const open = close * (1 + (random() - 0.5) * 0.02)
+      const high = Math.max(open, close) * (1 + random() * 0.012)
+      const low = Math.min(open, close) * (1 - random() * 0.012)
+      bars.unshift({
+        date: date.toISOString().split('T')[0],
+        open,
+        high,
+        low,
+        close,
+        volume: Math.round(20000000 + random() * 40000000)
+      })
+      close = open * (1 + (random() - 0.5) * 0.02)
+    }
+    date.setUTCDate(date.getUTCDate() - 1)
+  }
+
+  return bars
+}
+
+/**
+ * Generate a deterministic option chain snapshot for backtesting without stored snapshots
+ * Weekly expirations over the next three weeks, priced with Black-Scholes on a 30% base
+ * volatility plus put skew and an earnings jump for expirations that span the report.
+ * @param {string} symbol - Stock symbol
+ * @param {string} snapshotDate - Snapshot date (YYYY-MM-DD)
+ * @param {number} stockPrice - Stock price at the snapshot
+ * @param {string} earningsDate - Next earnings date (YYYY-MM-DD)
+ * @returns {Object} Snapshot in the processed-chain shape plus snapshotDate and snapshotTime
+ */
+export function generateMockChainSnapshot(symbol, snapshotDate, stockPrice, earningsDate) {
+  let seed = [...`${symbol}${snapshotDate}`].reduce((sum, char) => sum * 31 + char.charCodeAt(0), 7) >>> 0
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0
+    return seed / 4294967296
+  }
+
+  const snapshotTime = `${snapshotDate}T19:30:00Z` // Shortly before the close
+  const now = new Date(snapshotTime)
+  const riskFreeRate = 0.045
+  const baseVolatility = 0.30
+  const earningsMoveStd = 0.06
+  const strikeStep = stockPrice >= 200 ? 5 : 2.5
+  const atmStrike = Math.round(stockPrice / strikeStep) * strikeStep
+
+  const expirations = []
+  const date = new Date(`${snapshotDate}T00:00:00Z`)
+  for (let i = 1; i <= 21; i++) {
+    date.setUTCDate(date.getUTCDate() + 1)
+    if (date.getUTCDay() === 5) {
+      expirations.push(date.toISOString().split('T')[0])
+    }
+  }
+
+  const options = []
+  const calls = []
+  const straddles = []
+
+  for (const expiration of expirations) {
+    const timeToExpiry = calculateTimeToExpiry(expiration, now)
+    if (timeToExpiry <= 0) continue
+
+    // Spread the earnings jump variance over the life of expirations that include the report
+    const spansEarnings = earningsDate >= snapshotDate && earningsDate < expiration
+    const termVolatility = Math.sqrt(Math.pow(baseVolatility, 2) + (spansEarnings ? Math.pow(earningsMoveStd, 2) / timeToExpiry : 0))
+
+    for (let k = -8; k <= 4; k++) {
+      const strike = atmStrike + k * strikeStep
+      if (strike <= 0) continue
+
+      for (const type of ['put', 'call']) {
+        const skew = type === 'put' ? 0.8 * Math.max(0, Math.log(stockPrice / strike)) : 0.2 * Math.max(0, Math.log(strike / stockPrice))
+        const impliedVolatility = termVolatility * (1 + skew)
+        const premium = calculateBlackScholesPrice(stockPrice, strike, timeToExpiry, riskFreeRate, impliedVolatility, type)
+        if (premium < 0.05) continue
+
+        const contract = {
+          strike,
+          expiration,
+          type,
+          bid: Math.max(0.01, premium * 0.98),
+          ask: premium * 1.02,
+          premium,
+          delta: calculateGreeks(stockPrice, strike, timeToExpiry, riskFreeRate, impliedVolatility, type).delta,
+          impliedVolatility,
+          volume: Math.round(50 + random() * 2000),
+          openInterest: Math.round(200 + random() * 5000)
+        }
+        if (type === 'put') {
+          options.push(contract)
+        } else {
+          calls.push(contract)
+        }
+      }
+    }
+
+    const atmPut = options.find(option => option.expiration === expiration && option.strike === atmStrike)
+    const atmCall = calls.find(option => option.expiration === expiration && option.strike === atmStrike)
+    if (atmPut && atmCall) {
+      straddles.push({
+        expiration,
+        strike: atmStrike,
+        callPrice: atmCall.premium,
+        putPrice: atmPut.premium,
+        straddlePrice: atmCall.premium + atmPut.premium
+      })
+    }
+  }
+
+  return {
+    symbol,
+    snapshotDate,
+    snapshotTime,
+    underlyingPrice: stockPrice,
+    options,
+    calls,
+    straddles
+  }
+}
@@ -0,0 +1,268 @@
+import { calculateTimeToExpiry } from './calculations'
+import { getTradingDaysToExpiry, getTodayET } from './marketCalendar'
+import { getRiskFreeRate } from './rateCurve'
+import { getRecommendationLegs, calculatePositionPayoff } from './positions'
+
+/**
+ * Seeded Monte Carlo simulation of strategy outcomes
+ * Paths follow GBM in daily (trading-day) steps, with an optional earnings-day jump and
+ * optional Student-t shocks for fat tails. The same seed always produces the same result.
+ */
+
+/**
+ * Create a seeded uniform random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning values in (0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    return value === 0 ? 1 / 4294967296 : value
+  }
+}
+
+/**
+ * Create a standard normal generator (Box-Muller) from a uniform generator
+ * @param {Function} random - Uniform generator
+ * @returns {Function} Standard normal generator
+ */
+export function createNormal(random) {
+  let spare = null
+  return () => {
+    if (spare !== null) {
+      const value = spare
+      spare = null
+      return value
+    }
+    const radius = Math.sqrt(-2 * Math.log(random()))
+    const angle = 2 * Math.PI * random()
+    spare = radius * Math.sin(angle)
+    return radius * Math.cos(angle)
+  }
+}
+
+/**
+ * Create a gamma generator with unit scale (Marsaglia-Tsang)
+ * @param {Function} random - Uniform generator
+ * @param {Function} normal - Standard normal generator
+ * @param {number} shape - Shape parameter (must be > 0)
+ * @returns {Function} Gamma generator
+ */
+function createGamma(random, normal, shape) {
+  // Shapes below 1 sample shape + 1 and scale down by U^(1/shape)
+  const boosted = shape < 1
+  const d = (boosted ? shape + 1 : shape) - 1 / 3
+  const c = 1 / Math.sqrt(9 * d)
+
+  return () => {
+    while (true) {
+      const z = normal()
+      const v = Math.pow(1 + c * z, 3)
+      if (v <= 0) continue
+
+      const u = random()
+      if (Math.log(u) < 0.5 * z * z + d - d * v + d * Math.log(v)) {
+        return boosted ? d * v * Math.pow(random(), 1 / shape) : d * v
+      }
+    }
+  }
+}
+
+/**
+ * Create a unit-variance Student-t generator
+ * The chi-squared draw is a gamma draw, so fractional degrees of freedom are exact.
+ * @param {Function} random - Uniform generator
+ * @param {Function} normal - Standard normal generator
+ * @param {number} degreesOfFreedom - Degrees of freedom (must be > 2)
+ * @returns {Function} Student-t generator scaled to variance 1
+ */
+export function createStudentT(random, normal, degreesOfFreedom) {
+  const scale = Math.sqrt((degreesOfFreedom - 2) / degreesOfFreedom)
+  const gamma = createGamma(random, normal, degreesOfFreedom / 2)
+  return () => {
+    const chiSquared = 2 * gamma()
+    return normal() / Math.sqrt(chiSquared / degreesOfFreedom) * scale
+  }
+}
+
+/**
+ * Get the short strikes nearest the money on each side, used for probability of touch
+ * @param {Array} legs - Position legs
+ * @returns {Object} { putBarrier, callBarrier } (0 / Infinity when a side has no short option)
+ */
+function getTouchBarriers(legs) {
+  const shortStrikes = (type) => legs.filter(leg => leg.side === 'sell' && leg.type === type).map(leg => leg.strike)
+  return {
+    putBarrier: Math.max(0, ...shortStrikes('put')),
+    callBarrier: Math.min(Infinity, ...shortStrikes('call'))
+  }
+}
+
+/**
+ * Summarize a P&L sample
+ * @param {Array} pnl - P&L per path
+ * @param {number} confidence - VaR confidence level (e.g. 0.95)
+ * @param {number} bins - Histogram bin count
+ * @returns {Object} Distribution statistics
+ */
+function summarizeDistribution(pnl, confidence, bins) {
+  const sorted = Float64Array.from(pnl).sort()
+  const count = sorted.length
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count
+  const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / Math.max(1, count - 1)
+  const percentile = (p) => sorted[Math.min(count - 1, Math.max(0, Math.floor(p * count)))]
+
+  // VaR/CVaR are reported as positive loss amounts
+  const tailCount = Math.max(1, Math.floor((1 - confidence) * count))
+  const varLevel = sorted[tailCount - 1]
+  let tailSum = 0
+  for (let i = 0; i < tailCount; i++) {
+    tailSum += sorted[i]
+  }
+
+  const min = sorted[0]
+  const max = sorted[count - 1]
+  const width = (max - min) / bins || 1
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0
+  }))
+  for (const value of sorted) {
+    const index = Math.min(bins - 1, Math.floor((value - min) / width))
+    histogram[index].count++
+  }
+
+  return {
+    expectedValue: mean,
+    stdDev: Math.sqrt(variance),
+    probabilityOfProfit: sorted.filter(value => value > 0).length / count * 100,
+    valueAtRisk: Math.max(0, -varLevel),
+    conditionalValueAtRisk: Math.max(0, -tailSum / tailCount),
+    percentiles: {
+      p5: percentile(0.05),
+      p25: percentile(0.25),
+      p50: percentile(0.5),
+      p75: percentile(0.75),
+      p95: percentile(0.95)
+    },
+    min,
+    max,
+    histogram
+  }
+}
+
+/**
+ * Simulate the P&L distribution of a recommendation at expiration
+ * The earnings jump is added on top of the diffusion rather than carved out of it: the analytic
+ * POP already treats the implied volatility as a smooth diffusion, and the point of the jump is
+ * to show the gap risk that misses.
+ * @param {Object} recommendation - Recommendation with stock_price, legs (or the flat strike/premium
+ *   columns), expiration_date, implied_volatility and optionally earnings_date / earnings_time
+ * @param {Object} options - Simulation settings
+ * @param {number} options.paths - Number of paths (default 10000)
+ * @param {number} options.seed - Random seed (default 42)
+ * @param {number} options.volatility - Annualized volatility (default recommendation IV)
+ * @param {number} options.riskFreeRate - Drift rate (default from the rate curve)
+ * @param {number} options.dividendYield - Continuous dividend yield (default 0)
+ * @param {number} options.earningsMoveStd - Std dev of the earnings-day log return (default 0, no jump)
+ * @param {string} options.earningsTime - 'bmo' or 'amc' (default recommendation earnings_time, else 'amc')
+ * @param {number} options.degreesOfFreedom - Student-t degrees of freedom for shocks (default null = normal)
+ * @param {number} options.confidence - VaR/CVaR confidence level (default 0.95)
+ * @param {number} options.bins - Histogram bins (default 20)
+ * @returns {Object} P&L distribution, expected value, VaR/CVaR and probability of touching a short strike
+ */
+export function simulateStrategyOutcomes(recommendation, options = {}) {
+  const {
+    paths = 10000,
+    seed = 42,
+    dividendYield = 0,
+    earningsMoveStd = 0,
+    degreesOfFreedom = null,
+    confidence = 0.95,
+    bins = 20
+  } = options
+
+  const stockPrice = recommendation.stock_price
+  const volatility = options.volatility ?? recommendation.implied_volatility
+  const timeToExpiry = calculateTimeToExpiry(recommendation.expiration_date)
+  const riskFreeRate = options.riskFreeRate ?? recommendation.risk_free_rate ?? getRiskFreeRate(timeToExpiry)
+  const earningsTime = options.earningsTime ?? recommendation.earnings_time
+  const steps = Math.max(1, getTradingDaysToExpiry(recommendation.expiration_date))
+
+  if (!(stockPrice > 0) || !(volatility > 0) || timeToExpiry <= 0) {
+    console.warn('⚠️ MONTE_CARLO: Cannot simulate recommendation - missing price, volatility or expiry', {
+      symbol: recommendation.symbol,
+      stockPrice,
+      volatility,
+      timeToExpiry
+    })
+    return null
+  }
+
+  // Place the earnings jump on the first session that reflects the announcement - none if that
+  // session comes after expiration (covered calls can expire before their earnings)
+  let jumpStep = -1
+  const today = getTodayET()
+  if (earningsMoveStd > 0 && recommendation.earnings_date && recommendation.earnings_date >= today) {
+    const earningsSession = getTradingDaysToExpiry(recommendation.earnings_date) - 1
+    const afterClose = earningsTime !== 'bmo'
+    const reactionStep = Math.max(0, afterClose ? earningsSession + 1 : earningsSession)
+    jumpStep = reactionStep < steps ? reactionStep : -1
+  }
+  const jumpVariance = jumpStep >= 0 ? Math.pow(earningsMoveStd, 2) : 0
+  const stepStd = Math.sqrt(Math.pow(volatility, 2) * timeToExpiry / steps)
+  const stepDrift = (riskFreeRate - dividendYield) * timeToExpiry / steps - 0.5 * stepStd * stepStd
+
+  const random = createRandom(seed)
+  const normal = createNormal(random)
+  const shock = degreesOfFreedom && degreesOfFreedom > 2 ? createStudentT(random, normal, degreesOfFreedom) : normal
+  const legs = getRecommendationLegs(recommendation)
+  const { putBarrier, callBarrier } = getTouchBarriers(legs)
+
+  const pnl = new Float64Array(paths)
+  let touched = 0
+
+  for (let path = 0; path < paths; path++) {
+    let logPrice = Math.log(stockPrice)
+    let minPrice = stockPrice
+    let maxPrice = stockPrice
+
+    for (let step = 0; step < steps; step++) {
+      logPrice += stepDrift + stepStd * shock()
+      if (step === jumpStep) {
+        logPrice += -0.5 * jumpVariance + earningsMoveStd * shock()
+      }
+      minPrice = Math.min(minPrice, Math.exp(logPrice))
+      maxPrice = Math.max(maxPrice, Math.exp(logPrice))
+    }
+
+    if (minPrice <= putBarrier || maxPrice >= callBarrier) {
+      touched++
+    }
+    pnl[path] = calculatePositionPayoff(legs, Math.exp(logPrice))
+  }
+
+  const summary = summarizeDistribution(pnl, confidence, bins)
+
+  console.log(`🎲 MONTE_CARLO: Simulated ${paths} paths for ${recommendation.symbol} ${recommendation.strike_price}:`, {
+    expectedValue: summary.expectedValue.toFixed(2),
+    probabilityOfProfit: summary.probabilityOfProfit.toFixed(1),
+    valueAtRisk: summary.valueAtRisk.toFixed(2)
+  })
+
+  return {
+    ...summary,
+    paths,
+    seed,
+    steps,
+    confidence,
+    probabilityOfTouch: touched / paths * 100,
+    earningsJumpApplied: jumpStep >= 0
+  }
+}
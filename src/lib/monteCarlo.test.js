@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createRandom, createNormal, createStudentT, simulateStrategyOutcomes } from './monteCarlo'
+
+const shortPut = {
+  symbol: 'TEST',
+  strategy: 'short_put',
+  stock_price: 100,
+  strike_price: 90,
+  premium: 1.5,
+  expiration_date: '2025-06-20',
+  implied_volatility: 0.4,
+  risk_free_rate: 0.04,
+  earnings_date: '2025-06-10',
+  earnings_time: 'amc',
+  expected_move_pct: 8
+}
+
+describe('random generators', () => {
+  it('repeat exactly for the same seed', () => {
+    const first = createRandom(7)
+    const second = createRandom(7)
+    const other = createRandom(8)
+    const a = Array.from({ length: 5 }, first)
+    expect(Array.from({ length: 5 }, second)).toEqual(a)
+    expect(Array.from({ length: 5 }, other)).not.toEqual(a)
+  })
+
+  it('draws unit-variance Student-t shocks with fractional degrees of freedom', () => {
+    const random = createRandom(11)
+    const draw = createStudentT(random, createNormal(random), 4.5)
+    const count = 100000
+    let sumAbs = 0
+    for (let i = 0; i < count; i++) {
+      sumAbs += Math.abs(draw())
+    }
+    // E|T| for 4.5 degrees of freedom at unit variance; rounding up to 5 would give ~0.671
+    expect(sumAbs / count).toBeCloseTo(0.7236, 2)
+  })
+})
+
+describe('simulateStrategyOutcomes', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-06-02T14:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('is deterministic for a seed', () => {
+    const first = simulateStrategyOutcomes(shortPut, { paths: 2000, seed: 3 })
+    const second = simulateStrategyOutcomes(shortPut, { paths: 2000, seed: 3 })
+    const other = simulateStrategyOutcomes(shortPut, { paths: 2000, seed: 4 })
+
+    expect(second.expectedValue).toBe(first.expectedValue)
+    expect(second.histogram).toEqual(first.histogram)
+    expect(other.expectedValue).not.toBe(first.expectedValue)
+  })
+
+  it('widens the loss tail when an earnings jump is applied', () => {
+    const withoutJump = simulateStrategyOutcomes(shortPut, { paths: 5000 })
+    const withJump = simulateStrategyOutcomes(shortPut, {
+      paths: 5000,
+      earningsMoveStd: shortPut.expected_move_pct / 100
+    })
+
+    expect(withoutJump.earningsJumpApplied).toBe(false)
+    expect(withJump.earningsJumpApplied).toBe(true)
+    expect(withJump.stdDev).toBeGreaterThan(withoutJump.stdDev)
+    expect(withJump.conditionalValueAtRisk).toBeGreaterThan(withoutJump.conditionalValueAtRisk)
+    expect(withJump.probabilityOfProfit).toBeLessThan(withoutJump.probabilityOfProfit)
+  })
+
+  it('skips the jump once earnings have passed', () => {
+    const result = simulateStrategyOutcomes({ ...shortPut, earnings_date: '2025-05-29' }, {
+      paths: 500,
+      earningsMoveStd: 0.08
+    })
+    expect(result.earningsJumpApplied).toBe(false)
+  })
+
+  it('leaves the distribution unchanged when earnings fall after expiration', () => {
+    const withoutJump = simulateStrategyOutcomes(shortPut, { paths: 2000 })
+
+    for (const earnings of [{ earnings_date: '2025-06-25' }, { earnings_date: '2025-06-20', earnings_time: 'amc' }]) {
+      const result = simulateStrategyOutcomes({ ...shortPut, ...earnings }, { paths: 2000, earningsMoveStd: 0.08 })
+      expect(result.earningsJumpApplied).toBe(false)
+      expect(result.expectedValue).toBe(withoutJump.expectedValue)
+      expect(result.histogram).toEqual(withoutJump.histogram)
+    }
+  })
+
+  it('returns null without a volatility', () => {
+    expect(simulateStrategyOutcomes({ ...shortPut, implied_volatility: 0 })).toBeNull()
+  })
+})
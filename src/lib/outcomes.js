@@ -0,0 +1,269 @@
+import { supabase } from './supabase'
+import { getDailyAggregates } from './polygon'
+import { settleRecommendation } from './backtest'
+import { getRecommendationLegs, DEFAULT_STRATEGY } from './positions'
+import { adjustExpirationDate, getTodayET } from './marketCalendar'
+
+/**
+ * Outcome tracking for past recommendations
+ * Once a recommendation's expiration has closed, the underlying's closing price settles it as
+ * expired worthless, assigned (short strike finished in the money but the trade still made
+ * money) or a loss, and the realized P&L is stored on the row for the track record.
+ * Settling updates `recommendations`, which requires an authenticated Supabase session.
+ */
+
+const MAX_PENDING = 500 // Rows settled per run, oldest expirations first
+const SETTLED_PAGE_SIZE = 1000 // PostgREST returns at most 1000 rows per request by default
+export const MAX_SETTLED_ROWS = 20000 // Most recent settled rows loaded for the track record
+const BAR_LOOKBACK_DAYS = 7 // Extra days of closes so holiday-adjusted expirations find their bar
+
+export const OUTCOME_LABELS = {
+  expired_worthless: 'Expired worthless',
+  assigned: 'Assigned',
+  loss: 'Loss'
+}
+
+// Confidence buckets for the hit-rate breakdown (min inclusive, max exclusive)
+export const CONFIDENCE_BUCKETS = [
+  { label: 'Below 60', min: 0, max: 60 },
+  { label: '60-70', min: 60, max: 70 },
+  { label: '70-80', min: 70, max: 80 },
+  { label: '80-90', min: 80, max: 90 },
+  { label: '90+', min: 90, max: Infinity }
+]
+
+/**
+ * Shift a date string by a number of calendar days
+ * @param {string} dateString - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+function shiftDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Classify a settled recommendation
+ * A losing trade is a loss whether or not it was assigned; otherwise any short option leg
+ * finishing in the money means assignment (or shares called away for covered calls).
+ * @param {Object} recommendation - Recommendation
+ * @param {number} settlementPrice - Underlying close on expiration
+ * @param {number} pnl - Realized P&L in dollars
+ * @returns {string} 'expired_worthless', 'assigned' or 'loss'
+ */
+export function classifyOutcome(recommendation, settlementPrice, pnl) {
+  if (pnl < 0) {
+    return 'loss'
+  }
+
+  const shortInTheMoney = getRecommendationLegs(recommendation).some(leg => {
+    if (leg.side !== 'sell' || leg.type === 'stock') return false
+    return leg.type === 'put' ? settlementPrice < leg.strike : settlementPrice > leg.strike
+  })
+
+  return shortInTheMoney ? 'assigned' : 'expired_worthless'
+}
+
+/**
+ * Settle every pending recommendation whose expiration has closed
+ * Rows whose expiration close isn't available yet stay pending for the next run.
+ * @returns {Promise<Object>} { settled, pending }
+ */
+export async function trackRecommendationOutcomes() {
+  const today = getTodayET()
+
+  try {
+    console.log('📊 OUTCOMES: Settling expired recommendations...')
+
+    const { data, error } = await supabase
+      .from('recommendations')
+      .select('*')
+      .eq('outcome', 'pending')
+      .order('expiration_date', { ascending: true })
+      .limit(MAX_PENDING)
+
+    if (error) {
+      console.warn('⚠️ OUTCOMES: Error loading pending recommendations:', error)
+      return { settled: 0, pending: 0 }
+    }
+
+    const due = (data || []).filter(rec => adjustExpirationDate(String(rec.expiration_date).split('T')[0]) < today)
+    if (due.length === 0) {
+      console.log('✅ OUTCOMES: No expired recommendations to settle')
+      return { settled: 0, pending: 0 }
+    }
+
+    const bySymbol = due.reduce((groups, rec) => {
+      (groups[rec.symbol] = groups[rec.symbol] || []).push(rec)
+      return groups
+    }, {})
+
+    let settled = 0
+    for (const [symbol, recs] of Object.entries(bySymbol)) {
+      try {
+        const expirations = recs.map(rec => String(rec.expiration_date).split('T')[0]).sort()
+        const bars = await getDailyAggregates(
+          symbol,
+          shiftDate(expirations[0], -BAR_LOOKBACK_DAYS),
+          expirations[expirations.length - 1]
+        )
+
+        for (const rec of recs) {
+          const trade = settleRecommendation({ ...rec, expiration_date: String(rec.expiration_date).split('T')[0] }, bars)
+          if (!trade) continue
+
+          const outcome = classifyOutcome(rec, trade.settlement_price, trade.pnl)
+          const { error: updateError } = await supabase
+            .from('recommendations')
+            .update({
+              outcome,
+              settlement_price: trade.settlement_price,
+              realized_pnl: Math.round(trade.pnl * 100) / 100,
+              outcome_recorded_at: new Date().toISOString()
+            })
+            .eq('id', rec.id)
+
+          if (updateError) {
+            console.warn(`⚠️ OUTCOMES: Error saving outcome for ${symbol} ${rec.strike_price}:`, updateError)
+            continue
+          }
+          settled++
+        }
+
+      } catch (error) {
+        console.error(`💥 OUTCOMES: Error settling ${symbol}:`, error)
+      }
+    }
+
+    console.log(`✅ OUTCOMES: Settled ${settled} of ${due.length} expired recommendations`)
+    return { settled, pending: due.length - settled }
+
+  } catch (error) {
+    console.error('💥 OUTCOMES: Error tracking outcomes:', error)
+    return { settled: 0, pending: 0 }
+  }
+}
+
+/**
+ * Key identifying the same trade across generation runs
+ * @param {Object} recommendation - Recommendation
+ * @returns {string} Trade key
+ */
+function getTradeKey(recommendation) {
+  return [
+    recommendation.symbol,
+    recommendation.strategy || DEFAULT_STRATEGY,
+    recommendation.expiration_date,
+    recommendation.strike_price,
+    recommendation.long_strike_price,
+    recommendation.call_strike_price,
+    recommendation.long_call_strike_price
+  ].join('|')
+}
+
+/**
+ * Summarize a list of settled recommendations
+ * @param {Array} recommendations - Settled recommendations
+ * @returns {Object} { count, wins, hitRate, totalPnl, averagePnl }
+ */
+function summarizeOutcomes(recommendations) {
+  const wins = recommendations.filter(rec => Number(rec.realized_pnl) > 0).length
+  const totalPnl = recommendations.reduce((sum, rec) => sum + Number(rec.realized_pnl || 0), 0)
+
+  return {
+    count: recommendations.length,
+    wins,
+    hitRate: recommendations.length > 0 ? (wins / recommendations.length) * 100 : 0,
+    totalPnl,
+    averagePnl: recommendations.length > 0 ? totalPnl / recommendations.length : 0
+  }
+}
+
+/**
+ * Get settled recommendations, one per trade
+ * The same contract is usually saved by several generation runs; each trade is kept once,
+ * from the first run that recommended it. Rows are paged newest first up to MAX_SETTLED_ROWS.
+ * @returns {Promise<Object|null>} { trades, truncated }, or null if they couldn't be loaded
+ */
+export async function getSettledRecommendations() {
+  try {
+    const rows = []
+
+    while (rows.length < MAX_SETTLED_ROWS) {
+      const { data, error } = await supabase
+        .from('recommendations')
+        .select('*')
+        .neq('outcome', 'pending')
+        .order('id', { ascending: false })
+        .range(rows.length, Math.min(rows.length + SETTLED_PAGE_SIZE, MAX_SETTLED_ROWS) - 1)
+
+      if (error) {
+        console.warn('⚠️ OUTCOMES: Error loading settled recommendations:', error)
+        return null
+      }
+
+      // Advance by what came back, since the server may cap pages below SETTLED_PAGE_SIZE
+      if (!data || data.length === 0) break
+      rows.push(...data)
+    }
+
+    const truncated = rows.length >= MAX_SETTLED_ROWS
+    if (truncated) {
+      console.warn(`⚠️ OUTCOMES: Settled recommendations capped at the ${MAX_SETTLED_ROWS} most recent rows`)
+    }
+
+    const settled = rows
+      .filter(rec => rec.outcome)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+
+    const firstRuns = new Map()
+    for (const rec of settled) {
+      const key = getTradeKey(rec)
+      if (!firstRuns.has(key)) {
+        firstRuns.set(key, rec)
+      }
+    }
+    return { trades: [...firstRuns.values()], truncated }
+
+  } catch (error) {
+    console.error('💥 OUTCOMES: Error loading settled recommendations:', error)
+    return null
+  }
+}
+
+/**
+ * Get the track record of settled recommendations
+ * @returns {Promise<Object>} { summary, outcomes, buckets, trades, truncated }
+ */
+export async function getTrackRecord() {
+  const settled = await getSettledRecommendations()
+  if (!settled) {
+    return null
+  }
+
+  const { trades, truncated } = settled
+
+  const outcomes = Object.keys(OUTCOME_LABELS).reduce((counts, outcome) => {
+    counts[outcome] = trades.filter(rec => rec.outcome === outcome).length
+    return counts
+  }, {})
+
+  const buckets = CONFIDENCE_BUCKETS.map(bucket => ({
+    ...bucket,
+    ...summarizeOutcomes(trades.filter(rec =>
+      Number(rec.confidence_score) >= bucket.min && Number(rec.confidence_score) < bucket.max
+    ))
+  }))
+
+  console.log(`📊 OUTCOMES: Track record covers ${trades.length} settled trades`)
+
+  return {
+    summary: summarizeOutcomes(trades),
+    outcomes,
+    buckets,
+    trades: trades.sort((a, b) => String(b.expiration_date).localeCompare(String(a.expiration_date))),
+    truncated
+  }
+}
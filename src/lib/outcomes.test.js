@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { supabase } from './supabase'
+import { getSettledRecommendations, getTrackRecord, MAX_SETTLED_ROWS } from './outcomes'
+
+/**
+ * Stub the settled-recommendations query with a fixed set of rows served in pages
+ * @param {Array} rows - Rows newest first
+ * @param {number} pageCap - Max rows the stub returns per request
+ * @returns {Array} Requested ranges
+ */
+function stubSettledRows(rows, pageCap = 1000) {
+  const ranges = []
+  vi.spyOn(supabase, 'from').mockImplementation(() => ({
+    select: () => ({
+      neq: () => ({
+        order: () => ({
+          range: (from, to) => {
+            ranges.push([from, to])
+            return Promise.resolve({ data: rows.slice(from, Math.min(to + 1, from + pageCap)), error: null })
+          }
+        })
+      })
+    })
+  }))
+  return ranges
+}
+
+const settledRow = (id, overrides = {}) => ({
+  id,
+  symbol: 'AAPL',
+  expiration_date: '2025-06-20',
+  strike_price: 100 + (id % 50),
+  outcome: 'expired_worthless',
+  realized_pnl: 50,
+  confidence_score: 80,
+  created_at: new Date(Date.UTC(2025, 5, 1, 0, id)).toISOString(),
+  ...overrides
+})
+
+describe('getSettledRecommendations', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('pages past the 1000-row default', async () => {
+    const rows = Array.from({ length: 2500 }, (_, i) => settledRow(2500 - i, { symbol: `S${i}` }))
+    const ranges = stubSettledRows(rows)
+
+    const { trades, truncated } = await getSettledRecommendations()
+    expect(trades).toHaveLength(2500)
+    expect(truncated).toBe(false)
+    expect(ranges.slice(0, 3)).toEqual([[0, 999], [1000, 1999], [2000, 2999]])
+  })
+
+  it('keeps paging when the server caps pages below the page size', async () => {
+    const rows = Array.from({ length: 1200 }, (_, i) => settledRow(1200 - i, { symbol: `S${i}` }))
+    stubSettledRows(rows, 500)
+
+    const { trades } = await getSettledRecommendations()
+    expect(trades).toHaveLength(1200)
+  })
+
+  it('flags the track record when the row limit is reached', async () => {
+    const rows = Array.from({ length: MAX_SETTLED_ROWS + 10 }, (_, i) => settledRow(MAX_SETTLED_ROWS + 10 - i, { symbol: `S${i}` }))
+    stubSettledRows(rows)
+
+    const record = await getTrackRecord()
+    expect(record.summary.count).toBe(MAX_SETTLED_ROWS)
+    expect(record.truncated).toBe(true)
+  })
+
+  it('treats rows without a strategy as the engine\'s short puts', async () => {
+    stubSettledRows([
+      settledRow(2, { strategy: 'short_put', strike_price: 100 }),
+      settledRow(1, { strategy: null, strike_price: 100, created_at: '2025-05-01T00:00:00Z' })
+    ])
+
+    const { trades } = await getSettledRecommendations()
+    expect(trades).toHaveLength(1)
+    expect(trades[0].id).toBe(1)
+  })
+})
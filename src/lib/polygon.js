@@ -1,13 +1,17 @@
 import { getCachedData, setCachedData } from './cache'
-import { mockOptionsData, simulateDelay } from './mockData'
+import { mockOptionsData, generateMockDailyBars, simulateDelay } from './mockData'
 import { APIClient, APIError } from './apiClient'
 import { polygonLimiter } from './rateLimiter'
+import { calculateImpliedVolatility, calculateTimeToExpiry } from './calculations'
+import { getRiskFreeRate } from './rateCurve'
 
 const POLYGON_BASE_URL = 'https://api.polygon.io'
 const API_KEY = import.meta.env.VITE_POLYGON_API_KEY
 const USE_MOCK_DATA = import.meta.env.VITE_USE_MOCK_DATA === 'true'
 const CACHE_STOCK_MINUTES = parseInt(import.meta.env.VITE_CACHE_STOCK_MINUTES) || 5
 const CACHE_OPTIONS_MINUTES = parseInt(import.meta.env.VITE_CACHE_OPTIONS_MINUTES) || 15
+const CACHE_AGGREGATES_MINUTES = 720 // Daily bars only change once per session
+const IV_MISMATCH_THRESHOLD = 0.05 // Flag vendor vs solved IV differences above 5 vol points
 
 console.log('🔧 POLYGON: Configuration loaded:', {
   hasApiKey: !!API_KEY,
@@ -118,6 +122,77 @@ export async function getStockPrice(symbol) {
   }
 }
 
+/**
+ * Fetches daily OHLCV aggregates from Polygon API
+ * @param {string} symbol - Stock ticker symbol
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bars sorted oldest first with date, open, high, low, close and volume
+ */
+export async function getDailyAggregates(symbol, fromDate, toDate) {
+  console.log(`📈 POLYGON: Getting daily aggregates for ${symbol}`, { fromDate, toDate })
+  
+  const cacheKey = `daily_aggs_${symbol}_${fromDate}_${toDate}`
+  
+  // Check cache first
+  let cachedData = await getCachedData(cacheKey)
+  if (cachedData) {
+    console.log(`✅ POLYGON: Using cached daily aggregates for ${symbol} (${cachedData.length} bars)`)
+    return cachedData
+  }
+  
+  // Use mock data if enabled or no API key
+  if (USE_MOCK_DATA || !API_KEY || !polygonClient) {
+    console.log(`🎭 POLYGON: Using mock daily aggregates for ${symbol}`)
+    await simulateDelay(300)
+    
+    const mockBars = generateMockDailyBars(symbol, fromDate, toDate)
+    await setCachedData(cacheKey, mockBars, CACHE_AGGREGATES_MINUTES)
+    return mockBars
+  }
+  
+  try {
+    console.log(`🌐 POLYGON: Fetching daily aggregates for ${symbol} from API`)
+    
+    const data = await polygonClient.get(`/v2/aggs/ticker/${symbol}/range/1/day/${fromDate}/${toDate}`, {
+      adjusted: 'true',
+      sort: 'asc',
+      limit: 5000,
+      apikey: API_KEY
+    })
+    
+    if (data.status !== 'OK' && data.status !== 'DELAYED') {
+      throw new APIError(`API error: ${data.error || 'Unknown error'}`, 500, 'Polygon')
+    }
+    
+    const bars = (data.results || []).map(bar => ({
+      date: new Date(bar.t).toISOString().split('T')[0],
+      open: bar.o,
+      high: bar.h,
+      low: bar.l,
+      close: bar.c,
+      volume: bar.v
+    }))
+    
+    await setCachedData(cacheKey, bars, CACHE_AGGREGATES_MINUTES)
+    
+    console.log(`✅ POLYGON: Fetched ${bars.length} daily bars for ${symbol}`)
+    return bars
+    
+  } catch (error) {
+    console.error(`💥 POLYGON: Error fetching daily aggregates for ${symbol}:`, error)
+    
+    // Try to return stale cached data as fallback
+    const staleData = await getCachedData(`${cacheKey}_stale`)
+    if (staleData) {
+      console.log(`🔄 POLYGON: Using stale daily aggregates for ${symbol}`)
+      return staleData
+    }
+    
+    throw error
+  }
+}
+
 /**
  * Fetches options chain data from Polygon API
  * @param {string} symbol - Stock ticker symbol
@@ -219,6 +294,11 @@ async function processOptionsData(rawData, symbol, expirationDate = null) {
     console.log(`📈 POLYGON: Current stock price for ${symbol}: $${currentPrice}`)
     
     const processedOptions = []
+    const processedCalls = []
+    
+    // Price ATM straddles from the full chain (calls included)
+    const straddles = Array.isArray(rawData.results) ? buildAtmStraddles(rawData.results, currentPrice) : []
+    console.log(`📊 POLYGON: Built ${straddles.length} ATM straddles for ${symbol}`)
     
     if (rawData.results && Array.isArray(rawData.results)) {
       console.log(`🔧 POLYGON: Processing ${rawData.results.length} raw options for ${symbol}`)
@@ -230,41 +310,50 @@ async function processOptionsData(rawData, symbol, expirationDate = null) {
           continue
         }
         
-        // Only process put options
-        if (option.details?.contract_type !== 'put') {
-          console.log(`❌ POLYGON: Filtered out option - not a put: ${option.details?.contract_type}`)
+        // Puts feed the short put screen, calls the neutral strategies
+        const contractType = option.details?.contract_type
+        if (contractType !== 'put' && contractType !== 'call') {
+          console.log(`❌ POLYGON: Filtered out option - unknown contract type: ${contractType}`)
           continue
         }
         
         // Calculate additional metrics
         const strike = option.details?.strike_price || 0
-        const premium = option.market_status === 'open' ? 
-          ((option.bid || 0) + (option.ask || 0)) / 2 : 
-          option.last_quote?.price || 0
+        const premium = calculateOptionPremium(option)
+        
+        const iv = resolveImpliedVolatility(option, currentPrice, strike, premium, contractType)
         
         const processedOption = {
           symbol: symbol,
           strike: strike,
           expiration: option.details?.expiration_date,
-          type: 'put',
+          type: contractType,
           bid: option.bid || 0,
           ask: option.ask || 0,
           premium: premium,
           delta: option.greeks?.delta || 0,
-          impliedVolatility: option.implied_volatility || 0,
+          impliedVolatility: iv.impliedVolatility,
+          vendorImpliedVolatility: iv.vendorImpliedVolatility,
+          solvedImpliedVolatility: iv.solvedImpliedVolatility,
+          ivSource: iv.ivSource,
+          ivMismatch: iv.ivMismatch,
           volume: option.session?.volume || 0,
           openInterest: option.open_interest || 0,
           stockPrice: currentPrice
         }
         
-        console.log(`✅ POLYGON: Processed put option for ${symbol}:`, {
+        console.log(`✅ POLYGON: Processed ${contractType} option for ${symbol}:`, {
           strike: processedOption.strike,
           expiration: processedOption.expiration,
           premium: processedOption.premium,
           delta: processedOption.delta
         })
         
-        processedOptions.push(processedOption)
+        if (contractType === 'put') {
+          processedOptions.push(processedOption)
+        } else {
+          processedCalls.push(processedOption)
+        }
       }
     }
     
@@ -272,13 +361,16 @@ async function processOptionsData(rawData, symbol, expirationDate = null) {
       symbol: symbol,
       underlyingPrice: currentPrice,
       options: processedOptions,
+      calls: processedCalls,
+      straddles: straddles,
       timestamp: new Date().toISOString(),
       status: 'OK'
     }
     
     console.log(`✅ POLYGON: Processed options data for ${symbol}:`, {
       underlyingPrice: result.underlyingPrice,
-      totalOptions: result.options.length
+      totalOptions: result.options.length,
+      totalCalls: result.calls.length
     })
     
     return result
@@ -289,6 +381,98 @@ async function processOptionsData(rawData, symbol, expirationDate = null) {
   }
 }
 
+/**
+ * Calculate the premium for a raw Polygon option snapshot
+ * @param {Object} option - Raw Polygon option snapshot
+ * @returns {number} Bid/ask mid while the market is open, otherwise the last quote
+ */
+function calculateOptionPremium(option) {
+  return option.market_status === 'open' ? 
+    ((option.bid || 0) + (option.ask || 0)) / 2 : 
+    option.last_quote?.price || 0
+}
+
+/**
+ * Build the at-the-money straddle for each expiration in a raw chain
+ * @param {Array} rawOptions - Raw Polygon option snapshots (puts and calls)
+ * @param {number} stockPrice - Current stock price
+ * @returns {Array} Straddles as { expiration, strike, callPrice, putPrice, straddlePrice }
+ */
+function buildAtmStraddles(rawOptions, stockPrice) {
+  if (!(stockPrice > 0)) return []
+  
+  // Group call and put prices by expiration and strike
+  const byExpiration = {}
+  for (const option of rawOptions) {
+    const expiration = option.details?.expiration_date
+    const strike = option.details?.strike_price
+    const type = option.details?.contract_type
+    const premium = calculateOptionPremium(option)
+    
+    if (!expiration || !strike || premium <= 0 || (type !== 'call' && type !== 'put')) continue
+    
+    byExpiration[expiration] = byExpiration[expiration] || {}
+    byExpiration[expiration][strike] = byExpiration[expiration][strike] || {}
+    byExpiration[expiration][strike][type] = premium
+  }
+  
+  const straddles = []
+  for (const [expiration, strikes] of Object.entries(byExpiration)) {
+    const atmStrike = Object.keys(strikes)
+      .map(Number)
+      .filter(strike => strikes[strike].call && strikes[strike].put)
+      .sort((a, b) => Math.abs(a - stockPrice) - Math.abs(b - stockPrice))[0]
+    
+    if (atmStrike === undefined) continue
+    
+    const { call, put } = strikes[atmStrike]
+    straddles.push({
+      expiration,
+      strike: atmStrike,
+      callPrice: call,
+      putPrice: put,
+      straddlePrice: call + put
+    })
+  }
+  
+  return straddles.sort((a, b) => a.expiration.localeCompare(b.expiration))
+}
+
+/**
+ * Resolve implied volatility for a contract, backing it out of the bid/ask mid
+ * when the vendor value is missing and flagging large disagreements
+ * @param {Object} option - Raw Polygon option snapshot
+ * @param {number} stockPrice - Current stock price
+ * @param {number} strike - Strike price
+ * @param {number} premium - Processed option premium
+ * @param {string} optionType - 'put' or 'call'
+ * @returns {Object} Resolved IV, vendor IV, solved IV, source and mismatch flag
+ */
+export function resolveImpliedVolatility(option, stockPrice, strike, premium, optionType) {
+  const vendorIV = option.implied_volatility || 0
+  const mid = option.bid > 0 && option.ask > 0 ? (option.bid + option.ask) / 2 : premium
+  const timeToExpiry = calculateTimeToExpiry(option.details?.expiration_date)
+  const solvedIV = calculateImpliedVolatility(mid, stockPrice, strike, timeToExpiry, getRiskFreeRate(timeToExpiry), optionType)
+  
+  const ivMismatch = vendorIV > 0 && solvedIV !== null && Math.abs(vendorIV - solvedIV) > IV_MISMATCH_THRESHOLD
+  
+  if (ivMismatch) {
+    console.log(`⚠️ POLYGON: IV mismatch for ${option.details?.ticker || strike}: vendor ${(vendorIV * 100).toFixed(1)}% vs solved ${(solvedIV * 100).toFixed(1)}%`)
+  }
+  
+  if (vendorIV <= 0 && solvedIV !== null) {
+    console.log(`🔧 POLYGON: Missing vendor IV for strike ${strike}, solved ${(solvedIV * 100).toFixed(1)}% from mid $${mid.toFixed(2)}`)
+  }
+  
+  return {
+    impliedVolatility: vendorIV > 0 ? vendorIV : (solvedIV || 0),
+    vendorImpliedVolatility: vendorIV,
+    solvedImpliedVolatility: solvedIV,
+    ivSource: vendorIV > 0 ? 'vendor' : (solvedIV !== null ? 'solved' : 'none'),
+    ivMismatch
+  }
+}
+
 /**
  * Get options for multiple symbols with earnings
  * @param {Array} symbols - Array of stock symbols
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { resolveImpliedVolatility } from './polygon'
+import { calculateBlackScholesPrice, calculateTimeToExpiry } from './calculations'
+import { getRiskFreeRate } from './rateCurve'
+
+describe('resolveImpliedVolatility', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const option = (overrides) => ({
+    bid: 0,
+    ask: 0,
+    implied_volatility: 0,
+    details: { ticker: 'O:TEST250718P00095000', expiration_date: '2025-07-18' },
+    ...overrides
+  })
+
+  it('solves from the processed premium when the bid is zero', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-06-18T14:00:00Z'))
+
+    const timeToExpiry = calculateTimeToExpiry('2025-07-18')
+    const premium = calculateBlackScholesPrice(100, 95, timeToExpiry, getRiskFreeRate(timeToExpiry), 0.35, 'put')
+    const resolved = resolveImpliedVolatility(option({ bid: 0, ask: 5 }), 100, 95, premium, 'put')
+
+    expect(resolved.ivSource).toBe('solved')
+    expect(resolved.impliedVolatility).toBeCloseTo(0.35, 4)
+  })
+
+  it('reports no IV when the quote is below intrinsic value', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-06-18T14:00:00Z'))
+
+    const resolved = resolveImpliedVolatility(option({ bid: 4, ask: 6 }), 100, 110, 5, 'put')
+
+    expect(resolved.ivSource).toBe('none')
+    expect(resolved.solvedImpliedVolatility).toBeNull()
+    expect(resolved.impliedVolatility).toBe(0)
+  })
+})
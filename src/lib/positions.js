@@ -0,0 +1,238 @@
+import { calculateGreeks, calculateTimeToExpiry } from './calculations'
+
+/**
+ * Multi-leg position model
+ * A position is a list of legs - options or stock, bought or sold - so every strategy shares
+ * one payoff, Greeks and breakeven implementation. P&L is per position in dollars; option and
+ * stock quantities are in contracts / 100-share lots.
+ */
+
+const CONTRACT_MULTIPLIER = 100
+
+// Strategy of recommendations saved before the strategy column existed
+export const DEFAULT_STRATEGY = 'short_put'
+
+/**
+ * Create a position leg
+ * @param {Object} leg - Leg definition
+ * @param {string} leg.side - 'buy' or 'sell'
+ * @param {string} leg.type - 'put', 'call' or 'stock'
+ * @param {number} leg.strike - Strike price (entry price for stock)
+ * @param {string|null} leg.expiration - Expiration date (null for stock)
+ * @param {number} leg.quantity - Contracts or 100-share lots (default 1)
+ * @param {number} leg.premium - Premium per share (0 for stock)
+ * @param {number|null} leg.impliedVolatility - Implied volatility for option legs
+ * @returns {Object} Leg with snake_case fields, as stored in recommendations.legs
+ */
+export function createLeg({ side, type, strike, expiration = null, quantity = 1, premium = 0, impliedVolatility = null }) {
+  return {
+    side,
+    type,
+    strike,
+    expiration: type === 'stock' ? null : expiration,
+    quantity,
+    premium: type === 'stock' ? 0 : premium,
+    implied_volatility: type === 'stock' ? null : impliedVolatility
+  }
+}
+
+/**
+ * Get the legs of a recommendation, deriving them from the flat columns for rows saved
+ * before legs were stored
+ * @param {Object} recommendation - Recommendation
+ * @returns {Array} Legs
+ */
+export function getRecommendationLegs(recommendation) {
+  if (Array.isArray(recommendation.legs) && recommendation.legs.length > 0) {
+    return recommendation.legs
+  }
+
+  const expiration = recommendation.expiration_date
+  const iv = recommendation.implied_volatility ?? null
+  const shortPut = createLeg({
+    side: 'sell',
+    type: 'put',
+    strike: recommendation.strike_price,
+    expiration,
+    premium: recommendation.premium,
+    impliedVolatility: iv
+  })
+
+  switch (recommendation.strategy) {
+    case 'bull_put_spread':
+      return [
+        { ...shortPut, premium: recommendation.premium + recommendation.long_premium },
+        createLeg({ side: 'buy', type: 'put', strike: recommendation.long_strike_price, expiration, premium: recommendation.long_premium, impliedVolatility: iv })
+      ]
+    case 'short_strangle':
+      return [
+        { ...shortPut, premium: recommendation.premium - recommendation.call_premium },
+        createLeg({ side: 'sell', type: 'call', strike: recommendation.call_strike_price, expiration, premium: recommendation.call_premium, impliedVolatility: iv })
+      ]
+    case 'iron_condor': {
+      const putPremium = recommendation.premium - recommendation.call_premium + recommendation.long_premium + recommendation.long_call_premium
+      return [
+        createLeg({ side: 'buy', type: 'put', strike: recommendation.long_strike_price, expiration, premium: recommendation.long_premium, impliedVolatility: iv }),
+        { ...shortPut, premium: putPremium },
+        createLeg({ side: 'sell', type: 'call', strike: recommendation.call_strike_price, expiration, premium: recommendation.call_premium, impliedVolatility: iv }),
+        createLeg({ side: 'buy', type: 'call', strike: recommendation.long_call_strike_price, expiration, premium: recommendation.long_call_premium, impliedVolatility: iv })
+      ]
+    }
+    case 'covered_call': {
+      const lots = Math.max(1, Math.floor((recommendation.shares || CONTRACT_MULTIPLIER) / CONTRACT_MULTIPLIER))
+      return [
+        createLeg({ side: 'buy', type: 'stock', strike: recommendation.adjusted_cost_basis, quantity: lots }),
+        createLeg({ side: 'sell', type: 'call', strike: recommendation.strike_price, expiration, quantity: lots, premium: recommendation.premium, impliedVolatility: iv })
+      ]
+    }
+    default:
+      return [shortPut]
+  }
+}
+
+/**
+ * Calculate the P&L of one leg at a terminal stock price
+ * @param {Object} leg - Leg
+ * @param {number} terminalPrice - Stock price at expiration
+ * @returns {number} P&L in dollars
+ */
+function calculateLegPayoff(leg, terminalPrice) {
+  const sign = leg.side === 'buy' ? 1 : -1
+  let value
+  if (leg.type === 'stock') {
+    value = terminalPrice - leg.strike
+  } else {
+    const intrinsic = leg.type === 'call'
+      ? Math.max(0, terminalPrice - leg.strike)
+      : Math.max(0, leg.strike - terminalPrice)
+    value = intrinsic - leg.premium
+  }
+  return sign * value * leg.quantity * CONTRACT_MULTIPLIER
+}
+
+/**
+ * Calculate the P&L of a position at expiration
+ * Legs are assumed to share an expiration (or be stock).
+ * @param {Array} legs - Legs
+ * @param {number} terminalPrice - Stock price at expiration
+ * @returns {number} P&L in dollars
+ */
+export function calculatePositionPayoff(legs, terminalPrice) {
+  return legs.reduce((sum, leg) => sum + calculateLegPayoff(leg, terminalPrice), 0)
+}
+
+/**
+ * Aggregate Black-Scholes Greeks across legs
+ * Greeks are signed from the holder's side (short options contribute negatively) and scaled by
+ * quantity, per share of each contract like the single-option Greeks.
+ * @param {Array} legs - Legs
+ * @param {Object} market - Market inputs
+ * @param {number} market.stockPrice - Current stock price
+ * @param {number} market.riskFreeRate - Risk-free rate (default 0.05)
+ * @param {number} market.dividendYield - Continuous dividend yield (default 0)
+ * @returns {Object} Net delta, gamma, theta, vega and rho
+ */
+export function aggregatePositionGreeks(legs, { stockPrice, riskFreeRate = 0.05, dividendYield = 0 }) {
+  const totals = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 }
+
+  for (const leg of legs) {
+    const sign = (leg.side === 'buy' ? 1 : -1) * leg.quantity
+
+    if (leg.type === 'stock') {
+      totals.delta += sign
+      continue
+    }
+
+    const greeks = calculateGreeks(
+      stockPrice,
+      leg.strike,
+      calculateTimeToExpiry(leg.expiration),
+      riskFreeRate,
+      leg.implied_volatility,
+      leg.type,
+      dividendYield
+    )
+    totals.delta += sign * greeks.delta
+    totals.gamma += sign * greeks.gamma
+    totals.theta += sign * greeks.theta
+    totals.vega += sign * greeks.vega
+    totals.rho += sign * greeks.rho
+  }
+
+  return totals
+}
+
+/**
+ * Get the prices where the expiration payoff changes slope (strikes), plus zero
+ * @param {Array} legs - Legs
+ * @returns {Array} Sorted unique prices
+ */
+function getPayoffKinks(legs) {
+  const strikes = legs.filter(leg => leg.type !== 'stock').map(leg => leg.strike)
+  return [...new Set([0, ...strikes])].sort((a, b) => a - b)
+}
+
+/**
+ * Get the payoff slope above the highest strike, in dollars per $1 of stock
+ * @param {Array} legs - Legs
+ * @returns {number} Slope
+ */
+function getUpperSlope(legs) {
+  return legs.reduce((slope, leg) => {
+    if (leg.type === 'put') return slope
+    return slope + (leg.side === 'buy' ? 1 : -1) * leg.quantity * CONTRACT_MULTIPLIER
+  }, 0)
+}
+
+/**
+ * Solve for the stock prices where the expiration P&L crosses zero
+ * The payoff is piecewise linear between strikes, so each crossing is found exactly.
+ * @param {Array} legs - Legs
+ * @returns {Array} Breakeven prices, ascending
+ */
+export function solvePositionBreakevens(legs) {
+  const kinks = getPayoffKinks(legs)
+  const breakevens = []
+
+  for (let i = 0; i < kinks.length - 1; i++) {
+    const lower = kinks[i]
+    const upper = kinks[i + 1]
+    const lowerPnl = calculatePositionPayoff(legs, lower)
+    const upperPnl = calculatePositionPayoff(legs, upper)
+
+    if (lowerPnl === 0) {
+      breakevens.push(lower)
+    } else if (lowerPnl * upperPnl < 0) {
+      breakevens.push(lower + (upper - lower) * lowerPnl / (lowerPnl - upperPnl))
+    }
+  }
+
+  // Past the last strike the payoff is a straight line with the upper slope
+  const last = kinks[kinks.length - 1]
+  const lastPnl = calculatePositionPayoff(legs, last)
+  const slope = getUpperSlope(legs)
+  if (lastPnl === 0) {
+    breakevens.push(last)
+  } else if (slope !== 0 && lastPnl * slope < 0) {
+    breakevens.push(last - lastPnl / slope)
+  }
+
+  return [...new Set(breakevens)]
+}
+
+/**
+ * Calculate the best and worst expiration P&L of a position
+ * @param {Array} legs - Legs
+ * @returns {Object} { maxProfit, maxLoss } in dollars; null when unlimited, maxLoss as a positive amount
+ */
+export function calculatePositionExtremes(legs) {
+  const pnl = getPayoffKinks(legs).map(price => calculatePositionPayoff(legs, price))
+  const slope = getUpperSlope(legs)
+  const best = Math.max(...pnl)
+  const worst = Math.min(...pnl)
+
+  return {
+    maxProfit: slope > 0 ? null : best,
+    maxLoss: slope < 0 ? null : Math.max(0, -worst)
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createLeg,
+  getRecommendationLegs,
+  calculatePositionPayoff,
+  solvePositionBreakevens,
+  calculatePositionExtremes
+} from './positions'
+
+const expiration = '2025-06-20'
+
+describe('solvePositionBreakevens', () => {
+  it('finds the short put breakeven at strike less premium', () => {
+    const legs = [createLeg({ side: 'sell', type: 'put', strike: 100, expiration, premium: 2.5 })]
+    expect(solvePositionBreakevens(legs)).toEqual([97.5])
+    expect(calculatePositionExtremes(legs)).toEqual({ maxProfit: 250, maxLoss: 9750 })
+  })
+
+  it('finds the bull put spread breakeven between the strikes', () => {
+    const legs = [
+      createLeg({ side: 'sell', type: 'put', strike: 100, expiration, premium: 3 }),
+      createLeg({ side: 'buy', type: 'put', strike: 95, expiration, premium: 1 })
+    ]
+    expect(solvePositionBreakevens(legs)).toEqual([98])
+    expect(calculatePositionExtremes(legs)).toEqual({ maxProfit: 200, maxLoss: 300 })
+  })
+
+  it('finds both iron condor breakevens', () => {
+    const legs = [
+      createLeg({ side: 'buy', type: 'put', strike: 85, expiration, premium: 0.5 }),
+      createLeg({ side: 'sell', type: 'put', strike: 90, expiration, premium: 1.5 }),
+      createLeg({ side: 'sell', type: 'call', strike: 110, expiration, premium: 1.5 }),
+      createLeg({ side: 'buy', type: 'call', strike: 115, expiration, premium: 0.5 })
+    ]
+    expect(solvePositionBreakevens(legs)).toEqual([88, 112])
+    expect(calculatePositionExtremes(legs)).toEqual({ maxProfit: 200, maxLoss: 300 })
+  })
+
+  it('finds the strangle breakeven above the call strike with unlimited loss', () => {
+    const legs = [
+      createLeg({ side: 'sell', type: 'put', strike: 90, expiration, premium: 2 }),
+      createLeg({ side: 'sell', type: 'call', strike: 110, expiration, premium: 2 })
+    ]
+    expect(solvePositionBreakevens(legs)).toEqual([86, 114])
+    expect(calculatePositionExtremes(legs).maxLoss).toBeNull()
+  })
+
+  it('finds the covered call breakeven at cost basis less premium', () => {
+    const legs = [
+      createLeg({ side: 'buy', type: 'stock', strike: 100 }),
+      createLeg({ side: 'sell', type: 'call', strike: 105, expiration, premium: 2 })
+    ]
+    expect(solvePositionBreakevens(legs)).toEqual([98])
+    expect(calculatePositionPayoff(legs, 120)).toBe(700)
+  })
+})
+
+describe('getRecommendationLegs', () => {
+  it('derives spread legs from the flat columns of older rows', () => {
+    const legs = getRecommendationLegs({
+      strategy: 'bull_put_spread',
+      strike_price: 100,
+      long_strike_price: 95,
+      premium: 2,
+      long_premium: 1,
+      expiration_date: expiration
+    })
+
+    expect(legs.map(leg => [leg.side, leg.strike, leg.premium])).toEqual([['sell', 100, 3], ['buy', 95, 1]])
+    expect(solvePositionBreakevens(legs)).toEqual([98])
+  })
+})
@@ -0,0 +1,153 @@
+import treasuryBillCsv from '../data/treasuryBillYields.csv?raw'
+
+/**
+ * Risk-free rate term structure for option pricing
+ * Rates come from the most recent row of the bundled Treasury bill yield CSV, or from a
+ * static curve (VITE_RISK_FREE_CURVE, e.g. "30:0.043,90:0.044,365:0.041"), and are
+ * linearly interpolated by tenor with flat extrapolation at both ends.
+ */
+
+const CURVE_SOURCE = import.meta.env.VITE_RATE_CURVE_SOURCE || 'csv' // 'csv' or 'static'
+const STATIC_CURVE_CONFIG = import.meta.env.VITE_RISK_FREE_CURVE
+const FALLBACK_RATE = 0.05 // Used when no curve points are available
+
+const DEFAULT_STATIC_CURVE = [
+  { tenorDays: 30, rate: 0.043 },
+  { tenorDays: 90, rate: 0.0435 },
+  { tenorDays: 180, rate: 0.043 },
+  { tenorDays: 365, rate: 0.041 }
+]
+
+let curve = null
+
+/**
+ * Convert a CSV tenor header ("4 Wk", "3 Mo", "1 Yr") to days
+ * @param {string} label - Column header
+ * @returns {number|null} Tenor in days
+ */
+function parseTenorLabel(label) {
+  const match = String(label).trim().match(/^(\d+)\s*(Wk|Mo|Yr)$/i)
+  if (!match) return null
+
+  const count = Number(match[1])
+  const unit = match[2].toLowerCase()
+
+  if (unit === 'wk') return count * 7
+  if (unit === 'mo') return Math.round(count * 365 / 12)
+  return count * 365
+}
+
+/**
+ * Convert a simple annualized yield to a continuously compounded rate
+ * @param {number} yieldRate - Simple annual yield (decimal)
+ * @param {number} tenorDays - Tenor in days
+ * @returns {number} Continuously compounded rate
+ */
+function toContinuousRate(yieldRate, tenorDays) {
+  const t = tenorDays / 365
+  return Math.log(1 + yieldRate * t) / t
+}
+
+/**
+ * Parse Treasury bill yields (percent) from CSV, using the latest dated row
+ * @param {string} csv - CSV text with a Date column followed by tenor columns
+ * @returns {Array} Curve points as { tenorDays, rate }
+ */
+export function parseTreasuryCurveCsv(csv) {
+  const lines = String(csv || '').trim().split(/\r?\n/).filter(line => line.trim())
+  if (lines.length < 2) return []
+
+  const headers = lines[0].split(',')
+  const rows = lines.slice(1)
+    .map(line => line.split(','))
+    .filter(cells => cells[0])
+    .sort((a, b) => new Date(b[0]) - new Date(a[0]))
+
+  const latest = rows[0]
+
+  return headers
+    .map((header, index) => ({ tenorDays: parseTenorLabel(header), value: parseFloat(latest[index]) }))
+    .filter(point => point.tenorDays && Number.isFinite(point.value))
+    .map(point => ({ tenorDays: point.tenorDays, rate: toContinuousRate(point.value / 100, point.tenorDays) }))
+    .sort((a, b) => a.tenorDays - b.tenorDays)
+}
+
+/**
+ * Parse a static curve string ("tenorDays:rate,...")
+ * @param {string} config - Curve configuration
+ * @returns {Array} Curve points as { tenorDays, rate }
+ */
+function parseStaticCurve(config) {
+  return String(config)
+    .split(',')
+    .map(entry => entry.split(':').map(Number))
+    .filter(([tenorDays, rate]) => tenorDays > 0 && Number.isFinite(rate))
+    .map(([tenorDays, rate]) => ({ tenorDays, rate }))
+    .sort((a, b) => a.tenorDays - b.tenorDays)
+}
+
+/**
+ * Build the curve from the configured source
+ * @returns {Array} Curve points
+ */
+function loadCurve() {
+  if (CURVE_SOURCE === 'csv') {
+    const csvCurve = parseTreasuryCurveCsv(treasuryBillCsv)
+    if (csvCurve.length > 0) {
+      console.log(`📈 RATE_CURVE: Loaded ${csvCurve.length} Treasury bill tenors from CSV`)
+      return csvCurve
+    }
+    console.warn('⚠️ RATE_CURVE: Treasury CSV is empty or invalid, falling back to static curve')
+  }
+
+  if (STATIC_CURVE_CONFIG) {
+    const configured = parseStaticCurve(STATIC_CURVE_CONFIG)
+    if (configured.length > 0) {
+      return configured
+    }
+    console.warn('⚠️ RATE_CURVE: Could not parse VITE_RISK_FREE_CURVE, using default static curve')
+  }
+
+  return DEFAULT_STATIC_CURVE
+}
+
+/**
+ * Get the active curve points
+ * @returns {Array} Curve points as { tenorDays, rate }
+ */
+export function getRateCurve() {
+  if (!curve) {
+    curve = loadCurve()
+  }
+  return curve
+}
+
+/**
+ * Replace the active curve (e.g. from a settings screen or a backtest)
+ * @param {Array} points - Curve points as { tenorDays, rate }, or null to reload the configured curve
+ */
+export function setRateCurve(points) {
+  curve = points ? [...points].sort((a, b) => a.tenorDays - b.tenorDays) : null
+}
+
+/**
+ * Get the continuously compounded risk-free rate for a time to expiry
+ * @param {number} timeToExpiry - Time to expiration in years
+ * @returns {number} Interpolated risk-free rate
+ */
+export function getRiskFreeRate(timeToExpiry) {
+  const points = getRateCurve()
+  if (points.length === 0) return FALLBACK_RATE
+
+  const days = Math.max(0, timeToExpiry) * 365
+
+  if (days <= points[0].tenorDays) return points[0].rate
+  if (days >= points[points.length - 1].tenorDays) return points[points.length - 1].rate
+
+  const upperIndex = points.findIndex(point => point.tenorDays >= days)
+  const lower = points[upperIndex - 1]
+  const upper = points[upperIndex]
+  const weight = (days - lower.tenorDays) / (upper.tenorDays - lower.tenorDays)
+
+  return lower.rate + weight * (upper.rate - lower.rate)
+}
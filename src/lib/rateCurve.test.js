@@ -0,0 +1,43 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { parseTreasuryCurveCsv, setRateCurve, getRiskFreeRate } from './rateCurve'
+
+describe('parseTreasuryCurveCsv', () => {
+  it('uses the latest row and converts yields to continuous rates', () => {
+    const csv = [
+      'Date,4 Wk,13 Wk,52 Wk',
+      '2025-06-03,4.00,4.20,4.00',
+      '2025-06-02,3.00,3.00,3.00'
+    ].join('\n')
+
+    const points = parseTreasuryCurveCsv(csv)
+    expect(points.map(point => point.tenorDays)).toEqual([28, 91, 364])
+    expect(points[0].rate).toBeCloseTo(Math.log(1 + 0.04 * 28 / 365) / (28 / 365), 10)
+    expect(points[2].rate).toBeCloseTo(Math.log(1 + 0.04 * 364 / 365) / (364 / 365), 10)
+  })
+
+  it('returns no points for an empty CSV', () => {
+    expect(parseTreasuryCurveCsv('')).toEqual([])
+    expect(parseTreasuryCurveCsv('Date,4 Wk')).toEqual([])
+  })
+})
+
+describe('getRiskFreeRate', () => {
+  afterEach(() => setRateCurve(null))
+
+  it('interpolates linearly by tenor with flat ends', () => {
+    setRateCurve([
+      { tenorDays: 90, rate: 0.04 },
+      { tenorDays: 30, rate: 0.05 }
+    ])
+
+    expect(getRiskFreeRate(10 / 365)).toBe(0.05)
+    expect(getRiskFreeRate(60 / 365)).toBeCloseTo(0.045, 12)
+    expect(getRiskFreeRate(200 / 365)).toBe(0.04)
+    expect(getRiskFreeRate(-1)).toBe(0.05)
+  })
+
+  it('falls back to 5% with an empty curve', () => {
+    setRateCurve([])
+    expect(getRiskFreeRate(0.25)).toBe(0.05)
+  })
+})
@@ -0,0 +1,137 @@
+import { getDailyAggregates } from './polygon'
+import { getTodayET } from './marketCalendar'
+
+/**
+ * Realized volatility estimators from daily OHLC bars
+ * All estimators return annualized volatility (0-1) on a 252 trading-day year,
+ * or null when there are not enough bars.
+ */
+
+const TRADING_DAYS_PER_YEAR = 252
+
+/**
+ * Drop bars with missing or non-positive prices
+ * @param {Array} bars - Daily bars
+ * @returns {Array} Usable bars
+ */
+function validBars(bars) {
+  return bars.filter(bar => bar.open > 0 && bar.high > 0 && bar.low > 0 && bar.close > 0)
+}
+
+/**
+ * Sample variance of a series
+ * @param {Array} values - Values
+ * @returns {number} Variance (n - 1 denominator)
+ */
+function sampleVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1)
+}
+
+/**
+ * Close-to-close estimator: standard deviation of daily log returns
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {number|null} Annualized volatility
+ */
+export function closeToCloseVolatility(bars) {
+  const usable = validBars(bars)
+  if (usable.length < 3) return null
+
+  const returns = usable.slice(1).map((bar, i) => Math.log(bar.close / usable[i].close))
+  return Math.sqrt(sampleVariance(returns) * TRADING_DAYS_PER_YEAR)
+}
+
+/**
+ * Parkinson estimator: uses the daily high-low range
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {number|null} Annualized volatility
+ */
+export function parkinsonVolatility(bars) {
+  const usable = validBars(bars)
+  if (usable.length < 2) return null
+
+  const sum = usable.reduce((total, bar) => total + Math.pow(Math.log(bar.high / bar.low), 2), 0)
+  return Math.sqrt(sum / (4 * Math.LN2 * usable.length) * TRADING_DAYS_PER_YEAR)
+}
+
+/**
+ * Garman-Klass estimator: high-low range plus open-to-close move
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {number|null} Annualized volatility
+ */
+export function garmanKlassVolatility(bars) {
+  const usable = validBars(bars)
+  if (usable.length < 2) return null
+
+  const sum = usable.reduce((total, bar) => {
+    const range = Math.log(bar.high / bar.low)
+    const body = Math.log(bar.close / bar.open)
+    return total + 0.5 * range * range - (2 * Math.LN2 - 1) * body * body
+  }, 0)
+  return Math.sqrt(Math.max(0, sum / usable.length) * TRADING_DAYS_PER_YEAR)
+}
+
+/**
+ * Yang-Zhang estimator: combines overnight, open-to-close and Rogers-Satchell variance,
+ * so it stays unbiased when prices gap between sessions (e.g. around earnings)
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {number|null} Annualized volatility
+ */
+export function yangZhangVolatility(bars) {
+  const usable = validBars(bars)
+  if (usable.length < 3) return null
+
+  const sessions = usable.slice(1)
+  const n = sessions.length
+  const overnight = sessions.map((bar, i) => Math.log(bar.open / usable[i].close))
+  const openToClose = sessions.map(bar => Math.log(bar.close / bar.open))
+  const rogersSatchell = sessions.reduce((total, bar) => total +
+    Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open) +
+    Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open), 0) / n
+
+  const k = 0.34 / (1.34 + (n + 1) / (n - 1))
+  const variance = sampleVariance(overnight) + k * sampleVariance(openToClose) + (1 - k) * rogersSatchell
+  return Math.sqrt(Math.max(0, variance) * TRADING_DAYS_PER_YEAR)
+}
+
+const ESTIMATORS = {
+  close_to_close: closeToCloseVolatility,
+  parkinson: parkinsonVolatility,
+  garman_klass: garmanKlassVolatility,
+  yang_zhang: yangZhangVolatility
+}
+
+/**
+ * Calculate realized volatility over the most recent completed sessions with every estimator
+ * @param {string} symbol - Stock symbol
+ * @param {number} window - Number of sessions (default 20)
+ * @returns {Promise<Object|null>} Volatility per estimator plus window and sessions used, or null
+ */
+export async function getRealizedVolatility(symbol, window = 20) {
+  const today = getTodayET()
+  const from = new Date(`${today}T00:00:00Z`)
+  from.setUTCDate(from.getUTCDate() - Math.ceil(window * 1.6) - 10) // Calendar days covering the window plus holidays
+
+  const bars = await getDailyAggregates(symbol, from.toISOString().split('T')[0], today)
+
+  // Today's bar is still forming while the market is open
+  const completed = bars.filter(bar => bar.date < today).slice(-(window + 1))
+  if (completed.length < 3) {
+    console.log(`⚠️ REALIZED_VOL: Not enough daily bars for ${symbol} (${completed.length})`)
+    return null
+  }
+
+  const result = { window, sessions: completed.length - 1 }
+  for (const [name, estimator] of Object.entries(ESTIMATORS)) {
+    result[name] = estimator(completed)
+  }
+
+  console.log(`📊 REALIZED_VOL: ${symbol} ${result.sessions}-day realized vol:`, {
+    closeToClose: result.close_to_close?.toFixed(3),
+    parkinson: result.parkinson?.toFixed(3),
+    garmanKlass: result.garman_klass?.toFixed(3),
+    yangZhang: result.yang_zhang?.toFixed(3)
+  })
+
+  return result
+}
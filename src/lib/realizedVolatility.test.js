@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import {
+  closeToCloseVolatility,
+  parkinsonVolatility,
+  garmanKlassVolatility,
+  yangZhangVolatility
+} from './realizedVolatility'
+import { createRandom, createNormal } from './monteCarlo'
+
+const ESTIMATORS = [closeToCloseVolatility, parkinsonVolatility, garmanKlassVolatility, yangZhangVolatility]
+
+// Sessions that open and close at the same price with a symmetric 2% range
+const flatBars = Array.from({ length: 10 }, () => ({ open: 100, high: 101, low: 99, close: 100 }))
+
+describe('realized volatility estimators', () => {
+  it('return null without enough bars', () => {
+    for (const estimator of ESTIMATORS) {
+      expect(estimator([{ open: 100, high: 101, low: 99, close: 100 }])).toBeNull()
+    }
+  })
+
+  it('ignore bars with missing prices', () => {
+    const withGaps = [...flatBars, { open: 0, high: 0, low: 0, close: 0 }]
+    for (const estimator of ESTIMATORS) {
+      expect(estimator(withGaps)).toBe(estimator(flatBars))
+    }
+  })
+
+  it('match closed-form values for flat sessions', () => {
+    const range = Math.log(101 / 99)
+    expect(closeToCloseVolatility(flatBars)).toBe(0)
+    expect(parkinsonVolatility(flatBars)).toBeCloseTo(Math.sqrt(range * range / (4 * Math.LN2) * 252), 12)
+    expect(garmanKlassVolatility(flatBars)).toBeCloseTo(Math.sqrt(0.5 * range * range * 252), 12)
+
+    const rogersSatchell = Math.pow(Math.log(101 / 100), 2) + Math.pow(Math.log(99 / 100), 2)
+    const n = flatBars.length - 1
+    const k = 0.34 / (1.34 + (n + 1) / (n - 1))
+    expect(yangZhangVolatility(flatBars)).toBeCloseTo(Math.sqrt((1 - k) * rogersSatchell * 252), 12)
+  })
+
+  it('recovers the volatility of simulated daily returns from closes', () => {
+    const normal = createNormal(createRandom(5))
+    const dailyStd = 0.3 / Math.sqrt(252)
+    const bars = [{ open: 100, high: 100, low: 100, close: 100 }]
+    for (let i = 0; i < 2000; i++) {
+      const close = bars[i].close * Math.exp(dailyStd * normal())
+      bars.push({ open: bars[i].close, high: Math.max(bars[i].close, close), low: Math.min(bars[i].close, close), close })
+    }
+
+    expect(closeToCloseVolatility(bars)).toBeCloseTo(0.3, 1)
+  })
+})
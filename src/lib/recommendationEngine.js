@@ -1,8 +1,18 @@
-import { getEarningsCalendar } from './earnings'
+import { getEarningsCalendar, getDividendInfo, getDividendInfoAsOf, getHistoricalEarningsMoves, getCompanyProfile } from './earnings'
 import { getMultipleOptionsChains } from './polygon'
-import { calculatePOP, calculateConfidenceScore, calculateTimeToExpiry, calculateBreakeven, calculateMaxLoss, calculatePremiumPercentage } from './calculations'
+import { calculatePOP, calculateProbabilityOfTouch, calculateProbabilityOfMaxProfit, calculateProbabilityOfLoss, calculateGreeks, calculateAmericanOption, calculateDividendAdjustedPrice, calculateStraddleExpectedMove, estimateStraddlePrice, calculateTimeToExpiry, calculateBreakeven, calculateMaxLoss, calculatePremiumPercentage, calculatePutSpreadMetrics, calculateIronCondorMetrics, calculateStrangleMetrics, calculateProbabilityInRange } from './calculations'
 import { supabase } from './supabase'
 import { getCachedData, setCachedData } from './cache'
+import { adjustExpirationDate, getDaysToExpiry, getTodayET } from './marketCalendar'
+import { getRiskFreeRate } from './rateCurve'
+import { getAtmImpliedVolatility, recordIVSnapshot, getIVStats } from './ivHistory'
+import { getRealizedVolatility } from './realizedVolatility'
+import { fitSkewByExpiration, getFittedIV } from './volatilitySkew'
+import { calculateScore, loadScoringProfile } from './scoring'
+import { getWheelPositions } from './wheel'
+import { createLeg, DEFAULT_STRATEGY } from './positions'
+import { recordChainSnapshot } from './chainHistory'
+import { loadCalibrationCurve, applyCalibrationCurve } from './calibration'
 
 /**
  * Main recommendation engine that processes earnings and options data
@@ -14,24 +24,75 @@ export class RecommendationEngine {
     this.minPremiumPercentage = 3.5 // Minimum premium as % of stock price
     this.minPOP = 87 // Minimum probability of profit
     this.maxPOP = 93 // Maximum probability of profit
+    this.popTarget = 'pop' // Probability the POP band applies to: pop, max_profit, breakeven or no_touch
     this.maxDaysToExpiry = 14 // Maximum days to expiration
     this.minDaysToExpiry = 1 // Minimum days to expiration
     this.maxSymbolsToProcess = 50 // Increased from 8 to process more stocks
     this.minMarketCap = 1000000000 // $1B minimum market cap for liquidity
     this.minVolume = 10 // Minimum daily volume for options
     this.minOpenInterest = 50 // Minimum open interest for options
+    this.earlyAssignmentBuffer = 0.02 // Flag puts within 2% of the early-exercise boundary
+    this.expectedMoveMultiple = 1.0 // Strike must sit at least this many expected earnings moves below the stock
+    this.enableSpreads = true // Also propose bull put credit spreads on qualifying short puts
+    this.maxSpreadWidthPct = 5 // Maximum spread width as % of the short strike
+    this.minReturnOnRisk = 10 // Minimum spread credit as % of max loss
+    this.maxSpreadsPerShortPut = 2 // Best-scoring long legs kept per short put
+    this.enableNeutralStrategies = true // Also propose iron condors and short strangles around earnings
+    this.minNeutralPOP = 60 // Minimum probability of finishing between the breakevens
+    this.enableWheel = true // Switch assigned symbols to covered calls above their cost basis
+    this.maxCoveredCallDelta = 0.3 // Maximum delta for covered calls
+    this.maxCoveredCallsPerSymbol = 3 // Best-scoring covered calls kept per assigned symbol
+    this.dedupeBySymbol = true // Keep only the best recommendation per symbol, across strategies (maxPerSymbol applies when off)
+    this.maxPerSymbol = 3 // Maximum recommendations per symbol
+    this.maxPerSector = 8 // Maximum recommendations per sector (FMP company profile)
+    this.maxPerEarningsDate = 10 // Maximum recommendations reporting on the same date
+    this.scoringProfile = 'default' // Saved scoring weight profile to load before each run
+    this.scoringWeights = null // Factor weights merged over the scoring profile (null = profile only)
+    this.richStrikeThreshold = 0.02 // Flag strikes whose IV sits 2+ vol points above their expiration's skew curve
+    this.realizedVolWindow = 20 // Sessions used for realized volatility
+    this.realizedVolEstimator = 'yang_zhang' // close_to_close, parkinson, garman_klass or yang_zhang
+    this.usePOPCalibration = false // Map POP (only) through the empirical curve fitted on settled recommendations
+    this.expectedMoves = {} // Implied earnings move per symbol from the latest run
+    this.runId = null // Identifies the latest run in the rejection audit
+    this.rejections = [] // Why each symbol/contract was filtered out in the latest run
+    this.wheelPositions = {} // Assigned wheel positions by symbol for the latest run
+    this.asOf = null // Evaluate as of this time instead of now (backtest replays)
+    this.popCalibration = null // Calibration curve loaded for the latest run
+    this.activeScoringWeights = null // Scoring profile plus explicit weights for the latest run
+    this.criteriaProfile = 'balanced' // Criteria profile applied for the latest run (stored on recommendations)
     
     console.log('🚀 RECOMMENDATION_ENGINE: Initialized with criteria:', {
       minDelta: this.minDelta,
       minPremiumPercentage: this.minPremiumPercentage,
       minPOP: this.minPOP,
       maxPOP: this.maxPOP,
+      popTarget: this.popTarget,
       maxDaysToExpiry: this.maxDaysToExpiry,
       minDaysToExpiry: this.minDaysToExpiry,
       maxSymbolsToProcess: this.maxSymbolsToProcess,
       minMarketCap: this.minMarketCap,
       minVolume: this.minVolume,
-      minOpenInterest: this.minOpenInterest
+      minOpenInterest: this.minOpenInterest,
+      earlyAssignmentBuffer: this.earlyAssignmentBuffer,
+      expectedMoveMultiple: this.expectedMoveMultiple,
+      enableSpreads: this.enableSpreads,
+      maxSpreadWidthPct: this.maxSpreadWidthPct,
+      minReturnOnRisk: this.minReturnOnRisk,
+      maxSpreadsPerShortPut: this.maxSpreadsPerShortPut,
+      enableNeutralStrategies: this.enableNeutralStrategies,
+      minNeutralPOP: this.minNeutralPOP,
+      enableWheel: this.enableWheel,
+      maxCoveredCallDelta: this.maxCoveredCallDelta,
+      maxCoveredCallsPerSymbol: this.maxCoveredCallsPerSymbol,
+      dedupeBySymbol: this.dedupeBySymbol,
+      maxPerSymbol: this.maxPerSymbol,
+      maxPerSector: this.maxPerSector,
+      maxPerEarningsDate: this.maxPerEarningsDate,
+      scoringProfile: this.scoringProfile,
+      richStrikeThreshold: this.richStrikeThreshold,
+      realizedVolWindow: this.realizedVolWindow,
+      realizedVolEstimator: this.realizedVolEstimator,
+      usePOPCalibration: this.usePOPCalibration
     })
   }
 
@@ -43,6 +104,14 @@ export class RecommendationEngine {
   async generateRecommendations() {
     try {
       console.log('🚀 RECOMMENDATION_ENGINE: Starting recommendation generation with expanded stock universe...')
+      this.expectedMoves = {}
+      this.runId = new Date().toISOString()
+      this.rejections = []
+      await this.loadScoringWeights()
+      this.popCalibration = this.usePOPCalibration ? await loadCalibrationCurve() : null
+      this.wheelPositions = this.enableWheel
+        ? Object.fromEntries((await getWheelPositions()).map(position => [position.symbol, position]))
+        : {}
       
       // Check for cached recommendations first
       const cachedRecommendations = await this.getCachedRecommendations()
@@ -122,11 +191,26 @@ export class RecommendationEngine {
         }
       }
       
+      // Assigned wheel symbols get covered calls whether or not they report soon
+      recommendations.push(...await this.processWheelPositions(earningsData))
+      
       // Step 4: Sort by confidence score and return top recommendations
+      // Covered calls go through the same diversification limits and cut as everything else
       console.log('🔧 RECOMMENDATION_ENGINE: Step 4 - Sorting and finalizing recommendations...')
-      const sortedRecommendations = recommendations
-        .sort((a, b) => b.confidence_score - a.confidence_score)
-        .slice(0, 30) // Increased from 20 to 30 recommendations
+      const rankedRecommendations = await this.applyDiversification(
+        recommendations.sort((a, b) => b.confidence_score - a.confidence_score)
+      )
+      const sortedRecommendations = rankedRecommendations.slice(0, 30) // Increased from 20 to 30 recommendations
+        .map(rec => ({ ...rec, criteria_profile: this.criteriaProfile }))
+      
+      rankedRecommendations.slice(30).forEach(rec => {
+        this.recordRejection(rec.symbol, 'rank_cutoff', `Confidence ${rec.confidence_score.toFixed(1)} outside the top 30`, {
+          strike: rec.strike_price,
+          expiration: rec.expiration_date
+        })
+      })
+      
+      await this.saveRejectionAudit()
       
       console.log(`✅ RECOMMENDATION_ENGINE: Generated ${sortedRecommendations.length} new recommendations from expanded stock universe`)
       
@@ -165,6 +249,72 @@ export class RecommendationEngine {
     }
   }
 
+  /**
+   * Apply de-duplication and concentration limits to ranked recommendations
+   * Walks the list best-first, so each rule keeps the highest-confidence recommendations; anything
+   * dropped is recorded in the rejection audit. Runs before the top-30 cut so the freed slots go
+   * to other names. Dedupe is per symbol across strategies, so with it on the per-symbol cap never binds.
+   * @param {Array} ranked - Recommendations sorted by confidence, best first
+   * @returns {Promise<Array>} Recommendations that pass, still ranked, tagged with their sector
+   */
+  async applyDiversification(ranked) {
+    const sectors = this.maxPerSector ? await this.getSectors([...new Set(ranked.map(rec => rec.symbol))]) : {}
+    const seen = new Set()
+    const counts = { symbol: {}, sector: {}, earningsDate: {} }
+    const kept = []
+    
+    for (const rec of ranked) {
+      const sector = sectors[rec.symbol] || null
+      const contract = { strike: rec.strike_price, expiration: rec.expiration_date }
+      
+      if (this.dedupeBySymbol && seen.has(rec.symbol)) {
+        this.recordRejection(rec.symbol, 'duplicate', `Lower-confidence ${rec.strategy} on a symbol already recommended`, contract)
+        continue
+      }
+      if (this.maxPerSymbol && (counts.symbol[rec.symbol] || 0) >= this.maxPerSymbol) {
+        this.recordRejection(rec.symbol, 'max_per_symbol', `Symbol already has ${this.maxPerSymbol} recommendations`, contract)
+        continue
+      }
+      if (this.maxPerSector && sector && (counts.sector[sector] || 0) >= this.maxPerSector) {
+        this.recordRejection(rec.symbol, 'max_per_sector', `${sector} already has ${this.maxPerSector} recommendations`, contract)
+        continue
+      }
+      if (this.maxPerEarningsDate && rec.earnings_date && (counts.earningsDate[rec.earnings_date] || 0) >= this.maxPerEarningsDate) {
+        this.recordRejection(rec.symbol, 'max_per_earnings_date', `${rec.earnings_date} already has ${this.maxPerEarningsDate} recommendations`, contract)
+        continue
+      }
+      
+      seen.add(rec.symbol)
+      counts.symbol[rec.symbol] = (counts.symbol[rec.symbol] || 0) + 1
+      if (sector) counts.sector[sector] = (counts.sector[sector] || 0) + 1
+      if (rec.earnings_date) counts.earningsDate[rec.earnings_date] = (counts.earningsDate[rec.earnings_date] || 0) + 1
+      kept.push({ ...rec, sector })
+    }
+    
+    console.log(`📊 RECOMMENDATION_ENGINE: Diversification kept ${kept.length} of ${ranked.length} recommendations`, counts.sector)
+    return kept
+  }
+
+  /**
+   * Look up FMP company profile sectors for symbols
+   * @param {Array} symbols - Stock symbols
+   * @returns {Promise<Object>} Sector by symbol (symbols without a profile are left out)
+   */
+  async getSectors(symbols) {
+    const sectors = {}
+    for (const symbol of symbols) {
+      try {
+        const profile = await getCompanyProfile(symbol)
+        if (profile?.[0]?.sector) {
+          sectors[symbol] = profile[0].sector
+        }
+      } catch (error) {
+        console.warn(`⚠️ RECOMMENDATION_ENGINE: No sector for ${symbol}:`, error.message)
+      }
+    }
+    return sectors
+  }
+
   /**
    * Prioritize symbols based on market cap, volume, and other factors
    * @param {Array} earningsData - Raw earnings data
@@ -179,24 +329,28 @@ export class RecommendationEngine {
         // Basic validation
         if (!earning.symbol || earning.symbol.length < 1 || earning.symbol.length > 5) {
           console.log(`❌ RECOMMENDATION_ENGINE: Filtered out ${earning.symbol} - invalid length`)
+          this.recordRejection(earning.symbol, 'invalid_symbol', 'Symbol length outside 1-5 characters')
           return false
         }
         
         // Exclude symbols with special characters (usually not optionable)
         if (earning.symbol.includes('.') || earning.symbol.includes('-') || earning.symbol.includes('/')) {
           console.log(`❌ RECOMMENDATION_ENGINE: Filtered out ${earning.symbol} - special characters`)
+          this.recordRejection(earning.symbol, 'invalid_symbol', 'Symbol contains special characters')
           return false
         }
         
         // Exclude symbols with numbers (usually not optionable)
         if (/\d/.test(earning.symbol)) {
           console.log(`❌ RECOMMENDATION_ENGINE: Filtered out ${earning.symbol} - contains numbers`)
+          this.recordRejection(earning.symbol, 'invalid_symbol', 'Symbol contains numbers')
           return false
         }
         
         // Market cap filter (if available)
         if (earning.marketCap && earning.marketCap < this.minMarketCap) {
           console.log(`❌ RECOMMENDATION_ENGINE: Filtered out ${earning.symbol} - market cap too low: ${earning.marketCap}`)
+          this.recordRejection(earning.symbol, 'market_cap', `Market cap $${(earning.marketCap / 1e9).toFixed(2)}B below $${(this.minMarketCap / 1e9).toFixed(2)}B`)
           return false
         }
         
@@ -240,7 +394,12 @@ export class RecommendationEngine {
         }
       })
       .sort((a, b) => b.score - a.score) // Sort by score descending
-      .slice(0, this.maxSymbolsToProcess) // Take top N symbols
+    
+    // Take top N symbols
+    scoredSymbols.slice(this.maxSymbolsToProcess).forEach(item => {
+      this.recordRejection(item.symbol, 'symbol_limit', `Priority score ${item.score.toFixed(1)} outside the top ${this.maxSymbolsToProcess} symbols`)
+    })
+    scoredSymbols.splice(this.maxSymbolsToProcess)
     
     console.log(`📊 RECOMMENDATION_ENGINE: Symbol prioritization complete. Top 10 symbols:`)
     scoredSymbols.slice(0, 10).forEach((item, index) => {
@@ -283,11 +442,19 @@ export class RecommendationEngine {
           
           if (!earnings) {
             console.log(`❌ RECOMMENDATION_ENGINE: Skipping ${symbol} - no earnings data`)
+            this.recordRejection(symbol, 'no_earnings', 'No earnings data')
+            continue
+          }
+          
+          if (this.wheelPositions[symbol]) {
+            console.log(`🔁 RECOMMENDATION_ENGINE: Skipping puts on ${symbol} - holding assigned wheel shares`)
+            this.recordRejection(symbol, 'wheel_assigned', 'Holding assigned shares - covered calls only')
             continue
           }
           
           if (!options || !options.options) {
             console.log(`❌ RECOMMENDATION_ENGINE: Skipping ${symbol} - no options data`)
+            this.recordRejection(symbol, 'no_options_data', 'No options chain returned')
             continue
           }
           
@@ -326,6 +493,7 @@ export class RecommendationEngine {
     
     if (!stockPrice || stockPrice <= 0) {
       console.log(`❌ RECOMMENDATION_ENGINE: Skipping ${symbol} - invalid stock price: ${stockPrice}`)
+      this.recordRejection(symbol, 'invalid_stock_price', `Invalid stock price: ${stockPrice}`)
       return recommendations
     }
     
@@ -335,13 +503,87 @@ export class RecommendationEngine {
     let optionsPassedBasic = 0
     let optionsPassedPOP = 0
     
+    const dividendInfo = await this.getDividendSchedule(symbol)
+    
+    const expectedMove = this.getExpectedEarningsMove(symbol, earnings, options, stockPrice)
+    this.expectedMoves[symbol] = expectedMove
+    
+    if (expectedMove) {
+      console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} implied earnings move: ±$${expectedMove.move.toFixed(2)} (${expectedMove.movePct.toFixed(1)}%, ${expectedMove.source})`)
+    }
+    
+    // Replays must not write today's history or read data from after the replayed date
+    const isReplay = this.asOf !== null
+    
+    // Judge IV against this symbol's own 52-week range rather than in absolute terms
+    const atmImpliedVolatility = getAtmImpliedVolatility(options.options, stockPrice, getTodayET(this.getNow()))
+    if (!isReplay) {
+      await recordIVSnapshot(symbol, atmImpliedVolatility, stockPrice)
+      await recordChainSnapshot(symbol, options)
+    }
+    const ivStats = isReplay ? null : await getIVStats(symbol, atmImpliedVolatility)
+    
+    // Fit each expiration's smile across all strikes so single strikes can be judged against it
+    const skewFits = fitSkewByExpiration(options.options, stockPrice)
+    
+    // Realized volatility for the IV/RV premium
+    const realizedVol = isReplay ? null : await this.getRealizedVol(symbol)
+    const realizedVolatility = realizedVol?.[this.realizedVolEstimator] || null
+    
+    // Compare today's implied move with how far the stock actually moved after past reports
+    const historicalMoves = isReplay ? null : await this.getHistoricalMoves(symbol)
+    const moveRatio = expectedMove && historicalMoves?.averageMovePct > 0
+      ? expectedMove.movePct / historicalMoves.averageMovePct
+      : null
+    
+    if (moveRatio !== null) {
+      console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} implied move is ${moveRatio.toFixed(2)}× the historical average (${historicalMoves.averageMovePct.toFixed(1)}% over ${historicalMoves.sampleSize} quarters) - ${moveRatio >= 1 ? 'overpriced' : 'underpriced'}`)
+    }
+    
     for (const option of options.options) {
       try {
         optionsAnalyzed++
         
+        // Price off the dividend-adjusted stock price when an ex-date falls before expiry
+        const timeToExpiry = calculateTimeToExpiry(option.expiration, this.getNow())
+        const riskFreeRate = getRiskFreeRate(timeToExpiry)
+        const dividends = this.getDividendsBeforeExpiry(dividendInfo, option.expiration)
+        const dividendYield = this.getFallbackDividendYield(dividendInfo, stockPrice)
+        const pricingPrice = calculateDividendAdjustedPrice(stockPrice, dividends, timeToExpiry, riskFreeRate)
+        
+        // Compute Greeks locally so every contract is scored on the same model
+        const greeks = calculateGreeks(
+          pricingPrice,
+          option.strike,
+          timeToExpiry,
+          riskFreeRate,
+          option.impliedVolatility,
+          option.type || 'put',
+          dividendYield
+        )
+        
+        // Polygon often returns a zero delta after hours - fall back to the local delta
+        if (!option.delta && greeks.delta) {
+          console.log(`🔧 RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}) missing vendor delta, using computed ${greeks.delta.toFixed(3)}`)
+        }
+        const analyzedOption = {
+          ...option,
+          delta: option.delta || greeks.delta
+        }
+        
         // Filter by basic criteria (same rigorous filtering as before)
-        if (!this.meetsBasicCriteria(option, stockPrice, earnings.date)) {
+        const basicRejection = this.checkBasicCriteria(analyzedOption, stockPrice, earnings.date)
+        if (basicRejection) {
           console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}, exp: ${option.expiration}) failed basic criteria`)
+          this.recordRejection(symbol, basicRejection.rule, basicRejection.reason, option)
+          continue
+        }
+        
+        // Strike must sit outside N× the market-implied earnings move
+        if (expectedMove && option.strike > stockPrice - this.expectedMoveMultiple * expectedMove.move) {
+          const floor = stockPrice - this.expectedMoveMultiple * expectedMove.move
+          console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}) inside ${this.expectedMoveMultiple}× expected move (floor: $${floor.toFixed(2)})`)
+          this.recordRejection(symbol, 'expected_move', `Strike inside ${this.expectedMoveMultiple}× expected move (needs ≤ $${floor.toFixed(2)})`, option)
           continue
         }
         
@@ -349,54 +591,137 @@ export class RecommendationEngine {
         console.log(`✅ RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}) passed basic criteria`)
         
         // Calculate additional metrics
-        const timeToExpiry = calculateTimeToExpiry(option.expiration)
-        const pop = calculatePOP(
-          stockPrice,
+        const rawPop = calculatePOP(
+          pricingPrice,
           option.strike,
           timeToExpiry,
-          0.05, // Risk-free rate
-          option.impliedVolatility
+          riskFreeRate,
+          option.impliedVolatility,
+          dividendYield
+        )
+        const pop = this.calibratePOP(rawPop)
+        
+        const probMaxProfit = calculateProbabilityOfMaxProfit(pricingPrice, option.strike, timeToExpiry, riskFreeRate, option.impliedVolatility, dividendYield)
+        const probTouch = calculateProbabilityOfTouch(pricingPrice, option.strike, timeToExpiry, riskFreeRate, option.impliedVolatility, dividendYield)
+        const probLoss = calculateProbabilityOfLoss(
+          pricingPrice,
+          calculateBreakeven(option.strike, option.premium),
+          timeToExpiry,
+          riskFreeRate,
+          option.impliedVolatility,
+          dividendYield
         )
+        const targetProbability = this.getTargetProbability({ pop, probMaxProfit, probTouch, probLoss })
         
-        console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} option POP calculation: ${pop.toFixed(1)}% (target: ${this.minPOP}-${this.maxPOP}%)`)
+        console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} option POP calculation: ${pop.toFixed(1)}%, ${this.popTarget}: ${targetProbability.toFixed(1)}% (target: ${this.minPOP}-${this.maxPOP}%)`)
         
-        // Check if POP is within target range (same criteria)
-        if (pop < this.minPOP || pop > this.maxPOP) {
-          console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} option failed POP criteria: ${pop.toFixed(1)}%`)
+        // Check if the targeted probability is within range (same criteria)
+        if (targetProbability < this.minPOP || targetProbability > this.maxPOP) {
+          console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} option failed POP criteria: ${this.popTarget} ${targetProbability.toFixed(1)}%`)
+          this.recordRejection(symbol, 'pop_band', `${this.popTarget} ${targetProbability.toFixed(1)}% outside ${this.minPOP}-${this.maxPOP}%`, option)
           continue
         }
         
         optionsPassedPOP++
         
+        // Equity options are American - price the early-exercise right and check assignment risk
+        const american = calculateAmericanOption(
+          stockPrice,
+          option.strike,
+          timeToExpiry,
+          riskFreeRate,
+          option.impliedVolatility,
+          option.type || 'put',
+          dividends,
+          100,
+          dividendYield
+        )
+        const earlyAssignmentRisk = this.hasEarlyAssignmentRisk(stockPrice, american.exerciseBoundary)
+        
+        if (earlyAssignmentRisk) {
+          console.log(`⚠️ RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}) is near the early-exercise boundary`)
+        }
+        
+        const skewFit = skewFits[option.expiration] || null
+        const fittedIV = skewFit ? getFittedIV(skewFit, option.strike) : null
+        const ivResidual = fittedIV !== null ? option.impliedVolatility - fittedIV : null
+        const richStrike = ivResidual !== null && ivResidual >= this.richStrikeThreshold
+        
+        if (richStrike) {
+          console.log(`💎 RECOMMENDATION_ENGINE: ${symbol} option (strike: ${option.strike}) is rich vs skew by ${(ivResidual * 100).toFixed(1)} vol pts`)
+        }
+        
         const premiumPercentage = calculatePremiumPercentage(option.premium, stockPrice)
         const breakeven = calculateBreakeven(option.strike, option.premium)
         const maxLoss = calculateMaxLoss(option.strike, option.premium)
         
-        // Calculate confidence score (same algorithm)
-        const confidenceScore = calculateConfidenceScore(
-          option.impliedVolatility,
-          option.openInterest,
-          option.volume,
-          earnings.epsGrowth || 0,
+        // Calculate confidence score from the registered factors and profile weights
+        const scoreInputs = {
+          impliedVolatility: option.impliedVolatility,
+          openInterest: option.openInterest,
+          volume: option.volume,
+          epsGrowth: earnings.epsGrowth || 0,
           pop,
-          premiumPercentage
-        )
+          premiumPercentage,
+          moveRatio,
+          ivPercentile: ivStats?.ivPercentile ?? null,
+          skewSteepness: skewFit?.steepness ?? null
+        }
+        const score = calculateScore(scoreInputs, this.activeScoringWeights)
+        const confidenceScore = score.total
         
-        console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} option confidence score: ${confidenceScore.toFixed(1)}%`)
+        console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} option confidence score: ${confidenceScore.toFixed(1)}%`,
+          Object.fromEntries(Object.entries(score.factors).map(([name, factor]) => [name, factor.score.toFixed(0)])))
         
         const recommendation = {
           symbol: symbol,
+          strategy: DEFAULT_STRATEGY,
+          legs: [
+            createLeg({ side: 'sell', type: 'put', strike: option.strike, expiration: option.expiration, premium: option.premium, impliedVolatility: option.impliedVolatility })
+          ],
           strike_price: option.strike,
           expiration_date: option.expiration,
           premium: option.premium,
           confidence_score: confidenceScore,
+          score_breakdown: score.factors,
           pop: pop,
-          delta: Math.abs(option.delta),
+          raw_pop: rawPop,
+          prob_max_profit: probMaxProfit,
+          prob_touch: probTouch,
+          prob_loss: probLoss,
+          delta: Math.abs(analyzedOption.delta),
+          gamma: greeks.gamma,
+          theta: greeks.theta,
+          vega: greeks.vega,
+          rho: greeks.rho,
+          american_price: american.price,
+          early_exercise_premium: american.earlyExercisePremium,
+          early_assignment_risk: earlyAssignmentRisk,
           implied_volatility: option.impliedVolatility,
+          risk_free_rate: riskFreeRate,
+          realized_volatility: realizedVolatility,
+          iv_rv_premium: realizedVolatility ? option.impliedVolatility - realizedVolatility : null,
+          fitted_iv: fittedIV,
+          iv_residual: ivResidual,
+          rich_strike: richStrike,
+          skew_steepness: skewFit?.steepness ?? null,
+          iv_rank: ivStats?.ivRank ?? null,
+          iv_percentile: ivStats?.ivPercentile ?? null,
+          iv_source: option.ivSource || 'vendor',
+          iv_mismatch: option.ivMismatch || false,
           premium_percentage: premiumPercentage,
           max_loss: maxLoss,
           breakeven: breakeven,
           earnings_date: earnings.date,
+          earnings_time: earnings.time || null,
+          expected_move: expectedMove?.move || null,
+          expected_move_pct: expectedMove?.movePct || null,
+          expected_move_source: expectedMove?.source || null,
+          historical_move_pct: historicalMoves?.averageMovePct || null,
+          move_ratio: moveRatio,
+          ex_dividend_date: dividends[0]?.exDate || null,
+          dividend_amount: dividends.reduce((sum, dividend) => sum + dividend.amount, 0),
+          dividend_adjusted: dividends.length > 0,
           volume: option.volume,
           open_interest: option.openInterest,
           stock_price: stockPrice,
@@ -414,11 +739,41 @@ export class RecommendationEngine {
         
         recommendations.push(recommendation)
         
+        // Pair the qualifying short put with cheaper puts below it for defined-risk spreads
+        if (this.enableSpreads) {
+          const spreads = this.buildPutSpreads(recommendation, option, options.options, {
+            pricingPrice,
+            timeToExpiry,
+            riskFreeRate,
+            dividendYield,
+            scoreInputs
+          })
+          recommendations.push(...spreads)
+        }
+        
       } catch (error) {
         console.error(`💥 RECOMMENDATION_ENGINE: Error processing option for ${symbol}:`, error)
       }
     }
     
+    // Sell both sides outside the implied move for neutral earnings-premium trades
+    if (this.enableNeutralStrategies) {
+      try {
+        const neutral = this.buildNeutralStrategies(symbol, earnings, options, {
+          expectedMove,
+          dividendInfo,
+          ivStats,
+          skewFits,
+          realizedVolatility,
+          historicalMoves,
+          moveRatio
+        })
+        recommendations.push(...neutral)
+      } catch (error) {
+        console.error(`💥 RECOMMENDATION_ENGINE: Error building neutral strategies for ${symbol}:`, error)
+      }
+    }
+    
     console.log(`📊 RECOMMENDATION_ENGINE: ${symbol} filtering summary:`, {
       optionsAnalyzed,
       optionsPassedBasic,
@@ -437,52 +792,802 @@ export class RecommendationEngine {
    * @returns {boolean} True if meets criteria
    */
   meetsBasicCriteria(option, stockPrice, earningsDate) {
+    return this.checkBasicCriteria(option, stockPrice, earningsDate) === null
+  }
+
+  /**
+   * Check an option against the basic filtering criteria
+   * @param {Object} option - Option data
+   * @param {number} stockPrice - Current stock price
+   * @param {string} earningsDate - Earnings date
+   * @returns {Object|null} Rejection { rule, reason } or null if the option passes
+   */
+  checkBasicCriteria(option, stockPrice, earningsDate) {
     // Check delta (same criteria)
     if (Math.abs(option.delta) > this.minDelta) {
       console.log(`❌ RECOMMENDATION_ENGINE: Delta too high: ${Math.abs(option.delta)} > ${this.minDelta}`)
-      return false
+      return { rule: 'delta', reason: `Delta ${Math.abs(option.delta).toFixed(3)} above ${this.minDelta}` }
     }
     
     // Check premium percentage (same criteria)
     const premiumPercentage = calculatePremiumPercentage(option.premium, stockPrice)
     if (premiumPercentage < this.minPremiumPercentage) {
       console.log(`❌ RECOMMENDATION_ENGINE: Premium percentage too low: ${premiumPercentage.toFixed(2)}% < ${this.minPremiumPercentage}%`)
-      return false
+      return { rule: 'premium_pct', reason: `Premium ${premiumPercentage.toFixed(2)}% below ${this.minPremiumPercentage}%` }
     }
     
-    // Check days to expiration (same criteria)
-    const daysToExpiry = Math.ceil(
-      (new Date(option.expiration) - new Date()) / (1000 * 60 * 60 * 24)
-    )
+    // Check days to expiration on the NYSE calendar (weekend/holiday expirations roll back a session)
+    const daysToExpiry = getDaysToExpiry(option.expiration, this.getNow())
     
     if (daysToExpiry < this.minDaysToExpiry || daysToExpiry > this.maxDaysToExpiry) {
       console.log(`❌ RECOMMENDATION_ENGINE: Days to expiry out of range: ${daysToExpiry} (range: ${this.minDaysToExpiry}-${this.maxDaysToExpiry})`)
-      return false
+      return { rule: 'dte', reason: `${daysToExpiry} days to expiry outside ${this.minDaysToExpiry}-${this.maxDaysToExpiry}` }
     }
     
     // Check if expiration is after earnings (same criteria)
-    const expiryDate = new Date(option.expiration)
-    const earningsDateObj = new Date(earningsDate)
+    const effectiveExpiration = adjustExpirationDate(option.expiration)
     
-    if (expiryDate <= earningsDateObj) {
+    if (effectiveExpiration <= String(earningsDate).split('T')[0]) {
       console.log(`❌ RECOMMENDATION_ENGINE: Expiration before earnings: ${option.expiration} <= ${earningsDate}`)
-      return false
+      return { rule: 'pre_earnings_expiry', reason: `Expires ${effectiveExpiration}, on or before earnings ${String(earningsDate).split('T')[0]}` }
     }
     
     // Check minimum volume and open interest (same criteria)
     if (option.volume < this.minVolume || option.openInterest < this.minOpenInterest) {
       console.log(`❌ RECOMMENDATION_ENGINE: Volume/OI too low: vol=${option.volume} (min=${this.minVolume}), OI=${option.openInterest} (min=${this.minOpenInterest})`)
-      return false
+      return { rule: 'liquidity', reason: `Volume ${option.volume} / OI ${option.openInterest} below ${this.minVolume} / ${this.minOpenInterest}` }
     }
     
     // Check if premium is reasonable (same criteria)
     if (option.premium <= 0 || option.premium > stockPrice * 0.1) {
       console.log(`❌ RECOMMENDATION_ENGINE: Premium unreasonable: ${option.premium} (stock: ${stockPrice})`)
-      return false
+      return { rule: 'premium_unreasonable', reason: `Premium $${option.premium} outside $0-${(stockPrice * 0.1).toFixed(2)}` }
     }
     
     console.log(`✅ RECOMMENDATION_ENGINE: Option passed all basic criteria`)
-    return true
+    return null
+  }
+
+  /**
+   * Build bull put credit spreads around a qualifying short put
+   * Long legs come from the same expiration, below the short strike and within the width limit.
+   * @param {Object} shortRecommendation - Naked short put recommendation
+   * @param {Object} shortOption - Short put option data
+   * @param {Array} chain - All puts for the symbol
+   * @param {Object} context - Pricing context { pricingPrice, timeToExpiry, riskFreeRate, dividendYield, scoreInputs }
+   * @returns {Array} Spread recommendations, best score first
+   */
+  buildPutSpreads(shortRecommendation, shortOption, chain, context) {
+    const { pricingPrice, timeToExpiry, riskFreeRate, dividendYield, scoreInputs } = context
+    const maxWidth = shortOption.strike * this.maxSpreadWidthPct / 100
+    const spreads = []
+    
+    for (const longOption of chain) {
+      if (longOption.expiration !== shortOption.expiration) continue
+      if (longOption.strike >= shortOption.strike || shortOption.strike - longOption.strike > maxWidth) continue
+      if (!(longOption.premium > 0) || longOption.volume < this.minVolume || longOption.openInterest < this.minOpenInterest) continue
+      
+      const metrics = calculatePutSpreadMetrics(shortOption.strike, shortOption.premium, longOption.strike, longOption.premium)
+      if (metrics.netCredit <= 0 || metrics.returnOnRisk < this.minReturnOnRisk) {
+        continue
+      }
+      
+      const longGreeks = calculateGreeks(
+        pricingPrice,
+        longOption.strike,
+        timeToExpiry,
+        riskFreeRate,
+        longOption.impliedVolatility,
+        'put',
+        dividendYield
+      )
+      const longDelta = Math.abs(longOption.delta || longGreeks.delta)
+      
+      // Profit above the spread breakeven, the full credit above the short strike, and the full
+      // width is lost below the long strike
+      const rawPop = calculatePOP(pricingPrice, metrics.breakeven, timeToExpiry, riskFreeRate, shortOption.impliedVolatility, dividendYield)
+      const pop = this.calibratePOP(rawPop)
+      const probMaxProfit = calculateProbabilityOfMaxProfit(pricingPrice, shortOption.strike, timeToExpiry, riskFreeRate, shortOption.impliedVolatility, dividendYield)
+      const probTouch = calculateProbabilityOfTouch(pricingPrice, shortOption.strike, timeToExpiry, riskFreeRate, shortOption.impliedVolatility, dividendYield)
+      const probLoss = calculateProbabilityOfLoss(pricingPrice, metrics.breakeven, timeToExpiry, riskFreeRate, shortOption.impliedVolatility, dividendYield)
+      const probMaxLoss = 100 - calculatePOP(pricingPrice, longOption.strike, timeToExpiry, riskFreeRate, longOption.impliedVolatility, dividendYield)
+      const volume = Math.min(shortOption.volume, longOption.volume)
+      const openInterest = Math.min(shortOption.openInterest, longOption.openInterest)
+      
+      const score = calculateScore({
+        ...scoreInputs,
+        pop,
+        volume,
+        openInterest,
+        premiumPercentage: null,
+        returnOnRisk: metrics.returnOnRisk
+      }, this.activeScoringWeights)
+      
+      spreads.push({
+        ...shortRecommendation,
+        strategy: 'bull_put_spread',
+        legs: [
+          ...shortRecommendation.legs,
+          createLeg({ side: 'buy', type: 'put', strike: longOption.strike, expiration: longOption.expiration, premium: longOption.premium, impliedVolatility: longOption.impliedVolatility })
+        ],
+        long_strike_price: longOption.strike,
+        long_premium: longOption.premium,
+        spread_width: metrics.width,
+        net_credit: metrics.netCredit,
+        return_on_risk: metrics.returnOnRisk,
+        premium: metrics.netCredit,
+        premium_percentage: calculatePremiumPercentage(metrics.netCredit, shortRecommendation.stock_price),
+        confidence_score: score.total,
+        score_breakdown: score.factors,
+        pop,
+        raw_pop: rawPop,
+        prob_max_profit: probMaxProfit,
+        prob_touch: probTouch,
+        prob_loss: probLoss,
+        prob_max_loss: probMaxLoss,
+        delta: shortRecommendation.delta - longDelta,
+        gamma: shortRecommendation.gamma - longGreeks.gamma,
+        theta: shortRecommendation.theta - longGreeks.theta,
+        vega: shortRecommendation.vega - longGreeks.vega,
+        rho: shortRecommendation.rho - longGreeks.rho,
+        max_loss: metrics.maxLoss,
+        breakeven: metrics.breakeven,
+        volume,
+        open_interest: openInterest
+      })
+    }
+    
+    const bestSpreads = spreads
+      .sort((a, b) => b.confidence_score - a.confidence_score)
+      .slice(0, this.maxSpreadsPerShortPut)
+    
+    if (bestSpreads.length > 0) {
+      console.log(`✅ RECOMMENDATION_ENGINE: Built ${bestSpreads.length} put spreads on ${shortRecommendation.symbol} ${shortOption.strike}P:`,
+        bestSpreads.map(spread => `${spread.strike_price}/${spread.long_strike_price} credit ${spread.net_credit.toFixed(2)} (${spread.return_on_risk.toFixed(1)}% RoR)`))
+    }
+    
+    return bestSpreads
+  }
+
+  /**
+   * Build short strangles and iron condors with both short strikes outside the expected earnings move
+   * One of each per eligible expiration: the nearest liquid put below and call above the move,
+   * with condor wings at the farthest strikes inside the spread width limit.
+   * @param {string} symbol - Stock symbol
+   * @param {Object} earnings - Earnings data
+   * @param {Object} options - Options data with puts in options and calls in calls
+   * @param {Object} context - Symbol context { expectedMove, dividendInfo, ivStats, skewFits, realizedVolatility, historicalMoves, moveRatio }
+   * @returns {Array} Neutral strategy recommendations
+   */
+  buildNeutralStrategies(symbol, earnings, options, context) {
+    const { expectedMove, dividendInfo, ivStats, skewFits, realizedVolatility, historicalMoves, moveRatio } = context
+    const stockPrice = options.underlyingPrice
+    const calls = options.calls || []
+    
+    if (!expectedMove || calls.length === 0) {
+      console.log(`❌ RECOMMENDATION_ENGINE: Skipping neutral strategies for ${symbol} - ${!expectedMove ? 'no expected move' : 'no calls in chain'}`)
+      return []
+    }
+    
+    const putFloor = stockPrice - this.expectedMoveMultiple * expectedMove.move
+    const callCeiling = stockPrice + this.expectedMoveMultiple * expectedMove.move
+    const earningsDay = String(earnings.date).split('T')[0]
+    const isLiquid = option => option.premium > 0 && option.volume >= this.minVolume && option.openInterest >= this.minOpenInterest
+    const expirations = [...new Set(options.options.map(option => option.expiration))]
+    const results = []
+    
+    for (const expiration of expirations) {
+      const daysToExpiry = getDaysToExpiry(expiration, this.getNow())
+      if (daysToExpiry < this.minDaysToExpiry || daysToExpiry > this.maxDaysToExpiry) continue
+      if (adjustExpirationDate(expiration) <= earningsDay) continue
+      
+      const puts = options.options
+        .filter(option => option.expiration === expiration && isLiquid(option))
+        .sort((a, b) => b.strike - a.strike)
+      const expirationCalls = calls
+        .filter(option => option.expiration === expiration && isLiquid(option))
+        .sort((a, b) => a.strike - b.strike)
+      
+      const shortPut = puts.find(option => option.strike <= putFloor)
+      const shortCall = expirationCalls.find(option => option.strike >= callCeiling)
+      if (!shortPut || !shortCall) {
+        console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} ${expiration} has no liquid strikes outside the expected move ($${putFloor.toFixed(2)} - $${callCeiling.toFixed(2)})`)
+        continue
+      }
+      
+      const timeToExpiry = calculateTimeToExpiry(expiration, this.getNow())
+      const riskFreeRate = getRiskFreeRate(timeToExpiry)
+      const dividends = this.getDividendsBeforeExpiry(dividendInfo, expiration)
+      const dividendYield = this.getFallbackDividendYield(dividendInfo, stockPrice)
+      const pricingPrice = calculateDividendAdjustedPrice(stockPrice, dividends, timeToExpiry, riskFreeRate)
+      const greeksFor = (option) => calculateGreeks(pricingPrice, option.strike, timeToExpiry, riskFreeRate, option.impliedVolatility, option.type, dividendYield)
+      const rangeProbability = (lower, upper) => calculateProbabilityInRange(pricingPrice, lower, upper, timeToExpiry, riskFreeRate, shortPut.impliedVolatility, shortCall.impliedVolatility, dividendYield)
+      
+      const legFor = (side, option) => createLeg({ side, type: option.type, strike: option.strike, expiration, premium: option.premium, impliedVolatility: option.impliedVolatility })
+      const shortPutGreeks = greeksFor(shortPut)
+      const shortCallGreeks = greeksFor(shortCall)
+      const skewFit = skewFits[expiration] || null
+      
+      // Fields shared by both structures; strike_price/long_strike_price keep describing the put side
+      const base = {
+        symbol: symbol,
+        strike_price: shortPut.strike,
+        expiration_date: expiration,
+        call_strike_price: shortCall.strike,
+        call_premium: shortCall.premium,
+        prob_max_profit: rangeProbability(shortPut.strike, shortCall.strike),
+        prob_touch: null,
+        american_price: null,
+        early_exercise_premium: null,
+        early_assignment_risk: false,
+        implied_volatility: (shortPut.impliedVolatility + shortCall.impliedVolatility) / 2,
+        risk_free_rate: riskFreeRate,
+        realized_volatility: realizedVolatility,
+        iv_rv_premium: realizedVolatility ? (shortPut.impliedVolatility + shortCall.impliedVolatility) / 2 - realizedVolatility : null,
+        fitted_iv: null,
+        iv_residual: null,
+        rich_strike: false,
+        skew_steepness: skewFit?.steepness ?? null,
+        iv_rank: ivStats?.ivRank ?? null,
+        iv_percentile: ivStats?.ivPercentile ?? null,
+        iv_source: shortPut.ivSource || 'vendor',
+        iv_mismatch: Boolean(shortPut.ivMismatch || shortCall.ivMismatch),
+        earnings_date: earnings.date,
+        earnings_time: earnings.time || null,
+        expected_move: expectedMove.move,
+        expected_move_pct: expectedMove.movePct,
+        expected_move_source: expectedMove.source,
+        historical_move_pct: historicalMoves?.averageMovePct || null,
+        move_ratio: moveRatio,
+        ex_dividend_date: dividends[0]?.exDate || null,
+        dividend_amount: dividends.reduce((sum, dividend) => sum + dividend.amount, 0),
+        dividend_adjusted: dividends.length > 0,
+        stock_price: stockPrice,
+        eps_growth: earnings.epsGrowth || 0,
+        created_at: new Date().toISOString(),
+        is_active: true
+      }
+      const scoreInputs = {
+        impliedVolatility: base.implied_volatility,
+        epsGrowth: earnings.epsGrowth || 0,
+        moveRatio,
+        ivPercentile: ivStats?.ivPercentile ?? null,
+        skewSteepness: skewFit?.steepness ?? null
+      }
+      
+      // Short strangle - undefined risk above the call, sized by Reg T margin
+      const strangle = calculateStrangleMetrics(stockPrice, { shortPut, shortCall })
+      const strangleRawPOP = rangeProbability(strangle.lowerBreakeven, strangle.upperBreakeven)
+      const stranglePOP = this.calibratePOP(strangleRawPOP)
+      
+      if (stranglePOP >= this.minNeutralPOP) {
+        const volume = Math.min(shortPut.volume, shortCall.volume)
+        const openInterest = Math.min(shortPut.openInterest, shortCall.openInterest)
+        const premiumPercentage = calculatePremiumPercentage(strangle.netCredit, stockPrice)
+        const score = calculateScore({ ...scoreInputs, volume, openInterest, pop: stranglePOP, premiumPercentage }, this.activeScoringWeights)
+        
+        results.push({
+          ...base,
+          strategy: 'short_strangle',
+          legs: [legFor('sell', shortPut), legFor('sell', shortCall)],
+          premium: strangle.netCredit,
+          net_credit: strangle.netCredit,
+          confidence_score: score.total,
+          score_breakdown: score.factors,
+          pop: stranglePOP,
+          raw_pop: strangleRawPOP,
+          prob_loss: 100 - strangleRawPOP,
+          delta: Math.abs(shortPut.delta || shortPutGreeks.delta) - Math.abs(shortCall.delta || shortCallGreeks.delta),
+          gamma: shortPutGreeks.gamma + shortCallGreeks.gamma,
+          theta: shortPutGreeks.theta + shortCallGreeks.theta,
+          vega: shortPutGreeks.vega + shortCallGreeks.vega,
+          rho: shortPutGreeks.rho + shortCallGreeks.rho,
+          premium_percentage: premiumPercentage,
+          max_loss: strangle.maxLoss,
+          margin_requirement: strangle.margin,
+          return_on_risk: strangle.returnOnMargin,
+          breakeven: strangle.lowerBreakeven,
+          upper_breakeven: strangle.upperBreakeven,
+          volume,
+          open_interest: openInterest
+        })
+      } else {
+        console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} ${shortPut.strike}P/${shortCall.strike}C strangle POP ${stranglePOP.toFixed(1)}% below ${this.minNeutralPOP}%`)
+      }
+      
+      // Iron condor - buy the farthest wings inside the width limit to cap the loss
+      const longPut = puts
+        .filter(option => option.strike < shortPut.strike && shortPut.strike - option.strike <= shortPut.strike * this.maxSpreadWidthPct / 100)
+        .pop()
+      const longCall = expirationCalls
+        .filter(option => option.strike > shortCall.strike && option.strike - shortCall.strike <= shortCall.strike * this.maxSpreadWidthPct / 100)
+        .pop()
+      if (!longPut || !longCall) continue
+      
+      const condor = calculateIronCondorMetrics({ shortPut, longPut, shortCall, longCall })
+      const condorRawPOP = rangeProbability(condor.lowerBreakeven, condor.upperBreakeven)
+      const condorPOP = this.calibratePOP(condorRawPOP)
+      
+      if (condor.netCredit <= 0 || condor.returnOnRisk < this.minReturnOnRisk || condorPOP < this.minNeutralPOP) {
+        console.log(`❌ RECOMMENDATION_ENGINE: ${symbol} ${longPut.strike}/${shortPut.strike}P ${shortCall.strike}/${longCall.strike}C condor failed: credit ${condor.netCredit.toFixed(2)}, ${condor.returnOnRisk.toFixed(1)}% RoR, POP ${condorPOP.toFixed(1)}%`)
+        continue
+      }
+      
+      const longPutGreeks = greeksFor(longPut)
+      const longCallGreeks = greeksFor(longCall)
+      const volume = Math.min(shortPut.volume, shortCall.volume, longPut.volume, longCall.volume)
+      const openInterest = Math.min(shortPut.openInterest, shortCall.openInterest, longPut.openInterest, longCall.openInterest)
+      const score = calculateScore({
+        ...scoreInputs,
+        volume,
+        openInterest,
+        pop: condorPOP,
+        premiumPercentage: null,
+        returnOnRisk: condor.returnOnRisk
+      }, this.activeScoringWeights)
+      
+      results.push({
+        ...base,
+        strategy: 'iron_condor',
+        legs: [legFor('buy', longPut), legFor('sell', shortPut), legFor('sell', shortCall), legFor('buy', longCall)],
+        long_strike_price: longPut.strike,
+        long_premium: longPut.premium,
+        long_call_strike_price: longCall.strike,
+        long_call_premium: longCall.premium,
+        spread_width: Math.max(condor.putWidth, condor.callWidth),
+        premium: condor.netCredit,
+        net_credit: condor.netCredit,
+        return_on_risk: condor.returnOnRisk,
+        confidence_score: score.total,
+        score_breakdown: score.factors,
+        pop: condorPOP,
+        raw_pop: condorRawPOP,
+        prob_loss: 100 - condorRawPOP,
+        prob_max_loss: 100 - rangeProbability(longPut.strike, longCall.strike),
+        delta: Math.abs(shortPut.delta || shortPutGreeks.delta) - Math.abs(longPut.delta || longPutGreeks.delta) -
+          Math.abs(shortCall.delta || shortCallGreeks.delta) + Math.abs(longCall.delta || longCallGreeks.delta),
+        gamma: shortPutGreeks.gamma + shortCallGreeks.gamma - longPutGreeks.gamma - longCallGreeks.gamma,
+        theta: shortPutGreeks.theta + shortCallGreeks.theta - longPutGreeks.theta - longCallGreeks.theta,
+        vega: shortPutGreeks.vega + shortCallGreeks.vega - longPutGreeks.vega - longCallGreeks.vega,
+        rho: shortPutGreeks.rho + shortCallGreeks.rho - longPutGreeks.rho - longCallGreeks.rho,
+        premium_percentage: calculatePremiumPercentage(condor.netCredit, stockPrice),
+        max_loss: condor.maxLoss,
+        margin_requirement: condor.margin,
+        breakeven: condor.lowerBreakeven,
+        upper_breakeven: condor.upperBreakeven,
+        volume,
+        open_interest: openInterest
+      })
+    }
+    
+    if (results.length > 0) {
+      console.log(`✅ RECOMMENDATION_ENGINE: Built ${results.length} neutral strategies on ${symbol}:`,
+        results.map(result => `${result.strategy} ${result.strike_price}P/${result.call_strike_price}C credit ${result.net_credit.toFixed(2)} (POP ${result.pop.toFixed(1)}%)`))
+    }
+    
+    return results
+  }
+
+  /**
+   * Build covered call recommendations for every symbol holding assigned wheel shares
+   * @param {Array} earningsData - Earnings data for reference
+   * @returns {Promise<Array>} Covered call recommendations
+   */
+  async processWheelPositions(earningsData) {
+    const symbols = Object.keys(this.wheelPositions)
+    if (symbols.length === 0) {
+      return []
+    }
+    
+    console.log(`🔁 RECOMMENDATION_ENGINE: Building covered calls for ${symbols.length} wheel positions:`, symbols)
+    const recommendations = []
+    
+    try {
+      const optionsData = await getMultipleOptionsChains(symbols)
+      
+      for (const symbol of symbols) {
+        const options = optionsData.results[symbol]
+        if (!options || !options.calls || !(options.underlyingPrice > 0)) {
+          console.log(`❌ RECOMMENDATION_ENGINE: Skipping covered calls on ${symbol} - no call chain`)
+          this.recordRejection(symbol, 'no_options_data', 'No call chain returned for wheel position')
+          continue
+        }
+        
+        const earnings = earningsData.find(e => e.symbol === symbol) || null
+        recommendations.push(...this.buildCoveredCalls(symbol, this.wheelPositions[symbol], options, earnings))
+      }
+    } catch (error) {
+      console.error('💥 RECOMMENDATION_ENGINE: Error building covered calls:', error)
+    }
+    
+    return recommendations
+  }
+
+  /**
+   * Build covered calls on assigned shares, struck at or above the adjusted cost basis
+   * @param {string} symbol - Stock symbol
+   * @param {Object} position - Wheel position (shares, assignment_price, adjusted_cost_basis, cumulative_premium)
+   * @param {Object} options - Options data with calls
+   * @param {Object|null} earnings - Earnings data if the symbol reports soon
+   * @returns {Array} Covered call recommendations, best score first
+   */
+  buildCoveredCalls(symbol, position, options, earnings) {
+    const stockPrice = options.underlyingPrice
+    const costBasis = position.adjusted_cost_basis ?? position.assignment_price
+    const candidates = []
+    
+    for (const option of options.calls) {
+      const daysToExpiry = getDaysToExpiry(option.expiration, this.getNow())
+      if (daysToExpiry < this.minDaysToExpiry || daysToExpiry > this.maxDaysToExpiry) continue
+      if (!(option.premium > 0) || option.volume < this.minVolume || option.openInterest < this.minOpenInterest) continue
+      
+      // Never lock in a loss on the shares if they get called away
+      if (option.strike < costBasis) {
+        this.recordRejection(symbol, 'below_cost_basis', `Call strike below adjusted cost basis $${costBasis.toFixed(2)}`, option)
+        continue
+      }
+      
+      const timeToExpiry = calculateTimeToExpiry(option.expiration, this.getNow())
+      const riskFreeRate = getRiskFreeRate(timeToExpiry)
+      const greeks = calculateGreeks(stockPrice, option.strike, timeToExpiry, riskFreeRate, option.impliedVolatility, 'call')
+      const delta = Math.abs(option.delta || greeks.delta)
+      
+      if (delta > this.maxCoveredCallDelta) {
+        this.recordRejection(symbol, 'delta', `Call delta ${delta.toFixed(3)} above ${this.maxCoveredCallDelta}`, option)
+        continue
+      }
+      
+      // Shares plus short call profit above the basis net of this premium; max profit if called away
+      const breakeven = costBasis - option.premium
+      const rawPop = calculatePOP(stockPrice, breakeven, timeToExpiry, riskFreeRate, option.impliedVolatility)
+      const pop = this.calibratePOP(rawPop)
+      const probCalledAway = calculatePOP(stockPrice, option.strike, timeToExpiry, riskFreeRate, option.impliedVolatility)
+      const premiumPercentage = calculatePremiumPercentage(option.premium, stockPrice)
+      
+      const score = calculateScore({
+        impliedVolatility: option.impliedVolatility,
+        openInterest: option.openInterest,
+        volume: option.volume,
+        epsGrowth: earnings?.epsGrowth || 0,
+        pop,
+        premiumPercentage
+      }, this.activeScoringWeights)
+      
+      const lots = Math.max(1, Math.floor(position.shares / 100))
+      
+      candidates.push({
+        symbol: symbol,
+        strategy: 'covered_call',
+        legs: [
+          createLeg({ side: 'buy', type: 'stock', strike: costBasis, quantity: lots }),
+          createLeg({ side: 'sell', type: 'call', strike: option.strike, expiration: option.expiration, quantity: lots, premium: option.premium, impliedVolatility: option.impliedVolatility })
+        ],
+        strike_price: option.strike,
+        expiration_date: option.expiration,
+        premium: option.premium,
+        confidence_score: score.total,
+        score_breakdown: score.factors,
+        pop: pop,
+        raw_pop: rawPop,
+        prob_max_profit: probCalledAway,
+        prob_touch: null,
+        prob_loss: 100 - rawPop,
+        delta: delta,
+        gamma: greeks.gamma,
+        theta: greeks.theta,
+        vega: greeks.vega,
+        rho: greeks.rho,
+        implied_volatility: option.impliedVolatility,
+        risk_free_rate: riskFreeRate,
+        iv_source: option.ivSource || 'vendor',
+        iv_mismatch: option.ivMismatch || false,
+        premium_percentage: premiumPercentage,
+        max_loss: breakeven * lots * 100,
+        breakeven: breakeven,
+        cost_basis: position.assignment_price,
+        adjusted_cost_basis: costBasis,
+        cumulative_premium: position.cumulative_premium,
+        shares: position.shares,
+        if_called_profit: (option.strike - breakeven) * lots * 100,
+        earnings_date: earnings?.date || null,
+        earnings_time: earnings?.time || null,
+        volume: option.volume,
+        open_interest: option.openInterest,
+        stock_price: stockPrice,
+        eps_growth: earnings?.epsGrowth || 0,
+        created_at: new Date().toISOString(),
+        is_active: true
+      })
+    }
+    
+    const coveredCalls = candidates
+      .sort((a, b) => b.confidence_score - a.confidence_score)
+      .slice(0, this.maxCoveredCallsPerSymbol)
+    
+    console.log(`✅ RECOMMENDATION_ENGINE: Built ${coveredCalls.length} covered calls on ${symbol} (basis $${costBasis.toFixed(2)}):`,
+      coveredCalls.map(call => `${call.strike_price}C ${call.expiration_date} @ ${call.premium.toFixed(2)}`))
+    
+    return coveredCalls
+  }
+
+  /**
+   * Record why a symbol or contract was filtered out of the current run
+   * @param {string} symbol - Stock symbol
+   * @param {string} rule - Rule key (e.g. delta, premium_pct, dte, pre_earnings_expiry, liquidity, pop_band)
+   * @param {string} reason - Human-readable explanation
+   * @param {Object|null} option - Rejected contract (null for symbol-level rejections)
+   */
+  recordRejection(symbol, rule, reason, option = null) {
+    this.rejections.push({
+      run_id: this.runId,
+      symbol,
+      strike_price: option?.strike ?? null,
+      expiration_date: option?.expiration ?? null,
+      rule,
+      reason,
+      created_at: new Date().toISOString()
+    })
+  }
+
+  /**
+   * Persist the current run's rejections to the audit table
+   * Failures are logged but never block saving recommendations.
+   */
+  async saveRejectionAudit() {
+    if (this.rejections.length === 0) {
+      return
+    }
+    
+    try {
+      console.log(`💾 RECOMMENDATION_ENGINE: Saving ${this.rejections.length} rejection audit entries...`)
+      
+      const chunkSize = 500
+      for (let i = 0; i < this.rejections.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('rejection_audit')
+          .insert(this.rejections.slice(i, i + chunkSize))
+        
+        if (error) {
+          console.warn('⚠️ RECOMMENDATION_ENGINE: Error saving rejection audit:', error)
+          return
+        }
+      }
+      
+      console.log('✅ RECOMMENDATION_ENGINE: Saved rejection audit')
+      
+    } catch (error) {
+      console.error('💥 RECOMMENDATION_ENGINE: Error saving rejection audit:', error)
+    }
+  }
+
+  /**
+   * Get every rejection for a symbol from the most recent run that saw it
+   * Uses the in-memory audit when the latest run covered the symbol, otherwise the database.
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Rejections as { symbol, strike_price, expiration_date, rule, reason, run_id }
+   */
+  async getRejectionAudit(symbol) {
+    const normalizedSymbol = symbol.trim().toUpperCase()
+    
+    const inMemory = this.rejections.filter(rejection => rejection.symbol === normalizedSymbol)
+    if (inMemory.length > 0) {
+      return inMemory
+    }
+    
+    try {
+      const { data, error } = await supabase
+        .from('rejection_audit')
+        .select('*')
+        .eq('symbol', normalizedSymbol)
+        .order('created_at', { ascending: false })
+        .limit(1000)
+      
+      if (error) {
+        console.warn(`⚠️ RECOMMENDATION_ENGINE: Error loading rejection audit for ${normalizedSymbol}:`, error)
+        return []
+      }
+      
+      const latestRunId = data?.[0]?.run_id
+      return (data || []).filter(rejection => rejection.run_id === latestRunId)
+      
+    } catch (error) {
+      console.error(`💥 RECOMMENDATION_ENGINE: Error loading rejection audit for ${normalizedSymbol}:`, error)
+      return []
+    }
+  }
+
+  /**
+   * Get the market-implied earnings move for a symbol
+   * Uses the ATM straddle of the first expiration after earnings, falling back to an
+   * estimate from the IV of the put closest to the money when no straddle is quoted.
+   * @param {string} symbol - Stock symbol
+   * @param {Object} earnings - Earnings data
+   * @param {Object} options - Options chain from getOptionsChain
+   * @param {number} stockPrice - Current stock price
+   * @returns {Object|null} Expected move { move, movePct, expiration, source } or null
+   */
+  getExpectedEarningsMove(symbol, earnings, options, stockPrice) {
+    const earningsDate = String(earnings.date).split('T')[0]
+    
+    const straddle = (options.straddles || [])
+      .find(candidate => adjustExpirationDate(candidate.expiration) > earningsDate)
+    
+    if (straddle) {
+      return {
+        ...calculateStraddleExpectedMove(straddle.straddlePrice, stockPrice),
+        expiration: straddle.expiration,
+        source: 'straddle'
+      }
+    }
+    
+    const postEarningsOptions = options.options
+      .filter(option => option.impliedVolatility > 0 && adjustExpirationDate(option.expiration) > earningsDate)
+      .sort((a, b) => a.expiration.localeCompare(b.expiration) || Math.abs(a.strike - stockPrice) - Math.abs(b.strike - stockPrice))
+    
+    const nearest = postEarningsOptions[0]
+    if (!nearest) {
+      console.log(`⚠️ RECOMMENDATION_ENGINE: ${symbol} has no post-earnings contracts to estimate an expected move`)
+      return null
+    }
+    
+    const estimatedStraddle = estimateStraddlePrice(stockPrice, nearest.impliedVolatility, calculateTimeToExpiry(nearest.expiration, this.getNow()))
+    return {
+      ...calculateStraddleExpectedMove(estimatedStraddle, stockPrice),
+      expiration: nearest.expiration,
+      source: 'iv_estimate'
+    }
+  }
+
+  /**
+   * Get the evaluation time - the replay clock when asOf is set, otherwise now
+   * @returns {Date} Evaluation time
+   */
+  getNow() {
+    return this.asOf ? new Date(this.asOf) : new Date()
+  }
+
+  /**
+   * Load the scoring profile and merge explicit scoringWeights over it for the next run
+   * @returns {Promise<Object>} Weights keyed by factor name
+   */
+  async loadScoringWeights() {
+    this.activeScoringWeights = { ...(await loadScoringProfile(this.scoringProfile)), ...this.scoringWeights }
+    return this.activeScoringWeights
+  }
+
+  /**
+   * Map a raw POP through the loaded calibration curve (unchanged when calibration is off)
+   * The curve is fitted on POP outcomes only, so max-profit, touch and loss probabilities stay
+   * on the raw model.
+   * @param {number} pop - Raw POP (%)
+   * @returns {number} POP used for filtering and scoring (%)
+   */
+  calibratePOP(pop) {
+    return this.popCalibration ? applyCalibrationCurve(this.popCalibration, pop) : pop
+  }
+
+  /**
+   * Pick the probability the minPOP/maxPOP band is applied to
+   * Touch and loss probabilities are inverted so that higher is always safer. Only the 'pop'
+   * target reflects calibration; the others are raw model probabilities.
+   * @param {Object} probabilities - pop, probMaxProfit, probTouch and probLoss (percentages)
+   * @returns {number} Probability for the configured popTarget
+   */
+  getTargetProbability({ pop, probMaxProfit, probTouch, probLoss }) {
+    switch (this.popTarget) {
+      case 'max_profit':
+        return probMaxProfit
+      case 'breakeven':
+        return 100 - probLoss
+      case 'no_touch':
+        return 100 - probTouch
+      default:
+        return pop
+    }
+  }
+
+  /**
+   * Fetch the dividend schedule for a symbol, treating lookup failures as unknown
+   * Replays rebuild the schedule as of the replayed date, or price without dividends when
+   * there is no history to rebuild it from.
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object|null>} Dividend info or null if unavailable
+   */
+  async getDividendSchedule(symbol) {
+    try {
+      const dividendInfo = await getDividendInfo(symbol)
+      if (!this.asOf) {
+        return dividendInfo
+      }
+      
+      const asOfInfo = getDividendInfoAsOf(dividendInfo, getTodayET(this.getNow()))
+      if (!asOfInfo) {
+        console.warn(`⚠️ RECOMMENDATION_ENGINE: No dividend history for ${symbol} as of ${this.asOf}, replaying without dividends`)
+      }
+      return asOfInfo
+    } catch (error) {
+      console.warn(`⚠️ RECOMMENDATION_ENGINE: Could not load dividends for ${symbol}, pricing without them:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Fetch past post-earnings moves for a symbol, treating lookup failures as unknown
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object|null>} Historical move summary or null if unavailable
+   */
+  async getHistoricalMoves(symbol) {
+    try {
+      return await getHistoricalEarningsMoves(symbol)
+    } catch (error) {
+      console.warn(`⚠️ RECOMMENDATION_ENGINE: Could not load historical earnings moves for ${symbol}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Fetch realized volatility for a symbol, treating lookup failures as unknown
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object|null>} Realized volatility per estimator or null if unavailable
+   */
+  async getRealizedVol(symbol) {
+    try {
+      return await getRealizedVolatility(symbol, this.realizedVolWindow)
+    } catch (error) {
+      console.warn(`⚠️ RECOMMENDATION_ENGINE: Could not load realized volatility for ${symbol}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Get the discrete dividends whose ex-date falls between now and expiration
+   * @param {Object|null} dividendInfo - Dividend info from getDividendInfo
+   * @param {string} expirationDate - Option expiration date
+   * @returns {Array} Dividends as { exDate, amount, time, projected }
+   */
+  getDividendsBeforeExpiry(dividendInfo, expirationDate) {
+    if (!dividendInfo?.upcoming?.length) {
+      return []
+    }
+    
+    return dividendInfo.upcoming
+      .filter(dividend => dividend.exDate <= expirationDate)
+      .map(dividend => ({
+        ...dividend,
+        time: calculateTimeToExpiry(dividend.exDate, this.getNow())
+      }))
+      .filter(dividend => dividend.time > 0)
+  }
+
+  /**
+   * Continuous dividend yield for payers whose ex-date schedule can't be determined
+   * @param {Object|null} dividendInfo - Dividend info from getDividendInfo
+   * @param {number} stockPrice - Current stock price
+   * @returns {number} Dividend yield (0 when the schedule is known)
+   */
+  getFallbackDividendYield(dividendInfo, stockPrice) {
+    if (!dividendInfo || dividendInfo.upcoming?.length || !dividendInfo.annualDividend || stockPrice <= 0) {
+      return 0
+    }
+    
+    return dividendInfo.annualDividend / stockPrice
+  }
+
+  /**
+   * Check whether a short put sits close enough to the early-exercise boundary to risk assignment
+   * The first defined boundary point is used, which for puts is an upper bound on today's boundary.
+   * @param {number} stockPrice - Current stock price
+   * @param {Array} exerciseBoundary - Boundary from calculateAmericanOption
+   * @returns {boolean} True if early assignment is a risk
+   */
+  hasEarlyAssignmentRisk(stockPrice, exerciseBoundary) {
+    const boundaryPoint = exerciseBoundary.find(point => point.criticalPrice !== null)
+    
+    if (!boundaryPoint) {
+      return false
+    }
+    
+    return stockPrice <= boundaryPoint.criticalPrice * (1 + this.earlyAssignmentBuffer)
   }
 
   /**
@@ -567,6 +1672,17 @@ export class RecommendationEngine {
     }
   }
 
+  /**
+   * Apply a named criteria profile for the next run
+   * @param {Object} profile - Profile with name, criteria and an edited flag for unsaved changes (see criteriaProfiles)
+   */
+  applyCriteriaProfile(profile) {
+    const name = profile.edited ? `${profile.name} (edited)` : profile.name
+    console.log(`🔧 RECOMMENDATION_ENGINE: Applying criteria profile "${name}"`)
+    this.updateCriteria(profile.criteria)
+    this.criteriaProfile = name
+  }
+
   /**
    * Update filtering criteria
    * @param {Object} criteria - New criteria
@@ -578,20 +1694,65 @@ export class RecommendationEngine {
     if (criteria.minPremiumPercentage !== undefined) this.minPremiumPercentage = criteria.minPremiumPercentage
     if (criteria.minPOP !== undefined) this.minPOP = criteria.minPOP
     if (criteria.maxPOP !== undefined) this.maxPOP = criteria.maxPOP
+    if (criteria.popTarget !== undefined) this.popTarget = criteria.popTarget
     if (criteria.maxDaysToExpiry !== undefined) this.maxDaysToExpiry = criteria.maxDaysToExpiry
     if (criteria.minDaysToExpiry !== undefined) this.minDaysToExpiry = criteria.minDaysToExpiry
     if (criteria.maxSymbolsToProcess !== undefined) this.maxSymbolsToProcess = criteria.maxSymbolsToProcess
     if (criteria.minMarketCap !== undefined) this.minMarketCap = criteria.minMarketCap
+    if (criteria.minVolume !== undefined) this.minVolume = criteria.minVolume
+    if (criteria.minOpenInterest !== undefined) this.minOpenInterest = criteria.minOpenInterest
+    if (criteria.expectedMoveMultiple !== undefined) this.expectedMoveMultiple = criteria.expectedMoveMultiple
+    if (criteria.enableSpreads !== undefined) this.enableSpreads = criteria.enableSpreads
+    if (criteria.maxSpreadWidthPct !== undefined) this.maxSpreadWidthPct = criteria.maxSpreadWidthPct
+    if (criteria.minReturnOnRisk !== undefined) this.minReturnOnRisk = criteria.minReturnOnRisk
+    if (criteria.maxSpreadsPerShortPut !== undefined) this.maxSpreadsPerShortPut = criteria.maxSpreadsPerShortPut
+    if (criteria.enableNeutralStrategies !== undefined) this.enableNeutralStrategies = criteria.enableNeutralStrategies
+    if (criteria.minNeutralPOP !== undefined) this.minNeutralPOP = criteria.minNeutralPOP
+    if (criteria.enableWheel !== undefined) this.enableWheel = criteria.enableWheel
+    if (criteria.maxCoveredCallDelta !== undefined) this.maxCoveredCallDelta = criteria.maxCoveredCallDelta
+    if (criteria.maxCoveredCallsPerSymbol !== undefined) this.maxCoveredCallsPerSymbol = criteria.maxCoveredCallsPerSymbol
+    if (criteria.dedupeBySymbol !== undefined) this.dedupeBySymbol = criteria.dedupeBySymbol
+    if (criteria.maxPerSymbol !== undefined) this.maxPerSymbol = criteria.maxPerSymbol
+    if (criteria.maxPerSector !== undefined) this.maxPerSector = criteria.maxPerSector
+    if (criteria.maxPerEarningsDate !== undefined) this.maxPerEarningsDate = criteria.maxPerEarningsDate
+    if (criteria.scoringProfile !== undefined) this.scoringProfile = criteria.scoringProfile
+    if (criteria.scoringWeights !== undefined) this.scoringWeights = criteria.scoringWeights
+    if (criteria.richStrikeThreshold !== undefined) this.richStrikeThreshold = criteria.richStrikeThreshold
+    if (criteria.realizedVolWindow !== undefined) this.realizedVolWindow = criteria.realizedVolWindow
+    if (criteria.realizedVolEstimator !== undefined) this.realizedVolEstimator = criteria.realizedVolEstimator
+    if (criteria.usePOPCalibration !== undefined) this.usePOPCalibration = criteria.usePOPCalibration
     
     console.log('✅ RECOMMENDATION_ENGINE: Updated filtering criteria for expanded stock universe:', {
       minDelta: this.minDelta,
       minPremiumPercentage: this.minPremiumPercentage,
       minPOP: this.minPOP,
       maxPOP: this.maxPOP,
+      popTarget: this.popTarget,
       maxDaysToExpiry: this.maxDaysToExpiry,
       minDaysToExpiry: this.minDaysToExpiry,
       maxSymbolsToProcess: this.maxSymbolsToProcess,
-      minMarketCap: this.minMarketCap
+      minMarketCap: this.minMarketCap,
+      minVolume: this.minVolume,
+      minOpenInterest: this.minOpenInterest,
+      expectedMoveMultiple: this.expectedMoveMultiple,
+      enableSpreads: this.enableSpreads,
+      maxSpreadWidthPct: this.maxSpreadWidthPct,
+      minReturnOnRisk: this.minReturnOnRisk,
+      maxSpreadsPerShortPut: this.maxSpreadsPerShortPut,
+      enableNeutralStrategies: this.enableNeutralStrategies,
+      minNeutralPOP: this.minNeutralPOP,
+      enableWheel: this.enableWheel,
+      maxCoveredCallDelta: this.maxCoveredCallDelta,
+      maxCoveredCallsPerSymbol: this.maxCoveredCallsPerSymbol,
+      dedupeBySymbol: this.dedupeBySymbol,
+      maxPerSymbol: this.maxPerSymbol,
+      maxPerSector: this.maxPerSector,
+      maxPerEarningsDate: this.maxPerEarningsDate,
+      scoringProfile: this.scoringProfile,
+      richStrikeThreshold: this.richStrikeThreshold,
+      realizedVolWindow: this.realizedVolWindow,
+      realizedVolEstimator: this.realizedVolEstimator,
+      usePOPCalibration: this.usePOPCalibration
     })
   }
 }
@@ -0,0 +1,439 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { supabase } from './supabase'
+import { RecommendationEngine } from './recommendationEngine'
+import { getDefaultWeights } from './scoring'
+import {
+  estimateStraddlePrice,
+  calculateTimeToExpiry,
+  calculatePOP,
+  calculateProbabilityOfMaxProfit,
+  calculateProbabilityOfTouch,
+  calculateProbabilityInRange
+} from './calculations'
+import { createLeg } from './positions'
+
+describe('RecommendationEngine scoring weights', () => {
+  it('uses the scoring profile when no explicit weights are set', async () => {
+    const engine = new RecommendationEngine()
+    expect(await engine.loadScoringWeights()).toEqual(getDefaultWeights())
+  })
+
+  it('merges explicit weights over the scoring profile on every run', async () => {
+    const engine = new RecommendationEngine()
+    engine.updateCriteria({ scoringWeights: { pop: 60, volume: 0 } })
+
+    await engine.loadScoringWeights()
+    const weights = await engine.loadScoringWeights()
+
+    expect(weights).toEqual({ ...getDefaultWeights(), pop: 60, volume: 0 })
+    expect(engine.scoringWeights).toEqual({ pop: 60, volume: 0 })
+  })
+})
+
+describe('RecommendationEngine applyDiversification', () => {
+  const rec = (symbol, strategy, confidence, extra = {}) => ({
+    symbol,
+    strategy,
+    confidence_score: confidence,
+    strike_price: 100,
+    expiration_date: '2025-07-18',
+    earnings_date: null,
+    ...extra
+  })
+
+  it('keeps only the best recommendation per symbol across strategies', async () => {
+    const engine = new RecommendationEngine()
+    vi.spyOn(engine, 'getSectors').mockResolvedValue({})
+
+    const kept = await engine.applyDiversification([
+      rec('AAPL', 'short_put', 90),
+      rec('AAPL', 'bull_put_spread', 85),
+      rec('MSFT', 'covered_call', 80),
+      rec('MSFT', 'short_put', 75)
+    ])
+
+    expect(kept.map(r => `${r.symbol}|${r.strategy}`)).toEqual(['AAPL|short_put', 'MSFT|covered_call'])
+    expect(engine.rejections.filter(r => r.rule === 'duplicate')).toHaveLength(2)
+  })
+
+  it('applies the sector cap to covered calls', async () => {
+    const engine = new RecommendationEngine()
+    engine.updateCriteria({ maxPerSector: 1 })
+    vi.spyOn(engine, 'getSectors').mockResolvedValue({ AAPL: 'Technology', MSFT: 'Technology' })
+
+    const kept = await engine.applyDiversification([
+      rec('AAPL', 'short_put', 90),
+      rec('MSFT', 'covered_call', 80)
+    ])
+
+    expect(kept.map(r => r.symbol)).toEqual(['AAPL'])
+    expect(engine.rejections.map(r => r.rule)).toEqual(['max_per_sector'])
+  })
+})
+
+describe('RecommendationEngine getTargetProbability', () => {
+  const probabilities = { pop: 88, probMaxProfit: 86, probTouch: 24, probLoss: 9 }
+
+  it('applies the POP band to the configured probability', () => {
+    const engine = new RecommendationEngine()
+    const targets = ['pop', 'max_profit', 'breakeven', 'no_touch'].map(popTarget => {
+      engine.updateCriteria({ popTarget })
+      return engine.getTargetProbability(probabilities)
+    })
+
+    expect(targets).toEqual([88, 86, 91, 76])
+  })
+})
+
+describe('RecommendationEngine getExpectedEarningsMove', () => {
+  const earnings = { symbol: 'TEST', date: '2025-06-10' }
+
+  it('uses the first straddle expiring after earnings', () => {
+    const engine = new RecommendationEngine()
+    const options = {
+      options: [],
+      straddles: [
+        { expiration: '2025-06-06', straddlePrice: 3 },
+        { expiration: '2025-06-13', straddlePrice: 8 },
+        { expiration: '2025-06-20', straddlePrice: 10 }
+      ]
+    }
+
+    expect(engine.getExpectedEarningsMove('TEST', earnings, options, 100))
+      .toEqual({ move: 8, movePct: 8, expiration: '2025-06-13', source: 'straddle' })
+  })
+
+  it('estimates the straddle from the nearest ATM IV after earnings without a straddle quote', () => {
+    const engine = new RecommendationEngine()
+    engine.asOf = '2025-06-02T19:30:00Z'
+    const options = {
+      options: [
+        { strike: 100, expiration: '2025-06-06', impliedVolatility: 0.9 },
+        { strike: 90, expiration: '2025-06-13', impliedVolatility: 0.6 },
+        { strike: 100, expiration: '2025-06-13', impliedVolatility: 0.5 },
+        { strike: 100, expiration: '2025-06-20', impliedVolatility: 0.4 }
+      ]
+    }
+
+    const straddle = estimateStraddlePrice(100, 0.5, calculateTimeToExpiry('2025-06-13', engine.getNow()))
+    const move = engine.getExpectedEarningsMove('TEST', earnings, options, 100)
+
+    expect(move.source).toBe('iv_estimate')
+    expect(move.expiration).toBe('2025-06-13')
+    expect(move.move).toBeCloseTo(straddle, 10)
+  })
+
+  it('returns null without contracts after earnings', () => {
+    const engine = new RecommendationEngine()
+    const options = { options: [{ strike: 100, expiration: '2025-06-06', impliedVolatility: 0.5 }] }
+    expect(engine.getExpectedEarningsMove('TEST', earnings, options, 100)).toBeNull()
+  })
+
+  it('rejects strikes inside the expected move multiple', async () => {
+    const engine = new RecommendationEngine()
+    engine.asOf = '2025-06-02T19:30:00Z'
+    engine.updateCriteria({ expectedMoveMultiple: 1, minVolume: 0, minOpenInterest: 0 })
+    vi.spyOn(engine, 'getDividendSchedule').mockResolvedValue(null)
+
+    const put = { strike: 93, expiration: '2025-06-13', type: 'put', premium: 4, delta: -0.15, volume: 100, openInterest: 500, impliedVolatility: 0.5 }
+    const options = { underlyingPrice: 100, options: [put], straddles: [{ expiration: '2025-06-13', straddlePrice: 8 }] }
+
+    expect(await engine.processSymbol('TEST', earnings, options)).toEqual([])
+    expect(engine.rejections.map(rejection => rejection.rule)).toEqual(['expected_move'])
+    expect(engine.expectedMoves.TEST.move).toBe(8)
+  })
+})
+
+describe('RecommendationEngine rejection audit', () => {
+  /**
+   * Stub the stored rejection audit query
+   * @param {Array} rows - Stored rejections, newest first
+   */
+  const stubStoredRejections = (rows) => {
+    vi.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({
+        eq: (column, value) => ({
+          order: () => ({
+            limit: () => Promise.resolve({ data: rows.filter(row => row[column] === value), error: null })
+          })
+        })
+      })
+    }))
+  }
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('records structured rejections against the current run', async () => {
+    const engine = new RecommendationEngine()
+    engine.runId = 'run-2'
+    engine.recordRejection('AAPL', 'delta', 'Delta 0.300 above 0.2', { strike: 180, expiration: '2025-06-20' })
+    engine.recordRejection('AAPL', 'no_options_data', 'No options chain returned')
+
+    const audit = await engine.getRejectionAudit(' aapl ')
+
+    expect(audit.map(({ run_id, symbol, strike_price, expiration_date, rule }) => ({ run_id, symbol, strike_price, expiration_date, rule }))).toEqual([
+      { run_id: 'run-2', symbol: 'AAPL', strike_price: 180, expiration_date: '2025-06-20', rule: 'delta' },
+      { run_id: 'run-2', symbol: 'AAPL', strike_price: null, expiration_date: null, rule: 'no_options_data' }
+    ])
+  })
+
+  it('loads only the latest stored run for a symbol the current run did not see', async () => {
+    stubStoredRejections([
+      { run_id: 'run-3', symbol: 'MSFT', rule: 'pop_band' },
+      { run_id: 'run-2', symbol: 'AAPL', rule: 'delta' },
+      { run_id: 'run-2', symbol: 'AAPL', rule: 'liquidity' },
+      { run_id: 'run-1', symbol: 'AAPL', rule: 'dte' }
+    ])
+    const engine = new RecommendationEngine()
+    engine.recordRejection('MSFT', 'pop_band', 'pop 70.0% outside 87-93%')
+
+    const audit = await engine.getRejectionAudit('AAPL')
+
+    expect(audit.map(rejection => rejection.rule)).toEqual(['delta', 'liquidity'])
+  })
+})
+
+describe('RecommendationEngine buildPutSpreads', () => {
+  const expiration = '2025-06-20'
+  const put = (strike, premium, overrides = {}) => ({
+    strike,
+    premium,
+    expiration,
+    impliedVolatility: 0.35,
+    volume: 100,
+    openInterest: 500,
+    delta: 0,
+    ...overrides
+  })
+  const shortOption = put(100, 3)
+  const shortRecommendation = {
+    symbol: 'TEST',
+    strategy: 'short_put',
+    stock_price: 110,
+    strike_price: 100,
+    legs: [createLeg({ side: 'sell', type: 'put', strike: 100, expiration, premium: 3, impliedVolatility: 0.35 })],
+    pop: 80,
+    prob_max_profit: 80,
+    prob_touch: 35,
+    prob_loss: 15,
+    delta: -0.2,
+    gamma: 0.02,
+    theta: -0.05,
+    vega: 0.1,
+    rho: -0.02
+  }
+  const context = {
+    pricingPrice: 110,
+    timeToExpiry: 0.1,
+    riskFreeRate: 0.04,
+    dividendYield: 0,
+    scoreInputs: { impliedVolatility: 0.35, epsGrowth: 0, moveRatio: null, ivPercentile: null, skewSteepness: null }
+  }
+
+  const build = (chain, criteria = {}) => {
+    const engine = new RecommendationEngine()
+    engine.updateCriteria({ maxSpreadsPerShortPut: 10, ...criteria })
+    return engine.buildPutSpreads(shortRecommendation, shortOption, chain, context)
+  }
+
+  it('keeps long legs within the width limit that leave enough credit and return on risk', () => {
+    const spreads = build([
+      shortOption,
+      put(101, 3.5), // above the short strike
+      put(98, 3.2), // debit
+      put(99, 2.95), // 5.3% return on risk
+      put(97, 1.5), // 100% return on risk
+      put(95, 0.8), // 78.6% return on risk
+      put(94, 0.5), // wider than 5% of the strike
+      put(97, 1.5, { expiration: '2025-06-27' }), // other expiration
+      put(96, 1, { volume: 1 }) // illiquid
+    ])
+
+    expect(spreads.map(spread => spread.long_strike_price).sort()).toEqual([95, 97])
+
+    const spread = spreads.find(candidate => candidate.long_strike_price === 97)
+    expect(spread.strategy).toBe('bull_put_spread')
+    expect(spread.net_credit).toBeCloseTo(1.5, 10)
+    expect(spread.spread_width).toBe(3)
+    expect(spread.return_on_risk).toBeCloseTo(100, 10)
+    expect(spread.max_loss).toBeCloseTo(150, 10)
+    expect(spread.breakeven).toBeCloseTo(98.5, 10)
+    expect(spread.legs).toHaveLength(2)
+  })
+
+  it('applies the width and return-on-risk criteria', () => {
+    const chain = [put(97, 1.5), put(95, 0.8)]
+    expect(build(chain, { maxSpreadWidthPct: 4 }).map(spread => spread.long_strike_price)).toEqual([97])
+    expect(build(chain, { minReturnOnRisk: 90 }).map(spread => spread.long_strike_price)).toEqual([97])
+  })
+
+  it('derives every probability from the spread strikes on the raw model', () => {
+    const engine = new RecommendationEngine()
+    engine.popCalibration = { points: [{ pop: 0, calibrated: 0 }, { pop: 100, calibrated: 50 }] }
+    const [spread] = engine.buildPutSpreads(shortRecommendation, shortOption, [put(97, 1.5)], context)
+
+    const rawPop = calculatePOP(110, 98.5, 0.1, 0.04, 0.35)
+    expect(spread.raw_pop).toBeCloseTo(rawPop, 10)
+    expect(spread.prob_loss).toBeCloseTo(100 - rawPop, 10)
+    expect(spread.prob_max_profit).toBeCloseTo(calculateProbabilityOfMaxProfit(110, 100, 0.1, 0.04, 0.35), 10)
+    expect(spread.prob_touch).toBeCloseTo(calculateProbabilityOfTouch(110, 100, 0.1, 0.04, 0.35), 10)
+    expect(spread.prob_max_profit).toBeLessThan(spread.raw_pop)
+    expect(spread.prob_max_loss).toBeLessThan(spread.prob_loss)
+  })
+})
+
+describe('RecommendationEngine buildNeutralStrategies', () => {
+  const expiration = '2025-06-20'
+  const contract = (type, strike, premium, overrides = {}) => ({
+    type,
+    strike,
+    premium,
+    expiration,
+    impliedVolatility: 0.3,
+    volume: 100,
+    openInterest: 500,
+    delta: 0,
+    ...overrides
+  })
+  const earnings = { symbol: 'TEST', date: '2025-06-10', time: 'amc' }
+  const context = {
+    expectedMove: { move: 5, movePct: 5, source: 'straddle' },
+    dividendInfo: null,
+    ivStats: null,
+    skewFits: {},
+    realizedVolatility: null,
+    historicalMoves: null,
+    moveRatio: null
+  }
+  const options = {
+    underlyingPrice: 100,
+    options: [
+      contract('put', 97, 2), // inside the expected move
+      contract('put', 95, 1.2),
+      contract('put', 92, 0.5),
+      contract('put', 90, 0.3), // wider than 5% of the short strike
+      contract('put', 93, 0.7, { volume: 1 }) // illiquid
+    ],
+    calls: [
+      contract('call', 103, 2),
+      contract('call', 105, 1.1),
+      contract('call', 110, 0.3),
+      contract('call', 112, 0.2)
+    ]
+  }
+
+  const build = (criteria = {}, chain = options) => {
+    const engine = new RecommendationEngine()
+    engine.asOf = '2025-06-09T19:30:00Z'
+    engine.updateCriteria(criteria)
+    return engine.buildNeutralStrategies('TEST', earnings, chain, context)
+  }
+
+  it('sells the first liquid strikes outside the expected move with the farthest wings in the width limit', () => {
+    const [strangle, condor] = build()
+    const timeToExpiry = calculateTimeToExpiry(expiration, new Date('2025-06-09T19:30:00Z'))
+    const rangePOP = (lower, upper) => calculateProbabilityInRange(100, lower, upper, timeToExpiry, strangle.risk_free_rate, 0.3, 0.3, 0)
+
+    expect(strangle.strategy).toBe('short_strangle')
+    expect(strangle.legs.map(leg => `${leg.side} ${leg.strike}${leg.type[0].toUpperCase()}`)).toEqual(['sell 95P', 'sell 105C'])
+    expect(strangle.net_credit).toBeCloseTo(2.3, 10)
+    expect(strangle.max_loss).toBeNull()
+    expect(strangle.pop).toBeCloseTo(rangePOP(92.7, 107.3), 10)
+    expect(strangle.prob_max_profit).toBeCloseTo(rangePOP(95, 105), 10)
+
+    expect(condor.strategy).toBe('iron_condor')
+    expect(condor.legs.map(leg => `${leg.side} ${leg.strike}${leg.type[0].toUpperCase()}`)).toEqual(['buy 92P', 'sell 95P', 'sell 105C', 'buy 110C'])
+    expect(condor.net_credit).toBeCloseTo(1.5, 10)
+    expect(condor.spread_width).toBe(5)
+    expect(condor.max_loss).toBeCloseTo(350, 10)
+    expect(condor.breakeven).toBeCloseTo(93.5, 10)
+    expect(condor.upper_breakeven).toBeCloseTo(106.5, 10)
+    expect(condor.pop).toBeCloseTo(rangePOP(93.5, 106.5), 10)
+    expect(condor.prob_max_loss).toBeCloseTo(100 - rangePOP(92, 110), 10)
+  })
+
+  it('drops structures below the neutral POP or return-on-risk minimum', () => {
+    expect(build({ minReturnOnRisk: 50 }).map(result => result.strategy)).toEqual(['short_strangle'])
+    expect(build({ minNeutralPOP: 99 })).toEqual([])
+  })
+
+  it('calibrates POP only, leaving the loss probability on the raw model', () => {
+    const engine = new RecommendationEngine()
+    engine.asOf = '2025-06-09T19:30:00Z'
+    engine.updateCriteria({ minNeutralPOP: 0 })
+    engine.popCalibration = { points: [{ pop: 0, calibrated: 0 }, { pop: 100, calibrated: 50 }] }
+
+    const results = engine.buildNeutralStrategies('TEST', earnings, options, context)
+    expect(results).toHaveLength(2)
+    for (const result of results) {
+      expect(result.pop).toBeCloseTo(result.raw_pop / 2, 10)
+      expect(result.prob_loss).toBeCloseTo(100 - result.raw_pop, 10)
+    }
+  })
+
+  it('skips expirations on or before earnings and chains without calls', () => {
+    const early = { ...options, options: options.options.map(option => ({ ...option, expiration: '2025-06-10' })) }
+    expect(build({}, early)).toEqual([])
+    expect(build({}, { ...options, calls: [] })).toEqual([])
+  })
+})
+
+describe('RecommendationEngine buildCoveredCalls', () => {
+  const expiration = '2025-06-20'
+  const call = (strike, premium) => ({
+    strike,
+    premium,
+    expiration,
+    impliedVolatility: 0.3,
+    volume: 100,
+    openInterest: 500,
+    delta: 0
+  })
+  // Assigned at $50 with $230 collected this cycle, stock since fallen to $45
+  const position = {
+    symbol: 'TEST',
+    status: 'assigned',
+    shares: 100,
+    assignment_price: 50,
+    cycle_premium: 230,
+    cumulative_premium: 230,
+    adjusted_cost_basis: 47.7
+  }
+  const options = {
+    underlyingPrice: 45,
+    calls: [call(44, 1.4), call(47, 0.4), call(48, 0.3), call(50, 0.1)]
+  }
+
+  const build = (wheelPosition = position) => {
+    const engine = new RecommendationEngine()
+    engine.asOf = '2025-06-09T19:30:00Z'
+    engine.updateCriteria({ maxCoveredCallsPerSymbol: 10 })
+    return { engine, calls: engine.buildCoveredCalls('TEST', wheelPosition, options, null) }
+  }
+
+  it('only sells calls struck at or above the adjusted cost basis', () => {
+    const { engine, calls } = build()
+
+    expect(calls.map(coveredCall => coveredCall.strike_price).sort()).toEqual([48, 50])
+    expect(engine.rejections.filter(rejection => rejection.rule === 'below_cost_basis').map(rejection => rejection.strike_price))
+      .toEqual([44, 47])
+  })
+
+  it('prices breakeven and called-away profit off the adjusted basis', () => {
+    const { calls } = build()
+    const coveredCall = calls.find(candidate => candidate.strike_price === 48)
+
+    expect(coveredCall.strategy).toBe('covered_call')
+    expect(coveredCall.cost_basis).toBe(50)
+    expect(coveredCall.adjusted_cost_basis).toBe(47.7)
+    expect(coveredCall.breakeven).toBeCloseTo(47.4, 10)
+    expect(coveredCall.if_called_profit).toBeCloseTo(60, 10)
+  })
+
+  it('falls back to the assignment price without an adjusted basis', () => {
+    const { calls } = build({ ...position, adjusted_cost_basis: null })
+    expect(calls.map(coveredCall => coveredCall.strike_price)).toEqual([50])
+  })
+})
@@ -0,0 +1,227 @@
+import { supabase } from './supabase'
+
+/**
+ * Pluggable confidence scoring
+ * Each factor is a named plugin that maps recommendation inputs to a 0-100 sub-score.
+ * The total is the weighted average of the factors that could be scored; factors that
+ * return null (e.g. no IV history yet) are skipped and the remaining weights renormalized.
+ */
+
+const scoringFactors = new Map()
+
+/**
+ * Register a scoring factor (replaces any factor with the same name)
+ * @param {string} name - Factor key used in weight profiles
+ * @param {Object} factor - Factor definition
+ * @param {string} factor.label - Human-readable name
+ * @param {number} factor.weight - Default weight
+ * @param {Function} factor.score - (inputs) => sub-score 0-100, or null when the inputs are missing
+ */
+export function registerScoringFactor(name, { label, weight, score }) {
+  scoringFactors.set(name, { name, label: label || name, weight, score })
+}
+
+/**
+ * Remove a scoring factor
+ * @param {string} name - Factor key
+ * @returns {boolean} True if a factor was removed
+ */
+export function unregisterScoringFactor(name) {
+  return scoringFactors.delete(name)
+}
+
+/**
+ * List registered factors with their default weights
+ * @returns {Array} Factors as { name, label, weight }
+ */
+export function getScoringFactors() {
+  return [...scoringFactors.values()].map(({ name, label, weight }) => ({ name, label, weight }))
+}
+
+/**
+ * Get the default weight of every registered factor
+ * @returns {Object} Weights keyed by factor name
+ */
+export function getDefaultWeights() {
+  return Object.fromEntries([...scoringFactors.values()].map(factor => [factor.name, factor.weight]))
+}
+
+/**
+ * Clamp a sub-score to 0-100
+ * @param {number} value - Raw score
+ * @returns {number} Clamped score
+ */
+function clampScore(value) {
+  return Math.max(0, Math.min(100, value))
+}
+
+// IV: with enough history, IV that is elevated for this name means richer premium;
+// otherwise fall back to absolute IV where lower is better (less uncertainty)
+registerScoringFactor('iv', {
+  label: 'Implied Volatility',
+  weight: 0.25,
+  score: ({ impliedVolatility, ivPercentile }) => ivPercentile !== null && ivPercentile !== undefined
+    ? clampScore(ivPercentile)
+    : Math.max(0, 100 - (impliedVolatility * 200))
+})
+
+// Open Interest: higher OI is better (more liquidity)
+registerScoringFactor('open_interest', {
+  label: 'Open Interest',
+  weight: 0.20,
+  score: ({ openInterest }) => Math.min(100, Math.log10(Math.max(1, openInterest)) * 25)
+})
+
+// Volume: higher volume is better (more activity)
+registerScoringFactor('volume', {
+  label: 'Volume',
+  weight: 0.20,
+  score: ({ volume }) => Math.min(100, Math.log10(Math.max(1, volume)) * 20)
+})
+
+// EPS Growth: positive growth is better
+registerScoringFactor('eps_growth', {
+  label: 'EPS Growth',
+  weight: 0.15,
+  score: ({ epsGrowth }) => clampScore((epsGrowth + 50) * 1.33)
+})
+
+// POP: higher probability is better
+registerScoringFactor('pop', {
+  label: 'Probability of Profit',
+  weight: 0.10,
+  score: ({ pop }) => clampScore(pop)
+})
+
+// Premium: higher premium percentage is better (more income)
+registerScoringFactor('premium', {
+  label: 'Premium',
+  weight: 0.10,
+  score: ({ premiumPercentage }) => premiumPercentage !== null && premiumPercentage !== undefined
+    ? Math.min(100, premiumPercentage * 20)
+    : null
+})
+
+// Return on Risk: credit over defined max loss for spreads (10% -> 25, 40%+ -> 100)
+registerScoringFactor('return_on_risk', {
+  label: 'Return on Risk',
+  weight: 0.10,
+  score: ({ returnOnRisk }) => returnOnRisk !== null && returnOnRisk !== undefined
+    ? clampScore(returnOnRisk * 2.5)
+    : null
+})
+
+// Earnings Move: an implied move richer than the stock's history favors the seller
+// (ratio 0.5 -> 0, 1.0 -> 50, 1.5+ -> 100)
+registerScoringFactor('earnings_move', {
+  label: 'Implied vs Historical Move',
+  weight: 0.15,
+  score: ({ moveRatio }) => moveRatio > 0 ? clampScore((moveRatio - 0.5) * 100) : null
+})
+
+// Skew: a steeper put skew pays more for OTM puts (0 vol pts -> 0, 10+ vol pts -> 100)
+registerScoringFactor('skew', {
+  label: 'Skew Steepness',
+  weight: 0.10,
+  score: ({ skewSteepness }) => skewSteepness !== null && skewSteepness !== undefined
+    ? clampScore(skewSteepness * 1000)
+    : null
+})
+
+/**
+ * Score a recommendation with every registered factor
+ * @param {Object} inputs - Factor inputs (impliedVolatility, openInterest, volume, epsGrowth, pop,
+ *   premiumPercentage, moveRatio, ivPercentile, skewSteepness, ...)
+ * @param {Object|null} weights - Weights keyed by factor name (missing factors use their default weight)
+ * @returns {Object} { total, factors } where factors maps name -> { label, score, weight, contribution }
+ */
+export function calculateScore(inputs, weights = null) {
+  const factors = {}
+  let weightedSum = 0
+  let totalWeight = 0
+
+  for (const factor of scoringFactors.values()) {
+    const weight = weights?.[factor.name] ?? factor.weight
+    if (!(weight > 0)) continue
+
+    const score = factor.score(inputs)
+    if (score === null || score === undefined || Number.isNaN(score)) continue
+
+    factors[factor.name] = { label: factor.label, score, weight }
+    weightedSum += score * weight
+    totalWeight += weight
+  }
+
+  // Contributions are expressed in points of the final 0-100 total
+  for (const factor of Object.values(factors)) {
+    factor.weight = factor.weight / totalWeight
+    factor.contribution = factor.score * factor.weight
+  }
+
+  return {
+    total: totalWeight > 0 ? clampScore(weightedSum / totalWeight) : 0,
+    factors
+  }
+}
+
+/**
+ * Load a saved scoring weight profile
+ * @param {string} name - Profile name (default 'default')
+ * @returns {Promise<Object>} Weights keyed by factor name (defaults when no profile is saved)
+ */
+export async function loadScoringProfile(name = 'default') {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_profiles')
+      .select('weights')
+      .eq('name', name)
+      .maybeSingle()
+
+    if (error) {
+      console.warn(`⚠️ SCORING: Error loading scoring profile "${name}":`, error)
+      return getDefaultWeights()
+    }
+
+    if (!data?.weights) {
+      console.log(`📊 SCORING: No saved scoring profile "${name}", using default weights`)
+      return getDefaultWeights()
+    }
+
+    console.log(`✅ SCORING: Loaded scoring profile "${name}":`, data.weights)
+    return { ...getDefaultWeights(), ...data.weights }
+
+  } catch (error) {
+    console.error(`💥 SCORING: Error loading scoring profile "${name}":`, error)
+    return getDefaultWeights()
+  }
+}
+
+/**
+ * Save a scoring weight profile
+ * @param {string} name - Profile name
+ * @param {Object} weights - Weights keyed by factor name
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveScoringProfile(name, weights) {
+  try {
+    const { error } = await supabase
+      .from('scoring_profiles')
+      .upsert({
+        name,
+        weights,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' })
+
+    if (error) {
+      console.error(`💥 SCORING: Error saving scoring profile "${name}":`, error)
+      return false
+    }
+
+    console.log(`✅ SCORING: Saved scoring profile "${name}"`)
+    return true
+
+  } catch (error) {
+    console.error(`💥 SCORING: Error saving scoring profile "${name}":`, error)
+    return false
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { calculateScore, getDefaultWeights, registerScoringFactor, unregisterScoringFactor } from './scoring'
+
+const inputs = {
+  impliedVolatility: 0.3,
+  openInterest: 1000,
+  volume: 100,
+  epsGrowth: 10,
+  pop: 90,
+  premiumPercentage: 4,
+  returnOnRisk: null,
+  moveRatio: null,
+  ivPercentile: null,
+  skewSteepness: null
+}
+
+describe('calculateScore', () => {
+  afterEach(() => {
+    unregisterScoringFactor('test_factor')
+  })
+
+  it('breaks the total into sub-scores renormalized over the scorable factors', () => {
+    const { total, factors } = calculateScore(inputs)
+
+    // Return on risk, earnings move and skew have no inputs and are left out
+    expect(Object.keys(factors)).toEqual(['iv', 'open_interest', 'volume', 'eps_growth', 'pop', 'premium'])
+    expect(factors.iv.score).toBeCloseTo(40, 10)
+    expect(factors.open_interest.score).toBeCloseTo(75, 10)
+    expect(factors.volume.score).toBeCloseTo(40, 10)
+    expect(factors.eps_growth.score).toBeCloseTo(79.8, 10)
+    expect(factors.pop.score).toBe(90)
+    expect(factors.premium.score).toBe(80)
+
+    const weightSum = Object.values(factors).reduce((sum, factor) => sum + factor.weight, 0)
+    const contributionSum = Object.values(factors).reduce((sum, factor) => sum + factor.contribution, 0)
+    expect(weightSum).toBeCloseTo(1, 10)
+    expect(factors.iv.weight).toBeCloseTo(0.25 / 1.0, 10)
+    expect(contributionSum).toBeCloseTo(total, 10)
+  })
+
+  it('drops factors weighted to zero and renormalizes the rest', () => {
+    const { total, factors } = calculateScore(inputs, { iv: 0, open_interest: 0, volume: 0, eps_growth: 0, pop: 1, premium: 1 })
+
+    expect(Object.keys(factors)).toEqual(['pop', 'premium'])
+    expect(factors.pop.weight).toBe(0.5)
+    expect(total).toBe(85)
+  })
+
+  it('scores registered plugin factors with their default weight', () => {
+    registerScoringFactor('test_factor', { label: 'Test', weight: 1, score: () => 100 })
+
+    expect(getDefaultWeights().test_factor).toBe(1)
+    const { factors } = calculateScore(inputs)
+    expect(factors.test_factor.weight).toBeCloseTo(0.5, 10)
+    expect(factors.test_factor.contribution).toBeCloseTo(50, 10)
+  })
+
+  it('scores zero when nothing can be scored', () => {
+    expect(calculateScore(inputs, Object.fromEntries(Object.keys(getDefaultWeights()).map(name => [name, 0]))))
+      .toEqual({ total: 0, factors: {} })
+  })
+})
@@ -9,8 +9,8 @@ let supabase
 if (supabaseUrl && supabaseKey) {
   supabase = createClient(supabaseUrl, supabaseKey, {
     auth: {
-      persistSession: false, // We're using anonymous access
-      autoRefreshToken: false
+      persistSession: true, // Reads stay anonymous; writes to tracked positions need a signed-in user
+      autoRefreshToken: true
     }
   })
 } else {
@@ -31,7 +31,11 @@ if (supabaseUrl && supabaseKey) {
           maybeSingle: () => Promise.resolve({ data: null, error: null })
         }),
         lt: (column, value) => Promise.resolve({ data: [], error: null, count: 0 }),
-        neq: (column, value) => Promise.resolve({ data: [], error: null, count: 0 }),
+        neq: (column, value) => ({
+          order: (column, options) => ({
+            range: (from, to) => Promise.resolve({ data: [], error: null })
+          })
+        }),
         maybeSingle: () => Promise.resolve({ data: null, error: null })
       }),
       insert: (data) => Promise.resolve({ data: null, error: null }),
@@ -44,7 +48,16 @@ if (supabaseUrl && supabaseKey) {
         neq: (column, value) => Promise.resolve({ data: [], error: null, count: 0 })
       }),
       upsert: (data) => Promise.resolve({ data: null, error: null })
-    })
+    }),
+    auth: {
+      getSession: () => Promise.resolve({ data: { session: null }, error: null }),
+      onAuthStateChange: (callback) => ({ data: { subscription: { unsubscribe: () => {} } } }),
+      signInWithPassword: (credentials) => Promise.resolve({
+        data: { session: null },
+        error: { message: 'Supabase is not configured' }
+      }),
+      signOut: () => Promise.resolve({ error: null })
+    }
   }
 }
 
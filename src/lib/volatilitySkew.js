@@ -0,0 +1,132 @@
+/**
+ * Per-expiration volatility skew model
+ * Fits implied volatility as a quadratic in log-moneyness, iv(x) = a + b·x + c·x² with x = ln(K/S),
+ * so each strike can be compared with the smile of its own expiration.
+ */
+
+const MIN_SKEW_POINTS = 4 // A quadratic through 3 points always fits exactly
+const SKEW_REFERENCE_MONEYNESS = 0.9 // Steepness is measured between 90% moneyness and ATM
+
+/**
+ * Solve a 3x3 linear system with Gaussian elimination
+ * @param {Array} matrix - 3x3 coefficient matrix
+ * @param {Array} vector - Right-hand side
+ * @returns {Array|null} Solution or null if the system is singular
+ */
+function solve3x3(matrix, vector) {
+  const rows = matrix.map((row, i) => [...row, vector[i]])
+
+  for (let col = 0; col < 3; col++) {
+    let pivot = col
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null
+    const pivotRow = rows[pivot]
+    rows[pivot] = rows[col]
+    rows[col] = pivotRow
+
+    for (let row = col + 1; row < 3; row++) {
+      const factor = rows[row][col] / rows[col][col]
+      for (let k = col; k < 4; k++) {
+        rows[row][k] -= factor * rows[col][k]
+      }
+    }
+  }
+
+  const solution = [0, 0, 0]
+  for (let row = 2; row >= 0; row--) {
+    let sum = rows[row][3]
+    for (let k = row + 1; k < 3; k++) {
+      sum -= rows[row][k] * solution[k]
+    }
+    solution[row] = sum / rows[row][row]
+  }
+  return solution
+}
+
+/**
+ * Evaluate a fitted skew curve at a strike
+ * @param {Object} fit - Skew fit from fitSkewCurve
+ * @param {number} strike - Strike price
+ * @returns {number} Fitted implied volatility
+ */
+export function getFittedIV(fit, strike) {
+  const x = Math.log(strike / fit.stockPrice)
+  return fit.a + fit.b * x + fit.c * x * x
+}
+
+/**
+ * Fit a quadratic skew curve to one expiration's options
+ * @param {Array} options - Options of a single expiration with strike and impliedVolatility
+ * @param {number} stockPrice - Current stock price
+ * @returns {Object|null} Fit { a, b, c, atmIV, steepness, rmse, points, stockPrice } or null if too few strikes
+ */
+export function fitSkewCurve(options, stockPrice) {
+  const points = options
+    .filter(option => option.strike > 0 && option.impliedVolatility > 0)
+    .map(option => ({ x: Math.log(option.strike / stockPrice), iv: option.impliedVolatility }))
+
+  if (points.length < MIN_SKEW_POINTS) {
+    return null
+  }
+
+  // Normal equations for least squares on [1, x, x²]
+  const sums = [0, 0, 0, 0, 0]
+  const targets = [0, 0, 0]
+  for (const { x, iv } of points) {
+    for (let power = 0; power < 5; power++) {
+      sums[power] += Math.pow(x, power)
+    }
+    targets[0] += iv
+    targets[1] += iv * x
+    targets[2] += iv * x * x
+  }
+
+  const coefficients = solve3x3([
+    [sums[0], sums[1], sums[2]],
+    [sums[1], sums[2], sums[3]],
+    [sums[2], sums[3], sums[4]]
+  ], targets)
+
+  if (!coefficients) {
+    return null
+  }
+
+  const [a, b, c] = coefficients
+  const fit = { a, b, c, stockPrice, points: points.length }
+  const residuals = points.map(({ x, iv }) => iv - (a + b * x + c * x * x))
+
+  fit.atmIV = a
+  // Extra vol demanded 10% below the money (positive for the usual put skew)
+  fit.steepness = getFittedIV(fit, stockPrice * SKEW_REFERENCE_MONEYNESS) - a
+  fit.rmse = Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / points.length)
+
+  return fit
+}
+
+/**
+ * Fit a skew curve for every expiration in a chain
+ * @param {Array} options - Processed options from getOptionsChain
+ * @param {number} stockPrice - Current stock price
+ * @returns {Object} Skew fits keyed by expiration date (expirations without a fit are omitted)
+ */
+export function fitSkewByExpiration(options, stockPrice) {
+  const byExpiration = {}
+  for (const option of options) {
+    if (!byExpiration[option.expiration]) {
+      byExpiration[option.expiration] = []
+    }
+    byExpiration[option.expiration].push(option)
+  }
+
+  const fits = {}
+  for (const [expiration, expirationOptions] of Object.entries(byExpiration)) {
+    const fit = fitSkewCurve(expirationOptions, stockPrice)
+    if (fit) {
+      fits[expiration] = { ...fit, expiration }
+    }
+  }
+
+  return fits
+}
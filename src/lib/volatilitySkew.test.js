@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { fitSkewCurve, fitSkewByExpiration, getFittedIV } from './volatilitySkew'
+
+const smile = (strike, stockPrice = 100) => {
+  const x = Math.log(strike / stockPrice)
+  return 0.3 - 0.4 * x + 1.5 * x * x
+}
+
+const chain = (strikes, expiration = '2025-06-20') => strikes.map(strike => ({
+  strike,
+  expiration,
+  impliedVolatility: smile(strike)
+}))
+
+describe('fitSkewCurve', () => {
+  it('recovers an exact quadratic smile', () => {
+    const fit = fitSkewCurve(chain([80, 85, 90, 95, 100, 105, 110]), 100)
+
+    expect(fit.a).toBeCloseTo(0.3, 10)
+    expect(fit.b).toBeCloseTo(-0.4, 10)
+    expect(fit.c).toBeCloseTo(1.5, 10)
+    expect(fit.atmIV).toBeCloseTo(0.3, 10)
+    expect(fit.steepness).toBeCloseTo(smile(90) - 0.3, 10)
+    expect(fit.steepness).toBeGreaterThan(0)
+    expect(fit.rmse).toBeCloseTo(0, 10)
+    expect(getFittedIV(fit, 87.5)).toBeCloseTo(smile(87.5), 10)
+  })
+
+  it('leaves a rich strike above the fitted curve', () => {
+    const options = chain([80, 85, 90, 95, 100, 105, 110])
+    options[2] = { ...options[2], impliedVolatility: options[2].impliedVolatility + 0.05 }
+
+    const fit = fitSkewCurve(options, 100)
+
+    expect(options[2].impliedVolatility - getFittedIV(fit, 90)).toBeGreaterThan(0.02)
+    expect(fit.rmse).toBeGreaterThan(0)
+  })
+
+  it('needs four strikes with an IV', () => {
+    expect(fitSkewCurve(chain([90, 95, 100]), 100)).toBeNull()
+    expect(fitSkewCurve([...chain([90, 95, 100]), { strike: 105, impliedVolatility: 0 }], 100)).toBeNull()
+  })
+})
+
+describe('fitSkewByExpiration', () => {
+  it('fits each expiration separately and skips ones without enough strikes', () => {
+    const fits = fitSkewByExpiration([
+      ...chain([85, 90, 95, 100, 105], '2025-06-20'),
+      ...chain([90, 100], '2025-06-27')
+    ], 100)
+
+    expect(Object.keys(fits)).toEqual(['2025-06-20'])
+    expect(fits['2025-06-20'].expiration).toBe('2025-06-20')
+    expect(fits['2025-06-20'].points).toBe(5)
+  })
+})
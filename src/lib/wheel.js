@@ -0,0 +1,249 @@
+import { supabase } from './supabase'
+
+/**
+ * Wheel strategy position tracking
+ * Cash-secured puts are the entry leg; once a put is assigned the symbol holds shares and
+ * switches to covered calls until the shares are called away, which completes a cycle.
+ * Premiums are stored in dollars. The adjusted cost basis is the assignment price less the
+ * premium collected in the current cycle (the assigned put plus every call sold since).
+ * Positions are readable by anyone; writing them requires an authenticated Supabase session.
+ */
+
+const SHARES_PER_CONTRACT = 100
+
+/**
+ * Calculate the per-share cost basis net of premium collected
+ * @param {number} assignmentPrice - Average price the shares were assigned at
+ * @param {number} cyclePremium - Premium collected this cycle, in dollars
+ * @param {number} shares - Shares held
+ * @returns {number} Adjusted cost basis per share
+ */
+export function calculateAdjustedCostBasis(assignmentPrice, cyclePremium, shares) {
+  if (!(shares > 0)) {
+    return assignmentPrice
+  }
+  return assignmentPrice - cyclePremium / shares
+}
+
+/**
+ * Get all symbols currently holding assigned shares
+ * @returns {Promise<Array>} Wheel positions with status 'assigned'
+ */
+export async function getWheelPositions() {
+  try {
+    const { data, error } = await supabase
+      .from('wheel_positions')
+      .select('*')
+      .eq('status', 'assigned')
+      .order('updated_at', { ascending: false })
+      .limit(100)
+
+    if (error) {
+      console.warn('⚠️ WHEEL: Error loading wheel positions:', error)
+      return []
+    }
+
+    console.log(`✅ WHEEL: Loaded ${data?.length || 0} assigned positions`)
+    return data || []
+
+  } catch (error) {
+    console.error('💥 WHEEL: Error loading wheel positions:', error)
+    return []
+  }
+}
+
+/**
+ * Get the wheel position for a symbol, in any status
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} Wheel position or null
+ */
+export async function getWheelPosition(symbol) {
+  try {
+    const { data, error } = await supabase
+      .from('wheel_positions')
+      .select('*')
+      .eq('symbol', symbol)
+      .maybeSingle()
+
+    if (error) {
+      console.warn(`⚠️ WHEEL: Error loading wheel position for ${symbol}:`, error)
+      return null
+    }
+
+    return data || null
+
+  } catch (error) {
+    console.error(`💥 WHEEL: Error loading wheel position for ${symbol}:`, error)
+    return null
+  }
+}
+
+/**
+ * Store a wheel position (one row per symbol)
+ * @param {Object} position - Wheel position
+ * @returns {Promise<Object|null>} Saved position or null on failure
+ */
+async function saveWheelPosition(position) {
+  const row = {
+    ...position,
+    updated_at: new Date().toISOString()
+  }
+
+  try {
+    const { error } = await supabase
+      .from('wheel_positions')
+      .upsert(row, { onConflict: 'symbol' })
+
+    if (error) {
+      console.error(`💥 WHEEL: Error saving wheel position for ${position.symbol}:`, error)
+      return null
+    }
+
+    console.log(`✅ WHEEL: Saved ${position.symbol} position:`, {
+      status: row.status,
+      shares: row.shares,
+      adjustedCostBasis: row.adjusted_cost_basis,
+      cumulativePremium: row.cumulative_premium
+    })
+    return row
+
+  } catch (error) {
+    console.error(`💥 WHEEL: Error saving wheel position for ${position.symbol}:`, error)
+    return null
+  }
+}
+
+/**
+ * Build an empty position for a symbol entering the wheel
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Wheel position
+ */
+function createWheelPosition(symbol) {
+  return {
+    symbol,
+    status: 'selling_puts',
+    shares: 0,
+    assignment_price: null,
+    cycle_premium: 0,
+    cumulative_premium: 0,
+    adjusted_cost_basis: null,
+    realized_pnl: 0,
+    cycles_completed: 0,
+    history: [],
+    created_at: new Date().toISOString()
+  }
+}
+
+/**
+ * Mark a short put as assigned and switch the symbol to covered calls
+ * Adding to an existing holding averages the assignment price.
+ * @param {Object} recommendation - Short put recommendation (symbol, strike_price, premium)
+ * @param {number} contracts - Contracts assigned (default 1)
+ * @returns {Promise<Object|null>} Updated position or null on failure
+ */
+export async function markPutAssigned(recommendation, contracts = 1) {
+  const { symbol, strike_price: strike, premium } = recommendation
+  const position = await getWheelPosition(symbol) || createWheelPosition(symbol)
+
+  const newShares = contracts * SHARES_PER_CONTRACT
+  const shares = position.shares + newShares
+  const assignmentPrice = position.shares > 0
+    ? (position.assignment_price * position.shares + strike * newShares) / shares
+    : strike
+  const premiumCollected = premium * newShares
+  const cyclePremium = position.cycle_premium + premiumCollected
+
+  console.log(`📥 WHEEL: ${symbol} ${strike}P assigned - ${newShares} shares at $${strike}`)
+
+  return saveWheelPosition({
+    ...position,
+    status: 'assigned',
+    shares,
+    assignment_price: assignmentPrice,
+    cycle_premium: cyclePremium,
+    cumulative_premium: position.cumulative_premium + premiumCollected,
+    adjusted_cost_basis: calculateAdjustedCostBasis(assignmentPrice, cyclePremium, shares),
+    history: [...(position.history || []), {
+      event: 'put_assigned',
+      strike,
+      premium,
+      contracts,
+      date: new Date().toISOString()
+    }]
+  })
+}
+
+/**
+ * Record premium from a covered call sold against assigned shares
+ * @param {Object} recommendation - Covered call recommendation (symbol, strike_price, premium)
+ * @param {number} contracts - Contracts sold (default: all shares held)
+ * @returns {Promise<Object|null>} Updated position or null if the symbol holds no shares
+ */
+export async function recordCoveredCall(recommendation, contracts = null) {
+  const { symbol, strike_price: strike, premium } = recommendation
+  const position = await getWheelPosition(symbol)
+
+  if (!position || position.status !== 'assigned') {
+    console.warn(`⚠️ WHEEL: Cannot record covered call - ${symbol} holds no assigned shares`)
+    return null
+  }
+
+  const callContracts = contracts ?? Math.floor(position.shares / SHARES_PER_CONTRACT)
+  const premiumCollected = premium * callContracts * SHARES_PER_CONTRACT
+  const cyclePremium = position.cycle_premium + premiumCollected
+
+  console.log(`📤 WHEEL: ${symbol} sold ${callContracts} × ${strike}C for $${premium}`)
+
+  return saveWheelPosition({
+    ...position,
+    cycle_premium: cyclePremium,
+    cumulative_premium: position.cumulative_premium + premiumCollected,
+    adjusted_cost_basis: calculateAdjustedCostBasis(position.assignment_price, cyclePremium, position.shares),
+    history: [...(position.history || []), {
+      event: 'call_sold',
+      strike,
+      premium,
+      contracts: callContracts,
+      date: new Date().toISOString()
+    }]
+  })
+}
+
+/**
+ * Close a wheel cycle when the shares are called away
+ * Realized P&L is the sale against the assignment price plus the cycle's premium; the symbol
+ * goes back to selling puts while cumulative premium carries across cycles.
+ * @param {string} symbol - Stock symbol
+ * @param {number} callStrike - Strike the shares were called away at
+ * @returns {Promise<Object|null>} Updated position or null if the symbol holds no shares
+ */
+export async function markCalledAway(symbol, callStrike) {
+  const position = await getWheelPosition(symbol)
+
+  if (!position || position.status !== 'assigned') {
+    console.warn(`⚠️ WHEEL: Cannot mark called away - ${symbol} holds no assigned shares`)
+    return null
+  }
+
+  const cyclePnl = (callStrike - position.assignment_price) * position.shares + position.cycle_premium
+
+  console.log(`🔁 WHEEL: ${symbol} called away at $${callStrike} - cycle P&L $${cyclePnl.toFixed(2)}`)
+
+  return saveWheelPosition({
+    ...position,
+    status: 'selling_puts',
+    shares: 0,
+    assignment_price: null,
+    cycle_premium: 0,
+    adjusted_cost_basis: null,
+    realized_pnl: position.realized_pnl + cyclePnl,
+    cycles_completed: position.cycles_completed + 1,
+    history: [...(position.history || []), {
+      event: 'called_away',
+      strike: callStrike,
+      shares: position.shares,
+      pnl: cyclePnl,
+      date: new Date().toISOString()
+    }]
+  })
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { supabase } from './supabase'
+import {
+  calculateAdjustedCostBasis,
+  markPutAssigned,
+  recordCoveredCall,
+  markCalledAway
+} from './wheel'
+
+// One wheel_positions row held in memory: reads return it, upserts replace it
+const stubWheelTable = (row = null) => {
+  const table = { row, upserts: 0 }
+  vi.spyOn(supabase, 'from').mockImplementation(() => ({
+    select: () => ({
+      eq: () => ({
+        maybeSingle: async () => ({ data: table.row, error: null })
+      })
+    }),
+    upsert: async (saved) => {
+      table.row = saved
+      table.upserts++
+      return { error: null }
+    }
+  }))
+  return table
+}
+
+const putRecommendation = (strike, premium) => ({ symbol: 'TEST', strategy: 'short_put', strike_price: strike, premium })
+const callRecommendation = (strike, premium) => ({ symbol: 'TEST', strategy: 'covered_call', strike_price: strike, premium })
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('calculateAdjustedCostBasis', () => {
+  it('nets the cycle premium per share out of the assignment price', () => {
+    expect(calculateAdjustedCostBasis(50, 230, 100)).toBeCloseTo(47.7, 10)
+  })
+
+  it('returns the assignment price when no shares are held', () => {
+    expect(calculateAdjustedCostBasis(50, 230, 0)).toBe(50)
+  })
+})
+
+describe('wheel position tracking', () => {
+  it('opens a position on assignment with the put premium in the basis', async () => {
+    const table = stubWheelTable()
+    const position = await markPutAssigned(putRecommendation(50, 1.5))
+
+    expect(position).toMatchObject({
+      symbol: 'TEST',
+      status: 'assigned',
+      shares: 100,
+      assignment_price: 50,
+      cycle_premium: 150,
+      cumulative_premium: 150,
+      realized_pnl: 0,
+      cycles_completed: 0
+    })
+    expect(position.adjusted_cost_basis).toBeCloseTo(48.5, 10)
+    expect(position.history.map(entry => entry.event)).toEqual(['put_assigned'])
+    expect(table.row).toBe(position)
+  })
+
+  it('averages the assignment price when adding to a holding', async () => {
+    stubWheelTable()
+    await markPutAssigned(putRecommendation(50, 1.5))
+    const position = await markPutAssigned(putRecommendation(40, 1))
+
+    expect(position.shares).toBe(200)
+    expect(position.assignment_price).toBeCloseTo(45, 10)
+    expect(position.cycle_premium).toBeCloseTo(250, 10)
+    expect(position.adjusted_cost_basis).toBeCloseTo(43.75, 10)
+  })
+
+  it('accumulates covered call premium into the cycle and lowers the basis', async () => {
+    stubWheelTable()
+    await markPutAssigned(putRecommendation(50, 1.5))
+    await recordCoveredCall(callRecommendation(52, 0.8))
+    const position = await recordCoveredCall(callRecommendation(51, 0.5))
+
+    expect(position.cycle_premium).toBeCloseTo(280, 10)
+    expect(position.cumulative_premium).toBeCloseTo(280, 10)
+    expect(position.adjusted_cost_basis).toBeCloseTo(47.2, 10)
+    expect(position.history.map(entry => entry.contracts)).toEqual([1, 1, 1])
+  })
+
+  it('sizes covered call premium by the contracts sold', async () => {
+    stubWheelTable()
+    await markPutAssigned(putRecommendation(50, 1.5), 2)
+    const allShares = await recordCoveredCall(callRecommendation(52, 0.5))
+    expect(allShares.cycle_premium).toBeCloseTo(300 + 100, 10)
+
+    const oneLot = await recordCoveredCall(callRecommendation(52, 0.5), 1)
+    expect(oneLot.cycle_premium).toBeCloseTo(450, 10)
+    expect(oneLot.adjusted_cost_basis).toBeCloseTo(50 - 450 / 200, 10)
+  })
+
+  it('realizes the share gain plus cycle premium when called away', async () => {
+    stubWheelTable()
+    await markPutAssigned(putRecommendation(50, 1.5))
+    await recordCoveredCall(callRecommendation(52, 0.8))
+    await recordCoveredCall(callRecommendation(52, 0.5))
+    const position = await markCalledAway('TEST', 52)
+
+    // (52 - 50) * 100 shares + $280 premium
+    expect(position.realized_pnl).toBeCloseTo(480, 10)
+    expect(position).toMatchObject({
+      status: 'selling_puts',
+      shares: 0,
+      assignment_price: null,
+      cycle_premium: 0,
+      adjusted_cost_basis: null,
+      cycles_completed: 1
+    })
+    expect(position.cumulative_premium).toBeCloseTo(280, 10)
+    expect(position.history.at(-1)).toMatchObject({ event: 'called_away', strike: 52, shares: 100 })
+  })
+
+  it('starts each cycle basis fresh while premium and P&L carry across cycles', async () => {
+    stubWheelTable()
+    await markPutAssigned(putRecommendation(50, 1.5))
+    await recordCoveredCall(callRecommendation(52, 0.8))
+    await markCalledAway('TEST', 52)
+
+    const assigned = await markPutAssigned(putRecommendation(49, 1))
+    expect(assigned.cycle_premium).toBeCloseTo(100, 10)
+    expect(assigned.adjusted_cost_basis).toBeCloseTo(48, 10)
+    expect(assigned.cumulative_premium).toBeCloseTo(330, 10)
+
+    // Called away below the first cycle's strike: -1 * 100 shares + $100 premium
+    const closed = await markCalledAway('TEST', 48)
+    expect(closed.realized_pnl).toBeCloseTo(430, 10)
+    expect(closed.cycles_completed).toBe(2)
+    expect(closed.cumulative_premium).toBeCloseTo(330, 10)
+  })
+
+  it('refuses call sales and call-aways without assigned shares', async () => {
+    const table = stubWheelTable()
+    expect(await recordCoveredCall(callRecommendation(52, 0.8))).toBeNull()
+    expect(await markCalledAway('TEST', 52)).toBeNull()
+    expect(table.upserts).toBe(0)
+  })
+
+  it('returns null when the position cannot be saved', async () => {
+    vi.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({ eq: () => ({ maybeSingle: async () => ({ data: null, error: null }) }) }),
+      upsert: async () => ({ error: { code: '42501', message: 'new row violates row-level security policy' } })
+    }))
+    expect(await markPutAssigned(putRecommendation(50, 1.5))).toBeNull()
+  })
+})
@@ -0,0 +1,13 @@
+/*
+  # Store locally computed Greeks on recommendations
+
+  1. Changes
+    - Add `gamma`, `theta`, `vega`, `rho` (decimal) to `recommendations`
+    - Values come from the Black-Scholes model in calculations.js so they are
+      available even when the options vendor omits Greeks
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS gamma DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS theta DECIMAL(10,4) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS vega DECIMAL(10,4) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS rho DECIMAL(10,4) DEFAULT 0;
@@ -0,0 +1,11 @@
+/*
+  # Track where a recommendation's implied volatility came from
+
+  1. Changes
+    - Add `iv_source` (varchar) to `recommendations` - 'vendor', 'solved' or 'none'
+    - Add `iv_mismatch` (boolean) to `recommendations` - vendor IV disagrees
+      with the IV solved from the bid/ask mid
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_source VARCHAR(10) DEFAULT 'vendor';
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_mismatch BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,12 @@
+/*
+  # Store American-style pricing results on recommendations
+
+  1. Changes
+    - Add `american_price` (decimal) - binomial tree fair value
+    - Add `early_exercise_premium` (decimal) - American minus European value
+    - Add `early_assignment_risk` (boolean) - put is near the early-exercise boundary
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS american_price DECIMAL(8,2) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS early_exercise_premium DECIMAL(8,4) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS early_assignment_risk BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,12 @@
+/*
+  # Record dividend adjustments on recommendations
+
+  1. Changes
+    - Add `ex_dividend_date` (date) - first ex-date between now and expiration
+    - Add `dividend_amount` (decimal) - total dividends paid before expiration
+    - Add `dividend_adjusted` (boolean) - pricing used a dividend-adjusted stock price
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS ex_dividend_date DATE;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS dividend_amount DECIMAL(8,4) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS dividend_adjusted BOOLEAN DEFAULT FALSE;
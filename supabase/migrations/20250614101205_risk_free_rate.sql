@@ -0,0 +1,9 @@
+/*
+  # Store the risk-free rate used to price each recommendation
+
+  1. Changes
+    - Add `risk_free_rate` (decimal) to `recommendations` - rate interpolated
+      from the term structure for the contract's expiration
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS risk_free_rate DECIMAL(6,5) DEFAULT 0.05;
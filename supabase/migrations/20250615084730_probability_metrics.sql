@@ -0,0 +1,12 @@
+/*
+  # Additional probability metrics on recommendations
+
+  1. Changes
+    - Add `prob_max_profit` (decimal) - probability of keeping the full premium
+    - Add `prob_touch` (decimal) - probability the strike is touched before expiry
+    - Add `prob_loss` (decimal) - probability of finishing below breakeven
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS prob_max_profit DECIMAL(5,2) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS prob_touch DECIMAL(5,2) DEFAULT 0;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS prob_loss DECIMAL(5,2) DEFAULT 0;
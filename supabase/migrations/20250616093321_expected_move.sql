@@ -0,0 +1,12 @@
+/*
+  # Store the implied earnings move on recommendations
+
+  1. Changes
+    - Add `expected_move` (decimal) - ATM straddle implied move in dollars
+    - Add `expected_move_pct` (decimal) - implied move as % of the stock price
+    - Add `expected_move_source` (varchar) - 'straddle' or 'iv_estimate'
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS expected_move DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS expected_move_pct DECIMAL(6,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS expected_move_source VARCHAR(20);
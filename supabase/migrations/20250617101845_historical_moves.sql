@@ -0,0 +1,10 @@
+/*
+  # Store historical post-earnings moves on recommendations
+
+  1. Changes
+    - Add `historical_move_pct` (decimal) - average absolute post-earnings move over recent quarters
+    - Add `move_ratio` (decimal) - implied earnings move divided by the historical average
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS historical_move_pct DECIMAL(6,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS move_ratio DECIMAL(6,3);
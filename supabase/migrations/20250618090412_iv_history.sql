@@ -0,0 +1,65 @@
+/*
+  # Daily implied volatility history for IV rank and percentile
+
+  1. New Tables
+    - `iv_history` - One ATM implied volatility snapshot per symbol per day
+      - `id` (serial, primary key)
+      - `symbol` (varchar, stock ticker)
+      - `snapshot_date` (date, trading day in US Eastern time)
+      - `implied_volatility` (decimal, ATM implied volatility)
+      - `stock_price` (decimal, stock price at snapshot)
+      - `created_at` (timestamp)
+
+  2. Changes
+    - Add `iv_rank` and `iv_percentile` (decimal) to `recommendations`
+
+  3. Security
+    - Enable RLS on `iv_history`
+    - Allow anonymous read/insert/update so the app can record snapshots
+
+  4. Indexes
+    - Unique (symbol, snapshot_date) for daily upserts
+*/
+
+CREATE TABLE IF NOT EXISTS iv_history (
+  id SERIAL PRIMARY KEY,
+  symbol VARCHAR(10) NOT NULL,
+  snapshot_date DATE NOT NULL,
+  implied_volatility DECIMAL(6,4) NOT NULL,
+  stock_price DECIMAL(10,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (symbol, snapshot_date)
+);
+
+ALTER TABLE iv_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to iv_history"
+  ON iv_history
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to iv_history"
+  ON iv_history
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to iv_history"
+  ON iv_history
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to iv_history"
+  ON iv_history
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_iv_history_symbol_date ON iv_history(symbol, snapshot_date DESC);
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_rank DECIMAL(5,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_percentile DECIMAL(5,2);
@@ -0,0 +1,10 @@
+/*
+  # Store realized volatility and the IV/RV premium on recommendations
+
+  1. Changes
+    - Add `realized_volatility` (decimal) - annualized realized volatility from daily bars
+    - Add `iv_rv_premium` (decimal) - implied minus realized volatility
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS realized_volatility DECIMAL(6,4);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_rv_premium DECIMAL(6,4);
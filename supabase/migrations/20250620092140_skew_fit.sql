@@ -0,0 +1,14 @@
+/*
+  # Store volatility skew fit results on recommendations
+
+  1. Changes
+    - Add `fitted_iv` (decimal) - IV of the strike on its expiration's fitted skew curve
+    - Add `iv_residual` (decimal) - market IV minus fitted IV
+    - Add `rich_strike` (boolean) - IV is rich relative to the skew curve
+    - Add `skew_steepness` (decimal) - fitted IV 10% below the money minus ATM IV
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS fitted_iv DECIMAL(6,4);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS iv_residual DECIMAL(6,4);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS rich_strike BOOLEAN DEFAULT FALSE;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS skew_steepness DECIMAL(6,4);
@@ -0,0 +1,54 @@
+/*
+  # Saved scoring weight profiles
+
+  1. New Tables
+    - `scoring_profiles` - Named sets of confidence-score factor weights
+      - `id` (serial, primary key)
+      - `name` (varchar, unique profile name)
+      - `weights` (jsonb, weight per scoring factor)
+      - `created_at`, `updated_at` (timestamps)
+
+  2. Security
+    - Enable RLS on `scoring_profiles`
+    - Allow anonymous read/insert/update so profiles can be edited from the app
+*/
+
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  weights JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE scoring_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to scoring_profiles"
+  ON scoring_profiles
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to scoring_profiles"
+  ON scoring_profiles
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to scoring_profiles"
+  ON scoring_profiles
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to scoring_profiles"
+  ON scoring_profiles
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+INSERT INTO scoring_profiles (name, weights)
+VALUES ('default', '{"iv": 0.25, "open_interest": 0.20, "volume": 0.20, "eps_growth": 0.15, "pop": 0.10, "premium": 0.10, "earnings_move": 0.15, "skew": 0.10}')
+ON CONFLICT (name) DO NOTHING;
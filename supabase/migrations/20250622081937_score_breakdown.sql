@@ -0,0 +1,8 @@
+/*
+  # Persist per-factor confidence score breakdown
+
+  1. Changes
+    - Add `score_breakdown` (jsonb) - sub-score, normalized weight and contribution per scoring factor
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
@@ -0,0 +1,56 @@
+/*
+  # Rejection audit trail for filtered symbols and contracts
+
+  1. New Tables
+    - `rejection_audit` - Why each symbol or contract was filtered out of a recommendation run
+      - `id` (serial, primary key)
+      - `run_id` (varchar, timestamp identifying the run)
+      - `symbol` (varchar, stock ticker)
+      - `strike_price` (decimal, null for symbol-level rejections)
+      - `expiration_date` (date, null for symbol-level rejections)
+      - `rule` (varchar, rule key such as delta, premium_pct, dte, liquidity, pop_band)
+      - `reason` (text, human-readable explanation)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `rejection_audit`
+    - Allow anonymous read/insert so the app can write and search the audit
+
+  3. Indexes
+    - (symbol, created_at) for "why wasn't X recommended" lookups
+*/
+
+CREATE TABLE IF NOT EXISTS rejection_audit (
+  id SERIAL PRIMARY KEY,
+  run_id VARCHAR(40) NOT NULL,
+  symbol VARCHAR(10) NOT NULL,
+  strike_price DECIMAL(10,2),
+  expiration_date DATE,
+  rule VARCHAR(30) NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE rejection_audit ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to rejection_audit"
+  ON rejection_audit
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to rejection_audit"
+  ON rejection_audit
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to rejection_audit"
+  ON rejection_audit
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_rejection_audit_symbol ON rejection_audit(symbol, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rejection_audit_run ON rejection_audit(run_id);
@@ -0,0 +1,20 @@
+/*
+  # Bull put credit spread recommendations
+
+  1. Changes
+    - Add `strategy` (varchar) - 'short_put' or 'bull_put_spread'
+    - Add `long_strike_price` (decimal) - strike of the protective long put
+    - Add `long_premium` (decimal) - premium paid for the long put
+    - Add `spread_width` (decimal) - short strike minus long strike
+    - Add `net_credit` (decimal) - short premium minus long premium
+    - Add `return_on_risk` (decimal) - net credit as % of max loss
+    - Add `prob_max_loss` (decimal) - probability of finishing below the long strike
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS strategy VARCHAR(30) DEFAULT 'short_put';
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS long_strike_price DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS long_premium DECIMAL(8,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS spread_width DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS net_credit DECIMAL(8,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS return_on_risk DECIMAL(8,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS prob_max_loss DECIMAL(5,2);
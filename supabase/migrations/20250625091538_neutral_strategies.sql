@@ -0,0 +1,19 @@
+/*
+  # Iron condor and short strangle recommendations
+
+  1. Changes
+    - `strategy` may now also be 'iron_condor' or 'short_strangle'
+    - Add `call_strike_price` (decimal) - strike of the short call
+    - Add `call_premium` (decimal) - premium received for the short call
+    - Add `long_call_strike_price` (decimal) - strike of the protective long call (iron condor)
+    - Add `long_call_premium` (decimal) - premium paid for the long call (iron condor)
+    - Add `upper_breakeven` (decimal) - short call strike plus net credit
+    - Add `margin_requirement` (decimal) - Reg T margin per contract (max loss for iron condors)
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS call_strike_price DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS call_premium DECIMAL(8,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS long_call_strike_price DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS long_call_premium DECIMAL(8,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS upper_breakeven DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS margin_requirement DECIMAL(12,2);
@@ -0,0 +1,78 @@
+/*
+  # Wheel strategy positions
+
+  1. New Tables
+    - `wheel_positions` - One row per symbol running the put / covered call wheel
+      - `id` (serial, primary key)
+      - `symbol` (varchar, unique)
+      - `status` (varchar) - 'selling_puts' or 'assigned'
+      - `shares` (integer) - shares currently held from assignment
+      - `assignment_price` (decimal) - average price the shares were assigned at
+      - `cycle_premium` (decimal) - premium collected this cycle, in dollars
+      - `cumulative_premium` (decimal) - premium collected across all cycles, in dollars
+      - `adjusted_cost_basis` (decimal) - assignment price less cycle premium per share
+      - `realized_pnl` (decimal) - P&L of completed cycles
+      - `cycles_completed` (integer) - times shares were called away
+      - `history` (jsonb) - assignment, call sale and called-away events
+      - `created_at`, `updated_at` (timestamps)
+
+  2. Changes
+    - Add `cost_basis`, `adjusted_cost_basis`, `cumulative_premium`, `shares` and
+      `if_called_profit` to `recommendations` for covered call recommendations
+
+  3. Security
+    - Enable RLS on `wheel_positions`
+    - Allow anonymous read/insert/update so positions can be marked from the app
+*/
+
+CREATE TABLE IF NOT EXISTS wheel_positions (
+  id SERIAL PRIMARY KEY,
+  symbol VARCHAR(10) UNIQUE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'selling_puts',
+  shares INTEGER NOT NULL DEFAULT 0,
+  assignment_price DECIMAL(10,2),
+  cycle_premium DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cumulative_premium DECIMAL(12,2) NOT NULL DEFAULT 0,
+  adjusted_cost_basis DECIMAL(10,4),
+  realized_pnl DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cycles_completed INTEGER NOT NULL DEFAULT 0,
+  history JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wheel_positions_status ON wheel_positions(status);
+
+ALTER TABLE wheel_positions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to wheel_positions"
+  ON wheel_positions
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to wheel_positions"
+  ON wheel_positions
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to wheel_positions"
+  ON wheel_positions
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to wheel_positions"
+  ON wheel_positions
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS cost_basis DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS adjusted_cost_basis DECIMAL(10,4);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS cumulative_premium DECIMAL(12,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS shares INTEGER;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS if_called_profit DECIMAL(10,2);
@@ -0,0 +1,50 @@
+/*
+  # Multi-leg positions
+
+  1. Changes
+    - Add `legs` (jsonb) - array of { side, type, strike, expiration, quantity, premium,
+      implied_volatility } describing every leg of the recommended position
+    - Backfill `legs` for existing rows from the flat strike/premium columns of each strategy
+    - Flat columns are kept for filtering, sorting and older clients
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS legs JSONB;
+
+UPDATE recommendations
+SET legs = CASE strategy
+  WHEN 'bull_put_spread' THEN jsonb_build_array(
+    jsonb_build_object('side', 'sell', 'type', 'put', 'strike', strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', premium + long_premium, 'implied_volatility', implied_volatility),
+    jsonb_build_object('side', 'buy', 'type', 'put', 'strike', long_strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', long_premium, 'implied_volatility', implied_volatility)
+  )
+  WHEN 'short_strangle' THEN jsonb_build_array(
+    jsonb_build_object('side', 'sell', 'type', 'put', 'strike', strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', premium - call_premium, 'implied_volatility', implied_volatility),
+    jsonb_build_object('side', 'sell', 'type', 'call', 'strike', call_strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', call_premium, 'implied_volatility', implied_volatility)
+  )
+  WHEN 'iron_condor' THEN jsonb_build_array(
+    jsonb_build_object('side', 'buy', 'type', 'put', 'strike', long_strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', long_premium, 'implied_volatility', implied_volatility),
+    jsonb_build_object('side', 'sell', 'type', 'put', 'strike', strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', premium - call_premium + long_premium + long_call_premium, 'implied_volatility', implied_volatility),
+    jsonb_build_object('side', 'sell', 'type', 'call', 'strike', call_strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', call_premium, 'implied_volatility', implied_volatility),
+    jsonb_build_object('side', 'buy', 'type', 'call', 'strike', long_call_strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', long_call_premium, 'implied_volatility', implied_volatility)
+  )
+  WHEN 'covered_call' THEN jsonb_build_array(
+    jsonb_build_object('side', 'buy', 'type', 'stock', 'strike', adjusted_cost_basis, 'expiration', NULL,
+      'quantity', GREATEST(1, COALESCE(shares, 100) / 100), 'premium', 0, 'implied_volatility', NULL),
+    jsonb_build_object('side', 'sell', 'type', 'call', 'strike', strike_price, 'expiration', expiration_date,
+      'quantity', GREATEST(1, COALESCE(shares, 100) / 100), 'premium', premium, 'implied_volatility', implied_volatility)
+  )
+  ELSE jsonb_build_array(
+    jsonb_build_object('side', 'sell', 'type', 'put', 'strike', strike_price, 'expiration', expiration_date,
+      'quantity', 1, 'premium', premium, 'implied_volatility', implied_volatility)
+  )
+END
+WHERE legs IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recommendations_legs ON recommendations USING GIN (legs);
@@ -0,0 +1,62 @@
+/*
+  # Option chain snapshots for backtesting
+
+  1. New Tables
+    - `option_chain_snapshots` - One processed option chain per symbol per trading day
+      - `id` (serial, primary key)
+      - `symbol` (varchar)
+      - `snapshot_date` (date) - trading day the chain was captured (ET)
+      - `snapshot_time` (timestamp) - when the chain was captured
+      - `underlying_price` (decimal)
+      - `options` (jsonb) - processed puts
+      - `calls` (jsonb) - processed calls
+      - `straddles` (jsonb) - ATM straddles per expiration
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `option_chain_snapshots`
+    - Allow anonymous read/insert/update so snapshots can be recorded during generation
+*/
+
+CREATE TABLE IF NOT EXISTS option_chain_snapshots (
+  id SERIAL PRIMARY KEY,
+  symbol VARCHAR(10) NOT NULL,
+  snapshot_date DATE NOT NULL,
+  snapshot_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  underlying_price DECIMAL(10,2) NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]',
+  calls JSONB NOT NULL DEFAULT '[]',
+  straddles JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(symbol, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_option_chain_snapshots_symbol_date ON option_chain_snapshots(symbol, snapshot_date DESC);
+
+ALTER TABLE option_chain_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to option_chain_snapshots"
+  ON option_chain_snapshots
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to option_chain_snapshots"
+  ON option_chain_snapshots
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to option_chain_snapshots"
+  ON option_chain_snapshots
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to option_chain_snapshots"
+  ON option_chain_snapshots
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
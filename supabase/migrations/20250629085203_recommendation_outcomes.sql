@@ -0,0 +1,27 @@
+/*
+  # Recommendation outcome tracking
+
+  1. Changes
+    - Add `outcome` to `recommendations` - 'pending' until the expiration close is known, then
+      'expired_worthless', 'assigned' or 'loss'
+    - Add `settlement_price` (underlying close on expiration), `realized_pnl` (dollars) and
+      `outcome_recorded_at`
+    - Index pending rows by expiration for the settlement job
+
+  2. Security
+    - Allow anonymous updates on `recommendations` so the app can record outcomes
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS outcome VARCHAR(20) NOT NULL DEFAULT 'pending';
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS settlement_price DECIMAL(10,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(12,2);
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_recommendations_outcome_expiration ON recommendations(outcome, expiration_date);
+
+CREATE POLICY "Allow anonymous update access to recommendations"
+  ON recommendations
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
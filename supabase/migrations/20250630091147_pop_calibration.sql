@@ -0,0 +1,60 @@
+/*
+  # POP calibration
+
+  1. New Tables
+    - `calibration_curves` - Empirical probability calibration curves fitted on settled recommendations
+      - `id` (serial, primary key)
+      - `name` (varchar, unique curve name - 'pop')
+      - `points` (jsonb) - monotone { pop, calibrated, count } points, POP in percent
+      - `samples` (integer) - settled recommendations the curve was fitted on
+      - `brier_score` (decimal) - Brier score of raw POP on those recommendations
+      - `fitted_at`, `created_at` (timestamps)
+
+  2. Changes
+    - Add `raw_pop` to `recommendations` - model POP before calibration (`pop` holds the
+      calibrated value when the engine applies a curve)
+
+  3. Security
+    - Enable RLS on `calibration_curves`
+    - Allow anonymous read/insert/update so curves can be fitted from the app
+*/
+
+CREATE TABLE IF NOT EXISTS calibration_curves (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  points JSONB NOT NULL DEFAULT '[]',
+  samples INTEGER NOT NULL DEFAULT 0,
+  brier_score DECIMAL(6,4),
+  fitted_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE calibration_curves ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to calibration_curves"
+  ON calibration_curves
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to calibration_curves"
+  ON calibration_curves
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to calibration_curves"
+  ON calibration_curves
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users full access to calibration_curves"
+  ON calibration_curves
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS raw_pop DECIMAL(5,2);
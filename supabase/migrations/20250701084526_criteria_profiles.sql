@@ -0,0 +1,62 @@
+/*
+  # Saved screening criteria profiles
+
+  1. New Tables
+    - `criteria_profiles` - Named sets of recommendation engine criteria saved from the app
+      (built-in conservative / balanced / aggressive profiles live in code)
+      - `id` (serial, primary key)
+      - `name` (varchar, unique profile name)
+      - `criteria` (jsonb, value per editable criterion)
+      - `created_at`, `updated_at` (timestamps)
+
+  2. Changes
+    - Add `criteria_profile` to `recommendations` - profile the generating run used
+
+  3. Security
+    - Enable RLS on `criteria_profiles`
+    - Allow anonymous read/insert/update/delete so profiles can be managed from the app
+*/
+
+CREATE TABLE IF NOT EXISTS criteria_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  criteria JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE criteria_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous read access to criteria_profiles"
+  ON criteria_profiles
+  FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anonymous write access to criteria_profiles"
+  ON criteria_profiles
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update access to criteria_profiles"
+  ON criteria_profiles
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous delete access to criteria_profiles"
+  ON criteria_profiles
+  FOR DELETE
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow authenticated users full access to criteria_profiles"
+  ON criteria_profiles
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS criteria_profile VARCHAR(50);
@@ -0,0 +1,9 @@
+/*
+  # Recommendation diversification
+
+  1. Changes
+    - Add `sector` to `recommendations` - FMP company profile sector, used for the per-sector
+      concentration limit
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS sector VARCHAR(100);
@@ -0,0 +1,9 @@
+/*
+  # Store the earnings announcement time on recommendations
+
+  1. Changes
+    - Add `earnings_time` (varchar) - 'bmo' or 'amc', so the simulated earnings jump lands on
+      the first session that reflects the announcement
+*/
+
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS earnings_time VARCHAR(10);
@@ -0,0 +1,13 @@
+/*
+  # Restrict wheel position writes to authenticated users
+
+  1. Security Changes
+    - Drop the anonymous insert/update policies on `wheel_positions` - with them any visitor
+      could mark a position assigned or called away
+    - Anonymous users keep read access so the engine can still switch assigned symbols to
+      covered calls
+    - Authenticated users keep full access, matching `recommendations`
+*/
+
+DROP POLICY IF EXISTS "Allow anonymous write access to wheel_positions" ON wheel_positions;
+DROP POLICY IF EXISTS "Allow anonymous update access to wheel_positions" ON wheel_positions;
@@ -0,0 +1,9 @@
+/*
+  # Widen the criteria profile recorded on recommendations
+
+  1. Changes
+    - Widen `criteria_profile` to fit a 50-character profile name plus the " (edited)" suffix
+      recorded when a run uses unsaved editor changes
+*/
+
+ALTER TABLE recommendations ALTER COLUMN criteria_profile TYPE VARCHAR(60);
@@ -0,0 +1,12 @@
+/*
+  # Restrict outcome settlement to authenticated users
+
+  1. Security Changes
+    - Drop the anonymous update policy on `recommendations` - with it any visitor could rewrite
+      any column of any recommendation, not just its outcome
+    - Settlement now runs only for signed-in users, who already have full access through
+      "Authenticated users can manage recommendations"
+    - Anonymous users keep read access, so the track record still loads for every visitor
+*/
+
+DROP POLICY IF EXISTS "Allow anonymous update access to recommendations" ON recommendations;
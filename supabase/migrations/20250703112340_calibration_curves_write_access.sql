@@ -0,0 +1,12 @@
+/*
+  # Restrict calibration curve writes to authenticated users
+
+  1. Security Changes
+    - Drop the anonymous insert/update policies on `calibration_curves` - with them any visitor
+      could overwrite the curve every generation run maps POP through
+    - Anonymous users keep read access so the engine can still apply the saved curve
+    - Authenticated users keep full access
+*/
+
+DROP POLICY IF EXISTS "Allow anonymous write access to calibration_curves" ON calibration_curves;
+DROP POLICY IF EXISTS "Allow anonymous update access to calibration_curves" ON calibration_curves;